@@ -4448,6 +4448,17 @@ function pad(number, digits, end) {
     // kendo.saveAs -----------------------------------------------
     (function() {
         function postToProxy(dataURI, fileName, proxyURL, proxyTarget) {
+            // a Blob object is posted as a data URI once it is read
+            if (window.Blob && dataURI instanceof Blob) {
+                var reader = new FileReader();
+
+                reader.onload = function() {
+                    postToProxy(reader.result, fileName, proxyURL, proxyTarget);
+                };
+                reader.readAsDataURL(dataURI);
+                return;
+            }
+
             var form = $("<form>").attr({
                 action: proxyURL,
                 method: "POST",
@@ -0,0 +1,216 @@
+(function(f, define){
+    define([ "./kendo.data" ], f);
+})(function(){
+
+var __meta__ = { // jshint ignore:line
+    id: "data.csv",
+    name: "CSV",
+    category: "framework",
+    depends: [ "data" ],
+    hidden: true
+};
+
+(function($, undefined) {
+    var kendo = window.kendo,
+        extend = $.extend,
+        isFunction = $.isFunction,
+        each = $.each,
+        DataReader = kendo.data.DataReader;
+
+    function parseRows(text, delimiter, quote) {
+        var rows = [],
+            row = [],
+            cell = "",
+            quoted = false,
+            length = text.length,
+            idx = text.charCodeAt(0) === 0xfeff ? 1 : 0,
+            ch;
+
+        for (; idx < length; idx++) {
+            ch = text.charAt(idx);
+
+            if (quoted) {
+                if (ch !== quote) {
+                    cell += ch;
+                } else if (text.charAt(idx + 1) === quote) {
+                    cell += quote;
+                    idx++;
+                } else {
+                    quoted = false;
+                }
+            } else if (ch === quote) {
+                quoted = true;
+            } else if (text.substr(idx, delimiter.length) === delimiter) {
+                row.push(cell);
+                cell = "";
+                idx += delimiter.length - 1;
+            } else if (ch === "\r" || ch === "\n") {
+                if (ch === "\r" && text.charAt(idx + 1) === "\n") {
+                    idx++;
+                }
+
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = "";
+            } else {
+                cell += ch;
+            }
+        }
+
+        if (quoted) {
+            throw new Error("Unterminated quoted CSV value.");
+        }
+
+        if (cell || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    var CsvDataReader = DataReader.extend({
+        init: function(schema) {
+            var that = this,
+                parse;
+
+            schema = extend({}, schema);
+
+            // the CSV options are not record getters, so they are kept away from the base reader
+            that.delimiter = schema.delimiter || ",";
+            that.quote = schema.quote || '"';
+            that.header = schema.header !== false;
+            that.culture = schema.culture;
+
+            delete schema.delimiter;
+            delete schema.quote;
+            delete schema.header;
+            delete schema.culture;
+
+            parse = schema.parse;
+            delete schema.parse;
+
+            // the model assigns the type parsers to the fields, so the user defined ones are noted first
+            that._customParse = {};
+
+            if (schema.model && !isFunction(schema.model)) {
+                each(schema.model.fields || {}, function(name, field) {
+                    if (field && isFunction(field.parse)) {
+                        that._customParse[name] = true;
+                    }
+                });
+            }
+
+            DataReader.fn.init.call(that, schema);
+
+            if (isFunction(parse)) {
+                that.parse = function(data) {
+                    return CsvDataReader.fn.parse.call(that, parse.call(that, data));
+                };
+            }
+        },
+
+        parse: function(data) {
+            var that = this,
+                fields = that._fields(),
+                rows,
+                names,
+                records = [],
+                record,
+                row,
+                idx,
+                column;
+
+            if (typeof data !== "string") {
+                return data;
+            }
+
+            rows = parseRows(data, that.delimiter, that.quote);
+            names = that.header ? rows.shift() || [] : $.map(fields, function(field) {
+                return field.name;
+            });
+
+            for (idx = 0; idx < rows.length; idx++) {
+                row = rows[idx];
+
+                // blank lines do not hold records
+                if (row.length === 1 && row[0] === "") {
+                    continue;
+                }
+
+                record = {};
+
+                for (column = 0; column < Math.max(row.length, names.length); column++) {
+                    record[names[column] !== undefined ? names[column] : column] = row[column] !== undefined ? row[column] : "";
+                }
+
+                records.push(that._convert(record, fields));
+            }
+
+            return records;
+        },
+
+        _fields: function() {
+            var model = this.model,
+                fields = model && model.fields,
+                result = [],
+                name,
+                field;
+
+            // every field holds a column, so the columns are named by position when there is no header row
+            for (name in fields) {
+                field = fields[name];
+
+                result.push({
+                    name: field.from || (typeof field === "string" ? field : typeof field.field === "string" ? field.field : name),
+                    field: field,
+                    custom: this._customParse[name]
+                });
+            }
+
+            return result;
+        },
+
+        _convert: function(record, fields) {
+            var culture = this.culture,
+                field,
+                value,
+                idx;
+
+            for (idx = 0; idx < fields.length; idx++) {
+                field = fields[idx].field;
+                value = record[fields[idx].name];
+
+                // a field with its own parse function gets the text of the column
+                if (fields[idx].custom || typeof value !== "string") {
+                    continue;
+                }
+
+                if (field.type === "number") {
+                    value = value === "" ? null : kendo.parseFloat(value, culture);
+                } else if (field.type === "date") {
+                    value = value === "" ? null : kendo.parseDate(value, field.format, culture);
+                } else if (field.type === "boolean" && value === "") {
+                    value = null;
+                }
+
+                record[fields[idx].name] = value;
+            }
+
+            return record;
+        }
+    });
+
+    extend(true, kendo.data, {
+        CsvDataReader: CsvDataReader,
+        readers: {
+            csv: CsvDataReader
+        }
+    });
+
+})(window.kendo.jQuery);
+
+return window.kendo;
+
+}, typeof define == 'function' && define.amd ? define : function(a1, a2, a3){ (a3 || a2)(); });
@@ -0,0 +1,199 @@
+(function(f, define){
+    define([ "./kendo.data" ], f);
+})(function(){
+
+var __meta__ = { // jshint ignore:line
+    id: "data.graphql",
+    name: "GraphQL",
+    category: "framework",
+    depends: [ "data" ],
+    hidden: true
+};
+
+(function($, undefined) {
+    var kendo = window.kendo,
+        extend = $.extend,
+        isArray = $.isArray,
+        RemoteTransport = kendo.data.RemoteTransport,
+        crud = [ "create", "read", "update", "destroy" ],
+        stateArguments = {
+            skip: "Int",
+            take: "Int",
+            sort: "[SortDescriptor!]",
+            filter: "FilterDescriptor"
+        };
+
+    function stateValue(name, value) {
+        if (name === "sort") {
+            return $.map(value, function(descriptor) {
+                return { field: descriptor.field, dir: descriptor.dir || "asc" };
+            });
+        }
+
+        if (name === "filter") {
+            return filterValue(value);
+        }
+
+        return value;
+    }
+
+    function filterValue(filter) {
+        if (filter.filters) {
+            return {
+                logic: filter.logic || "and",
+                filters: $.map(filter.filters, function(item) {
+                    return filterValue(item);
+                })
+            };
+        }
+
+        return { field: filter.field, operator: filter.operator, value: filter.value };
+    }
+
+    // builds the read query from the take/skip, sort and filter state which is present in the request
+    function stateQuery(operation, data) {
+        var args = extend({}, stateArguments, operation.parameters),
+            fields = operation.fields,
+            declarations = [],
+            parameters = [],
+            variables = {},
+            argument,
+            name;
+
+        if (!fields) {
+            throw new Error('The "read.fields" option must be set.');
+        }
+
+        for (name in args) {
+            argument = args[name];
+
+            if (!argument || data[name] === undefined || data[name] === null) {
+                continue;
+            }
+
+            if (typeof argument === "string") {
+                argument = { type: argument };
+            }
+
+            declarations.push("$" + name + ": " + argument.type);
+            parameters.push((argument.name || name) + ": $" + name);
+            variables[name] = stateValue(name, data[name]);
+        }
+
+        return {
+            query: "query" + (operation.operationName ? " " + operation.operationName : "") +
+                (declarations.length ? "(" + declarations.join(", ") + ")" : "") +
+                " { " + operation.field + (parameters.length ? "(" + parameters.join(", ") + ")" : "") +
+                " { items { " + (isArray(fields) ? fields.join(" ") : fields) + " } total } }",
+            variables: variables
+        };
+    }
+
+    function rootValue(response) {
+        var data = response ? response.data : null;
+
+        if (data) {
+            for (var field in data) {
+                return data[field];
+            }
+        }
+
+        return null;
+    }
+
+    var transport = RemoteTransport.extend({
+        init: function(options) {
+            var graphql = options && options.graphql ? options.graphql : {},
+                defaults = {};
+
+            if (!graphql.url) {
+                throw new Error('The "url" option must be set.');
+            }
+
+            $.each(crud, function(index, type) {
+                defaults[type] = {
+                    url: graphql.url,
+                    type: "POST",
+                    dataType: "json",
+                    contentType: "application/json"
+                };
+            });
+
+            RemoteTransport.fn.init.call(this, extend(true, defaults, options));
+        },
+
+        setup: function(options, type) {
+            var operation = this.options.graphql[type],
+                query,
+                variables,
+                wrapped;
+
+            if (!operation || !(operation.query || (type === "read" && operation.field))) {
+                throw new Error(kendo.format('The "{0}.query" option must be set.', type));
+            }
+
+            options = RemoteTransport.fn.setup.call(this, options, type);
+
+            variables = options.data || {};
+            query = operation.query;
+
+            if (!query) {
+                query = stateQuery(operation, variables);
+                variables = query.variables;
+                query = query.query;
+            } else if (operation.input) {
+                wrapped = {};
+                wrapped[operation.input] = variables;
+                variables = wrapped;
+            }
+
+            options.data = kendo.stringify({
+                query: query,
+                operationName: operation.operationName,
+                variables: variables
+            });
+
+            return options;
+        }
+    });
+
+    extend(true, kendo.data, {
+        schemas: {
+            graphql: {
+                type: "json",
+                // the first root field of the response holds either the records or an { items, total } object
+                data: function(response) {
+                    var result = rootValue(response);
+
+                    if (result && isArray(result.items)) {
+                        return result.items;
+                    }
+
+                    return isArray(result) ? result : (result ? [result] : []);
+                },
+                total: function(response) {
+                    var result = rootValue(response);
+
+                    if (result && result.total !== undefined) {
+                        return result.total;
+                    }
+
+                    return isArray(result) ? result.length : (result ? 1 : 0);
+                },
+                errors: function(response) {
+                    var errors = response ? response.errors : null;
+
+                    return errors && errors.length ? errors : null;
+                }
+            }
+        },
+        transports: {
+            graphql: transport
+        }
+    });
+
+})(window.kendo.jQuery);
+
+return window.kendo;
+
+}, typeof define == 'function' && define.amd ? define : function(a1, a2, a3){ (a3 || a2)(); });
@@ -0,0 +1,246 @@
+(function(f, define){
+    define([ "./kendo.data" ], f);
+})(function(){
+
+var __meta__ = { // jshint ignore:line
+    id: "data.indexeddb",
+    name: "IndexedDB",
+    category: "framework",
+    depends: [ "data" ],
+    hidden: true
+};
+
+(function($, undefined) {
+    var kendo = window.kendo,
+        extend = $.extend,
+        stringify = kendo.stringify,
+        Class = kendo.Class,
+        READONLY = "readonly",
+        READWRITE = "readwrite",
+        ORDER = "__order__";
+
+    function transaction(db, store, mode, callback) {
+        var tx = db.transaction(store, mode),
+            deferred = $.Deferred();
+
+        tx.oncomplete = function() {
+            deferred.resolve();
+        };
+
+        tx.onabort = tx.onerror = function() {
+            deferred.reject(tx.error);
+        };
+
+        callback(tx.objectStore(store));
+
+        return deferred.promise();
+    }
+
+    function serialize(item) {
+        var value = extend({}, item);
+
+        // the uid is regenerated on every load and must not cause a record to be rewritten
+        delete value.uid;
+
+        return stringify(value);
+    }
+
+    var IndexedDBStorage = Class.extend({
+        init: function(options) {
+            options = this.options = extend({}, this.options, options);
+
+            if (!options.name) {
+                throw new Error('The "name" option must be set.');
+            }
+
+            this._records = null;
+            this._order = null;
+        },
+
+        options: {
+            name: "",
+            store: "records",
+            key: "id"
+        },
+
+        _open: function() {
+            var that = this,
+                options = that.options,
+                indexedDB = options.indexedDB || window.indexedDB,
+                deferred,
+                open;
+
+            if (!that._db) {
+                deferred = $.Deferred();
+                open = indexedDB.open(options.name, 1);
+
+                open.onupgradeneeded = function() {
+                    var db = open.result;
+
+                    if (!db.objectStoreNames.contains(options.store)) {
+                        db.createObjectStore(options.store, { keyPath: "key" });
+                    }
+                };
+
+                open.onsuccess = function() {
+                    var db = open.result;
+
+                    // let other connections delete or upgrade the database
+                    db.onversionchange = function() {
+                        db.close();
+                        that._db = null;
+                    };
+
+                    deferred.resolve(db);
+                };
+
+                open.onerror = function() {
+                    deferred.reject(open.error);
+                };
+
+                that._db = deferred.promise();
+            }
+
+            return that._db;
+        },
+
+        _recordKey: function(item, index) {
+            var id = item[this.options.key];
+
+            if (id !== undefined && id !== null && id !== "" && item.__state__ != "create") {
+                return "id:" + id;
+            }
+
+            if (item.uid) {
+                return "uid:" + item.uid;
+            }
+
+            return "index:" + index;
+        },
+
+        getItem: function() {
+            var that = this,
+                store = that.options.store;
+
+            return that._open().then(function(db) {
+                var records = {},
+                    order = [];
+
+                return transaction(db, store, READONLY, function(objectStore) {
+                    var cursor = objectStore.openCursor();
+
+                    cursor.onsuccess = function() {
+                        var current = cursor.result;
+
+                        if (current) {
+                            if (current.value.key === ORDER) {
+                                order = current.value.keys;
+                            } else {
+                                records[current.value.key] = current.value.value;
+                            }
+
+                            current["continue"]();
+                        }
+                    };
+                }).then(function() {
+                    var result = [],
+                        cache = {},
+                        idx;
+
+                    for (idx = 0; idx < order.length; idx++) {
+                        if (records[order[idx]]) {
+                            result.push(records[order[idx]]);
+                            cache[order[idx]] = serialize(records[order[idx]]);
+                        }
+                    }
+
+                    // a write which started meanwhile already knows the stored records
+                    if (!that._records) {
+                        that._records = cache;
+                        that._order = order.join(",");
+                    }
+
+                    return result;
+                });
+            });
+        },
+
+        setItem: function(state) {
+            var that = this,
+                store = that.options.store;
+
+            state = state || [];
+
+            return that._open().then(function(db) {
+                var cache = that._records,
+                    records = {},
+                    keys = [],
+                    order;
+
+                return transaction(db, store, READWRITE, function(objectStore) {
+                    var item,
+                        key,
+                        idx;
+
+                    // nothing is known about the stored records until they are read, so start over
+                    if (!cache) {
+                        objectStore.clear();
+                    }
+
+                    for (idx = 0; idx < state.length; idx++) {
+                        item = state[idx];
+                        key = that._recordKey(item, idx);
+
+                        keys.push(key);
+                        records[key] = serialize(item);
+
+                        if (!cache || cache[key] !== records[key]) {
+                            objectStore.put({ key: key, value: item });
+                        }
+                    }
+
+                    for (key in cache) {
+                        if (!records.hasOwnProperty(key)) {
+                            objectStore["delete"](key);
+                        }
+                    }
+
+                    order = keys.join(",");
+
+                    if (order !== that._order) {
+                        objectStore.put({ key: ORDER, keys: keys });
+                    }
+
+                    that._records = records;
+                    that._order = order;
+                }).fail(function() {
+                    that._records = null;
+                    that._order = null;
+                });
+            });
+        },
+
+        clear: function() {
+            var that = this,
+                store = that.options.store;
+
+            return that._open().then(function(db) {
+                return transaction(db, store, READWRITE, function(objectStore) {
+                    objectStore.clear();
+
+                    that._records = {};
+                    that._order = "";
+                });
+            });
+        }
+    });
+
+    extend(true, kendo.data, {
+        IndexedDBStorage: IndexedDBStorage
+    });
+
+})(window.kendo.jQuery);
+
+return window.kendo;
+
+}, typeof define == 'function' && define.amd ? define : function(a1, a2, a3){ (a3 || a2)(); });
@@ -18,6 +18,41 @@ var __meta__ = { // jshint ignore:line
         name: "SignalR",
         description: "Support for binding to SignalR hubs.",
         depends: [ "data.signalr" ]
+    }, {
+        id: "data-jsonapi",
+        name: "JSON:API",
+        description: "Support for accessing JSON:API services.",
+        depends: [ "data.jsonapi" ]
+    }, {
+        id: "data-graphql",
+        name: "GraphQL",
+        description: "Support for accessing GraphQL services.",
+        depends: [ "data.graphql" ]
+    }, {
+        id: "data-indexeddb",
+        name: "IndexedDB",
+        description: "Support for storing offline data in IndexedDB.",
+        depends: [ "data.indexeddb" ]
+    }, {
+        id: "data-ndjson",
+        name: "NDJSON",
+        description: "Support for streaming newline-delimited JSON.",
+        depends: [ "data.ndjson" ]
+    }, {
+        id: "data-csv",
+        name: "CSV",
+        description: "Support for binding to CSV.",
+        depends: [ "data.csv" ]
+    }, {
+        id: "data-websocket",
+        name: "WebSocket",
+        description: "Support for WebSocket push and CRUD services.",
+        depends: [ "data.websocket" ]
+    }, {
+        id: "data-sse",
+        name: "Server-Sent Events",
+        description: "Support for receiving DataSource updates over Server-Sent Events.",
+        depends: [ "data.sse" ]
     }, {
         id: "data-XML",
         name: "XML",
@@ -55,7 +90,10 @@ var __meta__ = { // jshint ignore:line
         ERROR = "error",
         REQUESTSTART = "requestStart",
         PROGRESS = "progress",
+        READPROGRESS = "readProgress",
         REQUESTEND = "requestEnd",
+        CONFLICT = "conflict",
+        HISTORY = "history",
         crud = [CREATE, READ, UPDATE, DESTROY],
         identity = function(o) { return o; },
         getter = kendo.getter,
@@ -138,18 +176,36 @@ var __meta__ = { // jshint ignore:line
 
                 object.parent = parent;
 
-                object.bind(CHANGE, function(e) {
-                    that.trigger(CHANGE, {
+                // an item which is inserted again must not notify the array twice
+                object.unbind(CHANGE, that._itemChangeHandler());
+                object.bind(CHANGE, that._itemChangeHandler());
+            }
+
+            return object;
+        },
+
+        _itemChangeHandler: function() {
+            var that = this;
+
+            if (!that._itemChange) {
+                that._itemChange = function(e) {
+                    var event = {
                         field: e.field,
                         node: e.node,
                         index: e.index,
                         items: e.items || [this],
                         action: e.node ? (e.action || "itemloaded") : "itemchange"
-                    });
-                });
+                    };
+
+                    if ("previous" in e) {
+                        event.previous = e.previous;
+                    }
+
+                    that.trigger(CHANGE, event);
+                };
             }
 
-            return object;
+            return that._itemChange;
         },
 
         push: function() {
@@ -441,7 +497,9 @@ var __meta__ = { // jshint ignore:line
             if (prefix) {
                 event.field = field + "." + e.field;
             } else {
+                // the previous value belongs to a member of the array and not to the field
                 event.field = field;
+                delete event.previous;
             }
 
             if (type == CHANGE && context._notifyChange) {
@@ -567,7 +625,7 @@ var __meta__ = { // jshint ignore:line
                         value = that.wrap(value, field, function() { return that; });
                     }
                     if (!that._set(field, value) || field.indexOf("(") >= 0 || field.indexOf("[") >= 0) {
-                        that.trigger(CHANGE, { field: field });
+                        that.trigger(CHANGE, { field: field, previous: current });
                     }
                 }
             }
@@ -733,12 +791,91 @@ var __meta__ = { // jshint ignore:line
                     that.id = that._defaultId;
                 }
             }
+
+            that._computeAll();
         },
 
         shouldSerialize: function(field) {
+            var computed = this._computed;
+
             return ObservableObject.fn.shouldSerialize.call(this, field) &&
                 field !== "uid" && !(this.idField !== "id" && field === "id") &&
-                field !== "dirty" &&  field !== "dirtyFields" && field !== "_accessors";
+                field !== "dirty" &&  field !== "dirtyFields" && field !== "_accessors" && field !== "_dependencies" &&
+                !(computed && computed.hasOwnProperty(field) && !computed[field].serializable);
+        },
+
+        trigger: function(eventName, e) {
+            var that = this,
+                changed = eventName === CHANGE && e && e.field && that._computed ? that._updateComputed(e.field) : [],
+                result = ObservableObject.fn.trigger.call(that, eventName, e);
+
+            for (var idx = 0; idx < changed.length; idx++) {
+                that.trigger(CHANGE, { field: changed[idx] });
+            }
+
+            return result;
+        },
+
+        _compute: function(field) {
+            var that = this,
+                dependencies = {},
+                track = function(e) {
+                    dependencies[e.field] = true;
+                };
+
+            // the fields read through get while computing the value are its dependencies
+            that.bind(GET, track);
+
+            try {
+                that[field] = that._computed[field].computed.call(that);
+            } finally {
+                that.unbind(GET, track);
+            }
+
+            that._dependencies[field] = dependencies;
+
+            return that[field];
+        },
+
+        _computeAll: function() {
+            var that = this,
+                field;
+
+            if (that._computed) {
+                that._dependencies = {};
+
+                for (field in that._computed) {
+                    that._compute(field);
+                }
+            }
+        },
+
+        _updateComputed: function(changed) {
+            var that = this,
+                result = [],
+                dependency,
+                previous,
+                field;
+
+            for (field in that._computed) {
+                if (field === changed) {
+                    continue;
+                }
+
+                for (dependency in that._dependencies[field]) {
+                    if (dependency === changed || dependency.indexOf(changed + ".") === 0 || changed.indexOf(dependency + ".") === 0) {
+                        previous = that[field];
+
+                        if (!equal(previous, that._compute(field))) {
+                            result.push(field);
+                        }
+
+                        break;
+                    }
+                }
+            }
+
+            return result;
         },
 
         _parse: function(field, value) {
@@ -818,6 +955,8 @@ var __meta__ = { // jshint ignore:line
                 that.id = that.get(that.idField);
             }
 
+            that._computeAll();
+
             that.dirty = false;
             that.dirtyFields = {};
         },
@@ -844,6 +983,9 @@ var __meta__ = { // jshint ignore:line
             fields = {},
             originalName,
             id = proto.id,
+            version = proto.version,
+            parentId = proto.parentId,
+            computed = null,
             functionFields = [];
 
         if (id) {
@@ -854,6 +996,16 @@ var __meta__ = { // jshint ignore:line
             delete proto.id;
         }
 
+        if (version) {
+            proto.versionField = version;
+            delete proto.version;
+        }
+
+        if (parentId) {
+            proto.parentIdField = parentId;
+            delete proto.parentId;
+        }
+
         if (id) {
             proto.defaults[id] = proto._defaultId = "";
         }
@@ -878,6 +1030,19 @@ var __meta__ = { // jshint ignore:line
 
             name = typeof (field.field) === STRING ? field.field : name;
 
+            if (isFunction(field.computed)) {
+                // the descriptor is copied as the fields may be shared with other models
+                if (proto.fields === options.fields) {
+                    proto.fields = extend({}, proto.fields);
+                }
+
+                field = proto.fields[originalName] = extend({}, field, { editable: false });
+
+                computed = computed || {};
+                computed[originalName] = field;
+                continue;
+            }
+
             if (!field.nullable) {
                 value = proto.defaults[originalName !== name ? originalName : name] = field.defaultValue !== undefined ? field.defaultValue : defaultValues[type.toLowerCase()];
 
@@ -899,6 +1064,10 @@ var __meta__ = { // jshint ignore:line
             proto._initializers = functionFields;
         }
 
+        if (computed) {
+            proto._computed = computed;
+        }
+
         model = base.extend(proto);
         model.define = function(options) {
             return Model.define(model, options);
@@ -907,6 +1076,7 @@ var __meta__ = { // jshint ignore:line
         if (proto.fields) {
             model.fields = proto.fields;
             model.idField = proto.idField;
+            model.versionField = proto.versionField;
         }
 
         return model;
@@ -1195,6 +1365,115 @@ var __meta__ = { // jshint ignore:line
         };
     })();
 
+    function comparable(value, ignore) {
+        if (value && value.getTime) {
+            return value.getTime();
+        }
+
+        if (ignore && typeof value === STRING) {
+            return value.toLowerCase();
+        }
+
+        return value;
+    }
+
+    function isIn(value, values, ignore) {
+        value = comparable(value, ignore);
+
+        for (var idx = 0, length = values ? values.length : 0; idx < length; idx++) {
+            if (comparable(values[idx], ignore) === value) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    function odataList(field, values, format, op, logic, empty) {
+        var result = [];
+
+        for (var idx = 0, length = values ? values.length : 0; idx < length; idx++) {
+            result.push(field + " " + op + " " + format(values[idx]));
+        }
+
+        return result.length ? "(" + result.join(" " + logic + " ") + ")" : empty;
+    }
+
+    // operators which can be used in filter expressions in addition to the built-in ones.
+    // predicate evaluates the operator on the client, odata translates it to an OData $filter
+    // expression and filterable holds the operator text for each field type.
+    var filterOperators = {
+        "in": {
+            predicate: function(value, values, ignore) {
+                return isIn(value, values, ignore);
+            },
+            odata: function(field, values, format) {
+                return odataList(field, values, format, "eq", "or", "false");
+            },
+            filterable: {
+                string: "Is in",
+                number: "Is in",
+                date: "Is in",
+                enums: "Is in"
+            }
+        },
+        notin: {
+            predicate: function(value, values, ignore) {
+                return !isIn(value, values, ignore);
+            },
+            odata: function(field, values, format) {
+                return odataList(field, values, format, "ne", "and", "true");
+            },
+            filterable: {
+                string: "Is not in",
+                number: "Is not in",
+                date: "Is not in",
+                enums: "Is not in"
+            }
+        },
+        between: {
+            // a missing bound leaves the range open on that side
+            predicate: function(value, range, ignore) {
+                range = range || [];
+                value = comparable(value, ignore);
+
+                return value != null &&
+                    (range[0] == null || value >= comparable(range[0], ignore)) &&
+                    (range[1] == null || value <= comparable(range[1], ignore));
+            },
+            odata: function(field, range, format) {
+                var result = [];
+
+                range = range || [];
+
+                if (range[0] != null) {
+                    result.push(field + " ge " + format(range[0]));
+                }
+
+                if (range[1] != null) {
+                    result.push(field + " le " + format(range[1]));
+                }
+
+                return result.length > 1 ? "(" + result.join(" and ") + ")" : (result[0] || "true");
+            },
+            filterable: {
+                number: "Is between",
+                date: "Is between"
+            }
+        }
+    };
+
+    // operators are looked up by their lower case name, so they are registered in lower case
+    function registerFilterOperator(name, operator) {
+        kendo.data.filterOperators[name.toLowerCase()] = operator;
+    }
+
+    function filterOperator(operator, value, ignore, accentFoldingFiltering) {
+        return function(a) {
+            return operator.predicate(a, value, ignore, accentFoldingFiltering);
+        };
+    }
+
     function Query(data) {
         this.data = data || [];
     }
@@ -1210,12 +1489,14 @@ var __meta__ = { // jshint ignore:line
             operatorFunctions = [],
             field,
             operator,
+            ignoreCase,
             filters = expression.filters;
 
         for (idx = 0, length = filters.length; idx < length; idx++) {
             filter = filters[idx];
             field = filter.field;
             operator = filter.operator;
+            ignoreCase = filter.ignoreCase !== undefined ? filter.ignoreCase : true;
 
             if (filter.filters) {
                 expr = Query.filterExpr(filter);
@@ -1244,7 +1525,20 @@ var __meta__ = { // jshint ignore:line
                     filter = "__o[" + operatorFunctions.length + "](" + expr + ", " + operators.quote(filter.value) + ")";
                     operatorFunctions.push(operator);
                 } else {
-                    filter = operators[(operator || "eq").toLowerCase()](expr, filter.value, filter.ignoreCase !== undefined? filter.ignoreCase : true, expression.accentFoldingFiltering);
+                    operator = (operator || "eq").toLowerCase();
+
+                    if (operator === "any" || operator === "all") {
+                        operatorFunctions.push(collectionFilter(operator, filter.value, expression.accentFoldingFiltering));
+                        filter = "__o[" + (operatorFunctions.length - 1) + "](" + expr + ")";
+                    } else if (operator === "count") {
+                        operatorFunctions.push(collectionCount(filter.value, expression.accentFoldingFiltering));
+                        filter = "__o[" + (operatorFunctions.length - 1) + "](" + expr + ")";
+                    } else if (kendo.data.filterOperators.hasOwnProperty(operator)) {
+                        operatorFunctions.push(filterOperator(kendo.data.filterOperators[operator], filter.value, ignoreCase, expression.accentFoldingFiltering));
+                        filter = "__o[" + (operatorFunctions.length - 1) + "](" + expr + ")";
+                    } else {
+                        filter = operators[operator](expr, filter.value, ignoreCase, expression.accentFoldingFiltering);
+                    }
                 }
             }
 
@@ -1311,6 +1605,12 @@ var __meta__ = { // jshint ignore:line
 
                 if (operator && typeof operator === STRING) {
                     filter.operator = operatorMap[operator.toLowerCase()] || operator;
+
+                    if (filter.operator === "any" || filter.operator === "all") {
+                        filter.value = normalizeFilter(filter.value);
+                    } else if (filter.operator === "count" && isPlainObject(filter.value) && filter.value.filter) {
+                        filter.value = extend({}, filter.value, { filter: normalizeFilter(filter.value.filter) });
+                    }
                 }
 
                 normalizeOperator(filter);
@@ -1335,6 +1635,288 @@ var __meta__ = { // jshint ignore:line
 
     Query.normalizeFilter = normalizeFilter;
 
+    function compileFilter(expression, accentFoldingFiltering) {
+        var compiled,
+            predicate;
+
+        expression = normalizeFilter(expression);
+
+        if (!expression || !expression.filters.length) {
+            return function() { return true; };
+        }
+
+        compiled = Query.filterExpr(accentFoldingFiltering ? extend({}, expression, { accentFoldingFiltering: accentFoldingFiltering }) : expression);
+        predicate = new Function("d, __f, __o", "return " + compiled.expression);
+
+        return function(item) {
+            return predicate(item, compiled.fields, compiled.operators);
+        };
+    }
+
+    // any and all evaluate their filter expression (the value of the descriptor) against the members of an array field
+    function collectionFilter(operator, expression, accentFoldingFiltering) {
+        var all = operator === "all",
+            predicate = compileFilter(expression, accentFoldingFiltering);
+
+        return function(items) {
+            var length = items ? items.length : 0,
+                match,
+                idx;
+
+            for (idx = 0; idx < length; idx++) {
+                match = predicate(items[idx]);
+
+                if (match && !all) {
+                    return true;
+                } else if (!match && all) {
+                    return false;
+                }
+            }
+
+            return all;
+        };
+    }
+
+    var countOperators = {
+        eq: function(a, b) { return a === b; },
+        neq: function(a, b) { return a !== b; },
+        gt: function(a, b) { return a > b; },
+        gte: function(a, b) { return a >= b; },
+        lt: function(a, b) { return a < b; },
+        lte: function(a, b) { return a <= b; }
+    };
+
+    // count compares the number of array members which match the optional filter of its value, e.g.
+    // { field: "items", operator: "count", value: { operator: "gt", value: 2, filter: { field: "qty", operator: "gt", value: 5 } } }
+    function collectionCount(value, accentFoldingFiltering) {
+        var descriptor = typeof value === "number" ? { value: value } : (value || {}),
+            operator = String(descriptor.operator || "eq").toLowerCase(),
+            compare = countOperators[operatorMap[operator] || operator],
+            predicate = compileFilter(descriptor.filter, accentFoldingFiltering);
+
+        if (!compare) {
+            throw new Error('The "' + descriptor.operator + '" operator cannot compare a count.');
+        }
+
+        return function(items) {
+            var length = items ? items.length : 0,
+                count = 0,
+                idx;
+
+            for (idx = 0; idx < length; idx++) {
+                if (predicate(items[idx])) {
+                    count++;
+                }
+            }
+
+            return compare(count, descriptor.value);
+        };
+    }
+
+    var searchScores = {
+            word: 1,
+            prefix: 0.8,
+            infix: 0.5,
+            fuzzy: 0.4
+        },
+        wordBoundaryRegExp = /[\s.,;:!?'"()\[\]{}\/\\_-]/,
+        wordRegExp = /[^\s.,;:!?'"()\[\]{}\/\\_-]+/g;
+
+    function foldCase(value, culture) {
+        value = value + "";
+
+        return culture ? value.toLocaleLowerCase(culture) : value.toLowerCase();
+    }
+
+    function editDistance(a, b) {
+        var previous = [],
+            current,
+            i,
+            j;
+
+        for (j = 0; j <= b.length; j++) {
+            previous[j] = j;
+        }
+
+        for (i = 1; i <= a.length; i++) {
+            current = [i];
+
+            for (j = 1; j <= b.length; j++) {
+                current[j] = math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1));
+            }
+
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    function normalizeSearch(options) {
+        var fields = [],
+            field,
+            idx;
+
+        if (!options || !$.trim(options.text)) {
+            return null;
+        }
+
+        if (!options.fields || !options.fields.length) {
+            throw new Error('The "fields" option must be set.');
+        }
+
+        for (idx = 0; idx < options.fields.length; idx++) {
+            field = options.fields[idx];
+            fields.push(typeof field === STRING ? { field: field, weight: 1 } : extend({ weight: 1 }, field));
+        }
+
+        return extend({}, options, { fields: fields });
+    }
+
+    function searchTokens(text, culture) {
+        var tokens = foldCase(text, culture).split(/\s+/),
+            result = [],
+            idx;
+
+        for (idx = 0; idx < tokens.length; idx++) {
+            if (tokens[idx] && $.inArray(tokens[idx], result) < 0) {
+                result.push(tokens[idx]);
+            }
+        }
+
+        return result;
+    }
+
+    function isWordBoundary(value, index) {
+        return index < 0 || index >= value.length || wordBoundaryRegExp.test(value.charAt(index));
+    }
+
+    // scores the best match of the token in the value and returns the ranges of all matches
+    function matchToken(value, token, fuzzy) {
+        var score = 0,
+            ranges = [],
+            distance = fuzzy === true ? (token.length < 4 ? 0 : (token.length < 8 ? 1 : 2)) : (fuzzy || 0),
+            index = value.indexOf(token),
+            current,
+            word,
+            match;
+
+        while (index > -1) {
+            if (!isWordBoundary(value, index - 1)) {
+                current = searchScores.infix;
+            } else if (isWordBoundary(value, index + token.length)) {
+                current = searchScores.word;
+            } else {
+                current = searchScores.prefix;
+            }
+
+            score = math.max(score, current);
+            ranges.push({ start: index, length: token.length });
+            index = value.indexOf(token, index + token.length);
+        }
+
+        if (!ranges.length && distance > 0) {
+            wordRegExp.lastIndex = 0;
+
+            while ((match = wordRegExp.exec(value))) {
+                word = match[0];
+                current = math.min(editDistance(token, word), editDistance(token, word.substring(0, token.length)));
+
+                if (current <= distance) {
+                    score = math.max(score, searchScores.fuzzy * (1 - current / (token.length + 1)));
+                    ranges.push({ start: match.index, length: word.length });
+                }
+            }
+        }
+
+        return score ? { score: score, ranges: ranges } : null;
+    }
+
+    function mergeRanges(ranges) {
+        var result = [],
+            last,
+            idx;
+
+        ranges.sort(function(a, b) {
+            return a.start - b.start;
+        });
+
+        for (idx = 0; idx < ranges.length; idx++) {
+            last = result[result.length - 1];
+
+            if (last && ranges[idx].start <= last.start + last.length) {
+                last.length = math.max(last.length, ranges[idx].start + ranges[idx].length - last.start);
+            } else {
+                result.push(extend({}, ranges[idx]));
+            }
+        }
+
+        return result;
+    }
+
+    // returns the items which match every token of the search text along with their score and match ranges,
+    // ordered by relevance
+    function searchData(data, options) {
+        var culture = options.accentFolding,
+            tokens = searchTokens(options.text, culture),
+            fields = options.fields,
+            results = [],
+            item,
+            value,
+            ranges,
+            matches,
+            match,
+            score,
+            best,
+            idx,
+            fieldIdx,
+            tokenIdx;
+
+        for (idx = 0; idx < data.length; idx++) {
+            item = data[idx];
+            score = 0;
+            ranges = {};
+
+            for (tokenIdx = 0; tokenIdx < tokens.length; tokenIdx++) {
+                best = 0;
+
+                for (fieldIdx = 0; fieldIdx < fields.length; fieldIdx++) {
+                    value = getter(fields[fieldIdx].field, true)(item);
+
+                    if (typeof value !== STRING && typeof value !== "number") {
+                        continue;
+                    }
+
+                    match = matchToken(foldCase(value, culture), tokens[tokenIdx], options.fuzzy);
+
+                    if (match) {
+                        best = math.max(best, match.score * fields[fieldIdx].weight);
+                        ranges[fields[fieldIdx].field] = (ranges[fields[fieldIdx].field] || []).concat(match.ranges);
+                    }
+                }
+
+                if (!best) {
+                    break;
+                }
+
+                score += best;
+            }
+
+            if (best) {
+                matches = {};
+
+                for (value in ranges) {
+                    matches[value] = mergeRanges(ranges[value]);
+                }
+
+                results.push({ item: item, score: score, matches: matches, index: idx });
+            }
+        }
+
+        return results.sort(function(a, b) {
+            return b.score - a.score || a.index - b.index;
+        });
+    }
+
     function compareDescriptor(f1, f2) {
         if (f1.logic || f2.logic) {
             return false;
@@ -1499,6 +2081,18 @@ var __meta__ = { // jshint ignore:line
             return this;
         },
 
+        search: function(options) {
+            options = normalizeSearch(options);
+
+            if (!options) {
+                return this;
+            }
+
+            return new Query(map(searchData(this.data, options), function(result) {
+                return result.item;
+            }));
+        },
+
         filter: function(expressions) {
             var idx,
             current,
@@ -1659,84 +2253,243 @@ var __meta__ = { // jshint ignore:line
         return a === b;
     }
 
-    function calculateAggregate(accumulator, aggregates, item, index, length, state) {
+    function aggregateFunction(name) {
+        var registry = kendo.data.aggregates,
+            lowerName = name.toLowerCase(),
+            key;
+
+        if (registry[name]) {
+            return registry[name];
+        }
+
+        for (key in registry) {
+            if (key.toLowerCase() === lowerName) {
+                return registry[key];
+            }
+        }
+
+        throw new Error(kendo.format('The "{0}" aggregate is not defined.', name));
+    }
+
+    function aggregateValue(descriptor, item) {
+        if (isFunction(descriptor.expression)) {
+            return descriptor.expression(item);
+        }
+
+        return kendo.accessor(descriptor.field).get(item);
+    }
+
+    function calculateAggregate(accumulator, aggregates, item, index, length, state) {
         aggregates = aggregates || [];
         var idx,
             aggr,
             functionName,
+            definition,
+            current,
             len = aggregates.length;
 
         for (idx = 0; idx < len; idx++) {
             aggr = aggregates[idx];
             functionName = aggr.aggregate;
+            definition = aggregateFunction(functionName);
             var field = aggr.field;
             accumulator[field] = accumulator[field] || {};
-            state[field] = state[field] || {};
-            state[field][functionName] = state[field][functionName] || {};
-            accumulator[field][functionName] = functions[functionName.toLowerCase()](accumulator[field][functionName], item, kendo.accessor(field), index, length, state[field][functionName]);
+            // the state is kept per descriptor, as a field may have the same aggregate with different options
+            current = state[idx];
+
+            if (!current) {
+                current = state[idx] = {
+                    value: definition.init ? definition.init(aggr) : undefined
+                };
+            }
+
+            current.value = definition.step(current.value, aggregateValue(aggr, item), item, aggr);
+
+            if (index == length - 1) {
+                accumulator[field][aggr.name || functionName] = definition.result ? definition.result(current.value, aggr) : current.value;
+            }
+        }
+    }
+
+    function collectNumber(values, value) {
+        if (isNumber(value)) {
+            values.push(value);
         }
+
+        return values;
+    }
+
+    function percentile(values, p) {
+        var rank,
+            lower;
+
+        if (!values.length) {
+            return null;
+        }
+
+        values.sort(function(a, b) {
+            return a - b;
+        });
+
+        rank = (values.length - 1) * math.min(math.max(p, 0), 1);
+        lower = math.floor(rank);
+
+        return values[lower] + (values[math.min(lower + 1, values.length - 1)] - values[lower]) * (rank - lower);
+    }
+
+    function emptyArray() {
+        return [];
     }
 
     var functions = {
-        sum: function(accumulator, item, accessor) {
-            var value = accessor.get(item);
+        sum: {
+            step: function(accumulator, value) {
+                if (!isNumber(accumulator)) {
+                    accumulator = value;
+                } else if (isNumber(value)) {
+                    accumulator += value;
+                }
 
-            if (!isNumber(accumulator)) {
-                accumulator = value;
-            } else if (isNumber(value)) {
-                accumulator += value;
+                return accumulator;
             }
-
-            return accumulator;
         },
-        count: function(accumulator) {
-            return (accumulator || 0) + 1;
+        count: {
+            init: function() {
+                return 0;
+            },
+            step: function(accumulator) {
+                return accumulator + 1;
+            }
         },
-        average: function(accumulator, item, accessor, index, length, state) {
-            var value = accessor.get(item);
+        average: {
+            init: function() {
+                return { count: 0 };
+            },
+            step: function(state, value) {
+                if (!isNumber(state.sum)) {
+                    state.sum = value;
+                } else if (isNumber(value)) {
+                    state.sum += value;
+                }
 
-            if (state.count === undefined) {
-                state.count = 0;
-            }
+                if (isNumber(value)) {
+                    state.count++;
+                }
 
-            if (!isNumber(accumulator)) {
-                accumulator = value;
-            } else if (isNumber(value)) {
-                accumulator += value;
+                return state;
+            },
+            result: function(state) {
+                return isNumber(state.sum) ? state.sum / state.count : state.sum;
             }
+        },
+        max: {
+            step: function(accumulator, value) {
+                if (!isNumber(accumulator) && !isDate(accumulator)) {
+                    accumulator = value;
+                }
 
-            if (isNumber(value)) {
-                state.count++;
+                if(accumulator < value && (isNumber(value) || isDate(value))) {
+                    accumulator = value;
+                }
+                return accumulator;
             }
+        },
+        min: {
+            step: function(accumulator, value) {
+                if (!isNumber(accumulator) && !isDate(accumulator)) {
+                    accumulator = value;
+                }
 
-            if(index == length - 1 && isNumber(accumulator)) {
-                accumulator = accumulator / state.count;
+                if(accumulator > value && (isNumber(value) || isDate(value))) {
+                    accumulator = value;
+                }
+                return accumulator;
+            }
+        },
+        median: {
+            init: emptyArray,
+            step: collectNumber,
+            result: function(values) {
+                return percentile(values, 0.5);
             }
-            return accumulator;
         },
-        max: function(accumulator, item, accessor) {
-            var value = accessor.get(item);
+        percentile: {
+            init: function(descriptor) {
+                if (!isNumber(descriptor.p)) {
+                    throw new Error('The "p" option must be set.');
+                }
 
-            if (!isNumber(accumulator) && !isDate(accumulator)) {
-                accumulator = value;
+                return [];
+            },
+            step: collectNumber,
+            result: function(values, descriptor) {
+                return percentile(values, descriptor.p);
             }
+        },
+        distinctCount: {
+            init: function() {
+                return { keys: {}, count: 0 };
+            },
+            step: function(state, value) {
+                var key;
+
+                if (value != null) {
+                    key = isDate(value) ? "date:" + value.getTime() : typeof value + ":" + value;
+
+                    if (!state.keys.hasOwnProperty(key)) {
+                        state.keys[key] = true;
+                        state.count++;
+                    }
+                }
 
-            if(accumulator < value && (isNumber(value) || isDate(value))) {
-                accumulator = value;
+                return state;
+            },
+            result: function(state) {
+                return state.count;
             }
-            return accumulator;
         },
-        min: function(accumulator, item, accessor) {
-            var value = accessor.get(item);
+        first: {
+            init: function() {
+                return {};
+            },
+            step: function(state, value) {
+                if (!state.found) {
+                    state.found = true;
+                    state.value = value;
+                }
 
-            if (!isNumber(accumulator) && !isDate(accumulator)) {
-                accumulator = value;
+                return state;
+            },
+            result: function(state) {
+                return state.value;
+            }
+        },
+        last: {
+            step: function(accumulator, value) {
+                return value;
             }
+        },
+        weightedAverage: {
+            init: function(descriptor) {
+                if (!descriptor.weight) {
+                    throw new Error('The "weight" option must be set.');
+                }
+
+                return { sum: 0, weight: 0 };
+            },
+            step: function(state, value, item, descriptor) {
+                var weight = isFunction(descriptor.weight) ? descriptor.weight(item) : getter(descriptor.weight, true)(item);
 
-            if(accumulator > value && (isNumber(value) || isDate(value))) {
-                accumulator = value;
+                if (isNumber(value) && isNumber(weight)) {
+                    state.sum += value * weight;
+                    state.weight += weight;
+                }
+
+                return state;
+            },
+            result: function(state) {
+                return state.weight ? state.sum / state.weight : null;
             }
-            return accumulator;
         }
     };
 
@@ -1748,6 +2501,22 @@ var __meta__ = { // jshint ignore:line
         return val && val.getTime;
     }
 
+    function isThenable(val) {
+        return val && isFunction(val.then);
+    }
+
+    function toPromise(val) {
+        var deferred = $.Deferred();
+
+        if (isThenable(val)) {
+            val.then(deferred.resolve, deferred.reject);
+        } else {
+            deferred.resolve(val);
+        }
+
+        return deferred.promise();
+    }
+
     function toJSON(array) {
         var idx, length = array.length, result = new Array(length);
 
@@ -1774,6 +2543,8 @@ var __meta__ = { // jshint ignore:line
             total,
             filterCallback = options.filterCallback,
             filter = options.filter,
+            search = normalizeSearch(options.search),
+            searchResults,
             skip = options.skip,
             take = options.take;
 
@@ -1799,6 +2570,20 @@ var __meta__ = { // jshint ignore:line
             }
         }
 
+        // the relevance takes precedence over the sort order which only orders equally relevant items
+        if (search) {
+            searchResults = searchData(query.toArray(), search);
+            query = new Query(map(searchResults, function(result) {
+                return result.item;
+            }));
+
+            total = searchResults.length;
+
+            if (group) {
+                data = query.toArray();
+            }
+        }
+
         if (customGroupSort) {
             query = query.group(group, data);
 
@@ -1825,7 +2610,8 @@ var __meta__ = { // jshint ignore:line
 
         return {
             total: total,
-            data: query.toArray()
+            data: query.toArray(),
+            searchResults: searchResults
         };
     };
 
@@ -1848,6 +2634,27 @@ var __meta__ = { // jshint ignore:line
         }
     });
 
+    function isXml(options) {
+        return /xml/i.test((options && options.contentType) || "");
+    }
+
+    function postsXml(options) {
+        return !!options && (isXml(options.create) || isXml(options.update) || isXml(options.destroy));
+    }
+
+    function xmlBody(data) {
+        var stringify = kendo.data.XmlDataReader.stringify;
+
+        // the models of a batch are the children of a single root element
+        if (isArray(data.models)) {
+            return "<models>" + map(data.models, function(model) {
+                return stringify(model);
+            }).join("") + "</models>";
+        }
+
+        return stringify(data);
+    }
+
     var RemoteTransport = Class.extend( {
         init: function(options) {
             var that = this, parameterMap;
@@ -1869,7 +2676,8 @@ var __meta__ = { // jshint ignore:line
 
             parameterMap = options.parameterMap;
 
-            if (options.submit) {
+            // the changes are sent in separate requests when the batch option of the transport is false
+            if (options.submit && options.batch !== false) {
                 that.submit = options.submit;
             }
 
@@ -1931,7 +2739,7 @@ var __meta__ = { // jshint ignore:line
                     success(result);
                 };
 
-                $.ajax(options);
+                return $.ajax(options);
             }
         },
 
@@ -1956,6 +2764,18 @@ var __meta__ = { // jshint ignore:line
 
             options.data = that.parameterMap(parameters, type);
 
+            // the models serialized by the XML reader are posted as XML document
+            if (type !== READ && isXml(options) && isPlainObject(options.data) && kendo.data.XmlDataReader) {
+                options.data = xmlBody(options.data);
+                options.processData = false;
+            }
+
+            if (options.version != null) {
+                options.headers = extend({}, options.headers, { "If-Match": options.version });
+            }
+
+            delete options.version;
+
             if (isFunction(options.url)) {
                 options.url = options.url(parameters);
             }
@@ -2169,6 +2989,12 @@ var __meta__ = { // jshint ignore:line
         total: function(data) {
             return data.length;
         },
+        next: function() {
+            return null;
+        },
+        prev: function() {
+            return null;
+        },
         groups: identity,
         aggregates: function() {
             return {};
@@ -2275,6 +3101,145 @@ var __meta__ = { // jshint ignore:line
         return result;
     }
 
+    var exportContentTypes = {
+        csv: "text/csv;charset=utf-8",
+        tsv: "text/tab-separated-values;charset=utf-8",
+        json: "application/json;charset=utf-8"
+    };
+
+    function exportFields(fields, model, data) {
+        var result = [],
+            item,
+            field;
+
+        if (fields) {
+            return map(fields, function(field) {
+                return typeof field === STRING ? { field: field } : field;
+            });
+        }
+
+        if (model && model.fields && !isEmptyObject(model.fields)) {
+            for (field in model.fields) {
+                result.push({ field: field });
+            }
+
+            return result;
+        }
+
+        if (data.length) {
+            item = data[0].toJSON ? data[0].toJSON() : data[0];
+
+            for (field in item) {
+                if (!isFunction(item[field])) {
+                    result.push({ field: field });
+                }
+            }
+        }
+
+        return result;
+    }
+
+    function exportValue(item, field, culture, raw) {
+        var value = getter(field.field, true)(item);
+
+        if (isFunction(field.format)) {
+            return field.format(value, item);
+        }
+
+        if (raw && !field.format) {
+            return value;
+        }
+
+        if (value == null) {
+            return "";
+        }
+
+        // dates are written in the general pattern of the culture unless formatted otherwise
+        return "" + kendo.toString(value, field.format || (isDate(value) ? "G" : ""), culture);
+    }
+
+    function exportCell(text, options) {
+        var quote = options.quote;
+
+        text = "" + text;
+
+        if (quote && (options.quoteAll || text.indexOf(options.delimiter) > -1 || text.indexOf(quote) > -1 || /[\r\n]/.test(text))) {
+            text = quote + text.split(quote).join(quote + quote) + quote;
+        }
+
+        return text;
+    }
+
+    function exportDelimited(data, fields, options) {
+        var rows = [],
+            cells,
+            item,
+            idx,
+            fieldIdx;
+
+        if (options.headers) {
+            cells = [];
+
+            for (fieldIdx = 0; fieldIdx < fields.length; fieldIdx++) {
+                cells.push(exportCell(fields[fieldIdx].title || fields[fieldIdx].field, options));
+            }
+
+            rows.push(cells.join(options.delimiter));
+        }
+
+        for (idx = 0; idx < data.length; idx++) {
+            item = data[idx];
+            cells = [];
+
+            for (fieldIdx = 0; fieldIdx < fields.length; fieldIdx++) {
+                cells.push(exportCell(exportValue(item, fields[fieldIdx], options.culture), options));
+            }
+
+            rows.push(cells.join(options.delimiter));
+        }
+
+        return rows.join(options.lineSeparator);
+    }
+
+    function exportItems(data, fields, options, grouped) {
+        var result = [],
+            record,
+            group,
+            idx,
+            fieldIdx;
+
+        for (idx = 0; idx < data.length; idx++) {
+            if (grouped) {
+                group = data[idx];
+
+                result.push({
+                    field: group.field,
+                    value: group.value,
+                    aggregates: group.aggregates,
+                    items: exportItems(group.items, fields, options, group.hasSubgroups)
+                });
+            } else {
+                record = {};
+
+                for (fieldIdx = 0; fieldIdx < fields.length; fieldIdx++) {
+                    record[fields[fieldIdx].field] = exportValue(data[idx], fields[fieldIdx], options.culture, true);
+                }
+
+                result.push(record);
+            }
+        }
+
+        return result;
+    }
+
+    function exportFile(content, contentType, options) {
+        if (window.Blob && !options.forceProxy) {
+            return new Blob([content], { type: contentType });
+        }
+
+        return "data:" + contentType + ";base64," + window.btoa(window.unescape(encodeURIComponent(content)));
+    }
+
     function flattenGroups(data) {
         var idx,
             result = [],
@@ -2382,6 +3347,10 @@ var __meta__ = { // jshint ignore:line
         }
     }
 
+    function modelVersion(model) {
+        return model.versionField ? getter(model.versionField, true)(model) : undefined;
+    }
+
     function indexOfPristineModel(data, model) {
         if (model) {
             return indexOf(data, function(item) {
@@ -2481,7 +3450,7 @@ var __meta__ = { // jshint ignore:line
 
     var DataSource = Observable.extend({
         init: function(options) {
-            var that = this, model, data;
+            var that = this, model, data, schema;
 
             if (options) {
                 data = options.data;
@@ -2489,6 +3458,11 @@ var __meta__ = { // jshint ignore:line
 
             options = that.options = extend({}, that.options, options);
 
+            // the server returns a single page for a cursor, so it is never paged on the client
+            if (options.cursorPaging) {
+                options.serverPaging = true;
+            }
+
             that._map = {};
             that._prefetch = {};
             that._data = [];
@@ -2515,7 +3489,10 @@ var __meta__ = { // jshint ignore:line
                 that.transport.push({
                     pushCreate: proxy(that._pushCreate, that),
                     pushUpdate: proxy(that._pushUpdate, that),
-                    pushDestroy: proxy(that._pushDestroy, that)
+                    pushDestroy: proxy(that._pushDestroy, that),
+                    read: function() {
+                        that.read();
+                    }
                 });
             }
 
@@ -2536,16 +3513,24 @@ var __meta__ = { // jshint ignore:line
                 }
             }
 
-            that.reader = new kendo.data.readers[options.schema.type || "json" ](options.schema);
+            schema = options.schema;
+
+            // the XML models are serialized as XML when the transport posts XML
+            if (schema.type === "xml" && schema.serialize === undefined && postsXml(that.transport.options)) {
+                schema = extend({}, schema, { serialize: "xml" });
+            }
+
+            that.reader = new kendo.data.readers[schema.type || "json" ](schema);
 
             model = that.reader.model || {};
 
             that._detachObservableParents();
 
+            that._historySuspended = 0;
             that._data = that._observe(that._data);
             that._online = true;
 
-            that.bind(["push", ERROR, CHANGE, REQUESTSTART, SYNC, REQUESTEND, PROGRESS], options);
+            that.bind(["push", ERROR, CHANGE, REQUESTSTART, SYNC, REQUESTEND, PROGRESS, READPROGRESS, CONFLICT, HISTORY], options);
         },
 
         options: {
@@ -2559,14 +3544,31 @@ var __meta__ = { // jshint ignore:line
             serverFiltering: false,
             serverGrouping: false,
             serverAggregates: false,
+            cursorPaging: false,
+            cancelReads: false,
             batch: false,
-            inPlaceSort: false
+            inPlaceSort: false,
+            undoable: false,
+            conflictTimeout: 30000
         },
 
         clone: function() {
             return this;
         },
 
+        // unbinds the event handlers and closes the transport, the later read and sync calls are ignored
+        destroy: function() {
+            var transport = this.transport;
+
+            this._disposed = true;
+            this.unbind();
+
+            // transports which keep a connection open, e.g. WebSocket, close it
+            if (transport && isFunction(transport.close)) {
+                transport.close();
+            }
+        },
+
         online: function(value) {
             if (value !== undefined) {
                 if (this._online != value) {
@@ -2592,7 +3594,15 @@ var __meta__ = { // jshint ignore:line
                 return this._storage.setItem(state);
             }
 
-            return this._storage.getItem() || [];
+            var result = this._storage.getItem();
+
+            if (isThenable(result)) {
+                return toPromise(result).then(function(data) {
+                    return data || [];
+                });
+            }
+
+            return result || [];
         },
 
         _isServerGrouped: function() {
@@ -2786,6 +3796,7 @@ var __meta__ = { // jshint ignore:line
             var pushed = [];
             var autoSync = this.options.autoSync;
             this.options.autoSync = false;
+            this._historySuspended++;
 
             try {
                 for (var idx = 0; idx < items.length; idx ++) {
@@ -2811,6 +3822,7 @@ var __meta__ = { // jshint ignore:line
                 }
             } finally {
                 this.options.autoSync = autoSync;
+                this._historySuspended--;
             }
 
             if (pushed.length) {
@@ -2880,6 +3892,7 @@ var __meta__ = { // jshint ignore:line
             var destroyed = [];
             var autoSync = this.options.autoSync;
             this.options.autoSync = false;
+            this._historySuspended++;
             try {
                 for (var idx = 0; idx < items.length; idx ++) {
                     var item = items[idx];
@@ -2905,6 +3918,7 @@ var __meta__ = { // jshint ignore:line
                 }
             } finally {
                 this.options.autoSync = autoSync;
+                this._historySuspended--;
             }
 
             return destroyed;
@@ -2971,6 +3985,10 @@ var __meta__ = { // jshint ignore:line
 
             var promise = $.Deferred().resolve().promise();
 
+            if (that._disposed) {
+                return promise;
+            }
+
             if (that.online()) {
 
                 if (!that.reader.model) {
@@ -3001,16 +4019,31 @@ var __meta__ = { // jshint ignore:line
                         }
                     }
 
-                    that._storeData(true);
+                    var stored = that._storeData(true);
 
                     that._syncEnd();
 
+                    // the saved changes are no longer tracked, so undo cannot leave the server copy behind
+                    that._clearHistory();
+
                     that._change({ action: "sync" });
 
                     that.trigger(SYNC);
+
+                    // the changes are saved on the server, so a storage failure is only reported through the error event
+                    return toPromise(stored).then(null, function() {
+                        return $.Deferred().resolve().promise();
+                    });
+                });
+
+                promise.always(function() {
+                    if (that._conflictRead) {
+                        that._conflictRead = false;
+                        that.read();
+                    }
                 });
             } else {
-                that._storeData(true);
+                promise = toPromise(that._storeData(true));
 
                 that._syncEnd();
 
@@ -3027,6 +4060,7 @@ var __meta__ = { // jshint ignore:line
 
             if (model instanceof kendo.data.Model) {
                 that._cancelModel(model);
+                that._clearHistory();
             } else {
                 that._destroyed = [];
                 that._detachObservableParents();
@@ -3048,6 +4082,172 @@ var __meta__ = { // jshint ignore:line
 
         _changesCanceled: noop,
 
+        canUndo: function() {
+            return !!(this._undoStack && this._undoStack.length);
+        },
+
+        canRedo: function() {
+            return !!(this._redoStack && this._redoStack.length);
+        },
+
+        undo: function() {
+            var that = this,
+                entry = that.canUndo() ? that._undoStack.pop() : null;
+
+            if (entry) {
+                that._applyHistory(entry, true);
+                that._redoStack.push(entry);
+                that.trigger(HISTORY, { action: "undo", changes: entry });
+            }
+        },
+
+        redo: function() {
+            var that = this,
+                entry = that.canRedo() ? that._redoStack.pop() : null;
+
+            if (entry) {
+                that._applyHistory(entry, false);
+                that._undoStack.push(entry);
+                that.trigger(HISTORY, { action: "redo", changes: entry });
+            }
+        },
+
+        transaction: function(callback) {
+            var that = this,
+                changes;
+
+            if (that._transaction) {
+                callback.call(that);
+                return;
+            }
+
+            that._transaction = [];
+
+            try {
+                callback.call(that);
+            } finally {
+                changes = that._transaction;
+                that._transaction = null;
+
+                if (changes.length) {
+                    that._pushHistory(changes);
+                }
+            }
+        },
+
+        _clearHistory: function() {
+            var that = this,
+                cleared = that.canUndo() || that.canRedo();
+
+            that._undoStack = [];
+            that._redoStack = [];
+
+            if (cleared) {
+                that.trigger(HISTORY, { action: "clear" });
+            }
+        },
+
+        _recordHistory: function(e) {
+            var that = this,
+                action = e ? e.action : "",
+                change;
+
+            if (!that.options.undoable || that._historySuspended) {
+                return;
+            }
+
+            if (action === "itemchange" && e.field && "previous" in e) {
+                change = {
+                    action: action,
+                    item: e.items[0],
+                    field: e.field,
+                    previous: e.previous,
+                    value: getter(e.field, true)(e.items[0])
+                };
+            } else if (action === "add" || action === "remove") {
+                change = {
+                    action: action,
+                    items: e.items.slice(0),
+                    index: e.index
+                };
+            }
+
+            if (change) {
+                if (that._transaction) {
+                    that._transaction.push(change);
+                } else if (that._isMove(change)) {
+                    // an item removed and inserted again is moved, which is undone as a single entry
+                    that._undoStack[that._undoStack.length - 1].push(change);
+                } else {
+                    that._pushHistory([change]);
+                }
+            }
+        },
+
+        _isMove: function(change) {
+            var entry = this._undoStack[this._undoStack.length - 1],
+                removed = entry && entry.length === 1 ? entry[0] : null,
+                idx;
+
+            if (change.action !== "add" || !removed || removed.action !== "remove" || removed.items.length !== change.items.length) {
+                return false;
+            }
+
+            for (idx = 0; idx < change.items.length; idx++) {
+                if (removed.items[idx] !== change.items[idx]) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+
+        _pushHistory: function(changes) {
+            var that = this,
+                limit = that.options.undoable.limit;
+
+            that._undoStack.push(changes);
+            that._redoStack = [];
+
+            if (limit && that._undoStack.length > limit) {
+                that._undoStack.shift();
+            }
+
+            that.trigger(HISTORY, { action: "change", changes: changes });
+        },
+
+        _applyHistory: function(changes, undo) {
+            var that = this,
+                change,
+                idx,
+                itemIdx;
+
+            that._historySuspended++;
+
+            try {
+                for (idx = 0; idx < changes.length; idx++) {
+                    change = changes[undo ? changes.length - idx - 1 : idx];
+
+                    if (change.action === "itemchange") {
+                        change.item.set(change.field, undo ? change.previous : change.value);
+                    } else if ((change.action === "add") === undo) {
+                        for (itemIdx = 0; itemIdx < change.items.length; itemIdx++) {
+                            that.remove(change.items[itemIdx]);
+                        }
+                    } else {
+                        for (itemIdx = 0; itemIdx < change.items.length; itemIdx++) {
+                            that.insert(change.index + itemIdx, change.items[itemIdx]);
+
+                            // a moved item is destroyed once for each time it was removed
+                            while (removeModel(that._destroyed, change.items[itemIdx])) { }
+                        }
+                    }
+                }
+            } finally {
+                that._historySuspended--;
+            }
+        },
+
         _markOfflineUpdatesAsDirty: function() {
             var that = this;
 
@@ -3289,106 +4489,508 @@ var __meta__ = { // jshint ignore:line
                 });
             }
 
-            return promises;
-        },
+            return promises;
+        },
+
+        _promise: function(data, models, type) {
+            var that = this;
+
+            return $.Deferred(function(deferred) {
+                that.trigger(REQUESTSTART, { type: type });
+
+                that.trigger(PROGRESS);
+
+                that.transport[type].call(that.transport, extend({
+                    success: function(response) {
+                        deferred.resolve({
+                            response: response,
+                            models: models,
+                            type: type
+                        });
+                    },
+                    error: function(response, status, error) {
+                        if (that._isConflict(response, models, type)) {
+                            that._conflict(deferred, response, models, type, status, error);
+                        } else {
+                            deferred.reject(response);
+                            that.error(response, status, error);
+                        }
+                    }
+                }, data));
+            }).promise();
+        },
+
+        _isConflict: function(xhr, models, type) {
+            var status = xhr ? xhr.status : 0;
+
+            return (status === 409 || status === 412) && type !== CREATE && models.length > 0 && !!models[0].versionField;
+        },
+
+        _conflict: function(deferred, xhr, models, type, status, errorThrown) {
+            var that = this,
+                serverItems = that._conflictServerItems(xhr),
+                conflicts = [],
+                pending = models.length,
+                failed = false,
+                prevented = false,
+                timeout,
+                idx;
+
+            function fail() {
+                if (!failed && pending) {
+                    failed = true;
+                    clearTimeout(timeout);
+                    deferred.reject(xhr);
+                    that.error(xhr, status, errorThrown);
+                }
+            }
+
+            function resolver(conflict) {
+                return function(resolution) {
+                    if (!failed && conflict.resolution === undefined) {
+                        // without the server version the retry would overwrite the server copy unconditionally
+                        if (resolution !== "server" && conflict.version == null) {
+                            fail();
+                            return;
+                        }
+
+                        conflict.resolution = resolution;
+
+                        if (!--pending) {
+                            clearTimeout(timeout);
+                            that._resolveConflicts(deferred, conflicts, type);
+                        }
+                    }
+                };
+            }
+
+            for (idx = 0; idx < models.length; idx++) {
+                conflicts.push(that._conflictItem(xhr, models[idx], serverItems, models.length === 1));
+            }
+
+            for (idx = 0; idx < conflicts.length && !failed; idx++) {
+                if (that.trigger(CONFLICT, {
+                    type: type,
+                    model: conflicts[idx].model,
+                    serverItem: conflicts[idx].serverItem,
+                    version: conflicts[idx].version,
+                    xhr: xhr,
+                    resolve: resolver(conflicts[idx])
+                })) {
+                    prevented = true;
+                } else if (conflicts[idx].resolution === undefined) {
+                    // the conflict is reported as an error unless it is resolved or its resolution is deferred
+                    fail();
+                }
+            }
+
+            // a deferred resolution which does not come in time fails the sync instead of leaving it pending
+            if (prevented && pending && !failed) {
+                timeout = setTimeout(fail, that.options.conflictTimeout);
+            }
+        },
+
+        _conflictItem: function(xhr, model, serverItems, single) {
+            var idGetter = getter(model.idField, true),
+                serverItem,
+                version,
+                idx;
+
+            for (idx = 0; idx < serverItems.length && !serverItem; idx++) {
+                if (single || idGetter(serverItems[idx]) == model.id) {
+                    serverItem = serverItems[idx];
+                }
+            }
+
+            version = serverItem ? getter(model.versionField, true)(serverItem) : undefined;
+
+            if (version == null && single && isFunction(xhr.getResponseHeader)) {
+                version = xhr.getResponseHeader("ETag");
+            }
+
+            return { model: model, serverItem: serverItem, version: version };
+        },
+
+        _conflictServerItems: function(xhr) {
+            var response = xhr ? xhr.responseJSON : null,
+                data;
+
+            if (response && !isEmptyObject(response)) {
+                data = this.reader.data(this.reader.parse(response));
+
+                return isArray(data) || data instanceof ObservableArray ? data : [data];
+            }
+
+            return [];
+        },
+
+        _resolveConflicts: function(deferred, conflicts, type) {
+            var that = this,
+                models = [],
+                conflict,
+                model,
+                dirty,
+                dirtyFields,
+                values,
+                idx;
+
+            for (idx = 0; idx < conflicts.length; idx++) {
+                conflict = conflicts[idx];
+                model = conflict.model;
+
+                if (conflict.resolution === "server") {
+                    that._acceptServerItem(model, type, conflict.serverItem);
+                    continue;
+                }
+
+                dirty = model.dirty;
+                dirtyFields = model.dirtyFields;
+                values = isPlainObject(conflict.resolution) ? extend({}, conflict.resolution) : {};
+                values[model.versionField] = conflict.version;
+
+                // keep the model dirty so that its changes are not lost if the retry fails
+                model.accept(values);
+                model.dirty = dirty;
+                model.dirtyFields = dirtyFields;
+
+                models.push(model);
+            }
+
+            if (!models.length) {
+                deferred.resolve();
+            } else if (that.options.batch) {
+                that._promise({
+                    data: { models: that.reader.serialize(toJSON(models)) }
+                }, models, type).then(deferred.resolve, deferred.reject);
+            } else {
+                that._promise({
+                    data: that.reader.serialize(toJSON(models))[0],
+                    version: conflicts[0].version
+                }, models, type).then(deferred.resolve, deferred.reject);
+            }
+        },
+
+        _acceptServerItem: function(model, type, serverItem) {
+            var that = this;
+
+            if (type === DESTROY) {
+                removeModel(that._destroyed, model);
+                that.pushUpdate(serverItem || model.toJSON());
+            } else if (serverItem) {
+                model.accept(serverItem);
+                that._updatePristineForModel(model, serverItem);
+            } else {
+                that._cancelModel(model);
+            }
+
+            // without the server copy in the response the data is read again once the sync completes
+            if (!serverItem) {
+                that._conflictRead = true;
+            }
+        },
+
+        _send: function(method, data) {
+            var that = this,
+                idx,
+                length,
+                promises = [],
+                converted = that.reader.serialize(toJSON(data));
+
+            if (that.options.batch) {
+                if (data.length) {
+                    promises.push(that._promise( { data: { models: converted } }, data , method));
+                }
+            } else {
+                for (idx = 0, length = data.length; idx < length; idx++) {
+                    promises.push(that._promise({
+                        data: converted[idx],
+                        version: method !== CREATE ? modelVersion(data[idx]) : undefined
+                    }, [ data[idx] ], method));
+                }
+            }
+
+            return promises;
+        },
+
+        read: function(data) {
+            var that = this, params = that._params(data);
+            var deferred = $.Deferred();
+            var current = that._currentRead;
+
+            if (that._disposed) {
+                return deferred.resolve().promise();
+            }
+
+            if (that.options.cancelReads && current) {
+                // the read in flight already brings the requested data
+                if (current.key === stringify(params)) {
+                    return current.deferred.promise();
+                }
+
+                that._cancelRead(deferred);
+            }
+
+            that._queueRequest(params, function() {
+                var isPrevented = that.trigger(REQUESTSTART, { type: "read" });
+                if (!isPrevented) {
+                    that.trigger(PROGRESS);
+
+                    that._ranges = [];
+                    that.trigger("reset");
+                    if (that.online()) {
+                        current = that._startRead(params, deferred);
+
+                        current.request = that.transport.read(extend(current.options, {
+                            data: params,
+                            success: function(data) {
+                                if (current.cancelled) {
+                                    return;
+                                }
+
+                                that._endRead(current);
+                                that._ranges = [];
+                                that.success(data, params);
+
+                                deferred.resolve();
+                            },
+                            progress: function(data) {
+                                if (!current.cancelled) {
+                                    that._readProgress(data, current);
+                                }
+                            },
+                            error: function() {
+                                var args = slice.call(arguments);
+
+                                if (current.cancelled) {
+                                    return;
+                                }
+
+                                that._endRead(current);
+                                that.error.apply(that, args);
+
+                                deferred.reject.apply(deferred, args);
+                            }
+                        }));
+                    } else if (that.options.offlineStorage != null){
+                        var offlineData = that.offlineData();
+
+                        if (isThenable(offlineData)) {
+                            offlineData.then(function(data) {
+                                that.success(data, params);
+
+                                deferred.resolve();
+                            }, function() {
+                                var args = slice.call(arguments);
+
+                                that.error.apply(that, args);
+
+                                deferred.reject.apply(deferred, args);
+                            });
+                        } else {
+                            that.success(offlineData, params);
+
+                            deferred.resolve();
+                        }
+                    }
+                } else {
+                    that._dequeueRequest();
+
+                    deferred.resolve(isPrevented);
+                }
+            });
+
+            return deferred.promise();
+        },
+
+        _startRead: function(params, deferred) {
+            var current = { options: {}, cancelled: false };
+
+            if (this.options.cancelReads) {
+                current.key = stringify(params);
+                current.deferred = deferred;
+
+                // lets transports built on fetch abort the request as well
+                if (window.AbortController) {
+                    current.controller = new window.AbortController();
+                    current.options.signal = current.controller.signal;
+                }
+
+                this._currentRead = current;
+            }
+
+            return current;
+        },
+
+        _readProgress: function(data, current) {
+            var that = this,
+                items;
+
+            data = that._readData(data);
+
+            // the first batch of a streamed response replaces the previous data
+            if (!current.streamed) {
+                current.streamed = true;
+
+                that._detachObservableParents();
+                that._data = that._observe([]);
+            }
+
+            items = that._data;
+
+            // the streamed records are not changes, so they are not tracked, synced or recorded in the history
+            items.unbind(CHANGE, that._changeHandler);
+            items.push.apply(items, data);
+            items.bind(CHANGE, that._changeHandler);
+
+            that._total = items.length;
+
+            that.trigger(READPROGRESS, { items: items.slice(items.length - data.length), loaded: items.length });
+
+            that._process(items);
+        },
+
+        _endRead: function(current) {
+            if (this._currentRead === current) {
+                this._currentRead = null;
+            }
+        },
+
+        _cancelRead: function(deferred) {
+            var that = this,
+                current = that._currentRead;
+
+            that._currentRead = null;
+            current.cancelled = true;
+
+            if (current.request && isFunction(current.request.abort)) {
+                current.request.abort();
+            }
+
+            if (current.controller) {
+                current.controller.abort();
+            }
 
-        _promise: function(data, models, type) {
-            var that = this;
+            // the superseded read settles with the read which replaces it
+            deferred.done(current.deferred.resolve).fail(current.deferred.reject);
 
-            return $.Deferred(function(deferred) {
-                that.trigger(REQUESTSTART, { type: type });
+            that.trigger(REQUESTEND, { type: "read", cancelled: true });
 
-                that.trigger(PROGRESS);
+            that._dequeueRequest();
+        },
 
-                that.transport[type].call(that.transport, extend({
-                    success: function(response) {
-                        deferred.resolve({
-                            response: response,
-                            models: models,
-                            type: type
-                        });
-                    },
-                    error: function(response, status, error) {
-                        deferred.reject(response);
-                        that.error(response, status, error);
-                    }
-                }, data));
-            }).promise();
+        _readAggregates: function(data) {
+            return this.reader.aggregates(data);
         },
 
-        _send: function(method, data) {
+        exportTo: function(options) {
             var that = this,
-                idx,
-                length,
-                promises = [],
-                converted = that.reader.serialize(toJSON(data));
+                format;
 
-            if (that.options.batch) {
-                if (data.length) {
-                    promises.push(that._promise( { data: { models: converted } }, data , method));
-                }
-            } else {
-                for (idx = 0, length = data.length; idx < length; idx++) {
-                    promises.push(that._promise( { data: converted[idx] }, [ data[idx] ], method));
-                }
+            options = extend({
+                format: "csv",
+                headers: true,
+                all: false,
+                quote: '"',
+                quoteAll: false,
+                bom: false,
+                lineSeparator: "\r\n",
+                fileName: "",
+                proxyURL: "",
+                forceProxy: false
+            }, options);
+
+            format = options.format.toLowerCase();
+
+            if (!exportContentTypes[format]) {
+                throw new Error(kendo.format('The "{0}" export format is not supported.', options.format));
             }
 
-            return promises;
-        },
+            if (options.delimiter === undefined) {
+                options.delimiter = format === "tsv" ? "\t" : ",";
+            }
 
-        read: function(data) {
-            var that = this, params = that._params(data);
-            var deferred = $.Deferred();
+            return that._exportData(options.all).then(function(data) {
+                var grouped = (that.group() || []).length > 0,
+                    items = grouped ? flatGroups(data) : data,
+                    fields = exportFields(options.fields, that.reader.model, items),
+                    content;
 
-            that._queueRequest(params, function() {
-                var isPrevented = that.trigger(REQUESTSTART, { type: "read" });
-                if (!isPrevented) {
-                    that.trigger(PROGRESS);
+                if (format === "json") {
+                    content = stringify(exportItems(data, fields, options, grouped));
+                } else {
+                    content = exportDelimited(items, fields, options);
+                }
 
-                    that._ranges = [];
-                    that.trigger("reset");
-                    if (that.online()) {
-                        that.transport.read({
-                            data: params,
-                            success: function(data) {
-                                that._ranges = [];
-                                that.success(data, params);
+                if (options.bom) {
+                    content = "\ufeff" + content;
+                }
 
-                                deferred.resolve();
-                            },
-                            error: function() {
-                                var args = slice.call(arguments);
+                kendo.saveAs({
+                    dataURI: exportFile(content, exportContentTypes[format], options),
+                    fileName: options.fileName || "export." + format,
+                    proxyURL: options.proxyURL,
+                    forceProxy: options.forceProxy
+                });
 
-                                that.error.apply(that, args);
+                return content;
+            });
+        },
 
-                                deferred.reject.apply(deferred, args);
-                            }
-                        });
-                    } else if (that.options.offlineStorage != null){
-                        that.success(that.offlineData(), params);
+        _exportData: function(all) {
+            var that = this,
+                deferred = $.Deferred(),
+                params;
 
-                        deferred.resolve();
-                    }
-                } else {
-                    that._dequeueRequest();
+            if (!all) {
+                return deferred.resolve(that.view()).promise();
+            }
 
-                    deferred.resolve(isPrevented);
+            if (!that.options.serverPaging) {
+                return deferred.resolve(that._exportProcess(that._data)).promise();
+            }
+
+            params = that._params();
+
+            delete params.take;
+            delete params.skip;
+            delete params.page;
+            delete params.pageSize;
+            delete params.cursor;
+
+            that.transport.read({
+                data: params,
+                success: function(response) {
+                    deferred.resolve(that._exportProcess(that._readData(that.reader.parse(response))));
+                },
+                error: function() {
+                    deferred.reject.apply(deferred, slice.call(arguments));
                 }
             });
 
             return deferred.promise();
         },
 
-        _readAggregates: function(data) {
-            return this.reader.aggregates(data);
+        _exportProcess: function(data) {
+            var that = this,
+                options = that.options;
+
+            return that._queryProcess(data, {
+                sort: options.serverSorting ? undefined : that._sort,
+                filter: options.serverFiltering ? undefined : that._filter,
+                group: options.serverGrouping ? undefined : that._group,
+                search: that._search
+            }).data;
         },
 
         success: function(data) {
             var that = this,
                 options = that.options,
+                append = options.endless || that._cursorAppend,
                 items,
                 replaceSubset;
 
+            that._cursorAppend = false;
+
             that.trigger(REQUESTEND, { response: data, type: "read" });
 
             if (that.online()) {
@@ -3411,8 +5013,18 @@ var __meta__ = { // jshint ignore:line
                     that._aggregateResult = that._readAggregates(data);
                 }
 
+                if (options.cursorPaging) {
+                    that._nextCursor = isFunction(that.reader.next) ? that.reader.next(data) : null;
+                    that._prevCursor = isFunction(that.reader.prev) ? that.reader.prev(data) : null;
+                }
+
                 data = that._readData(data);
 
+                // without total from the server the loaded items are all that is known
+                if (options.cursorPaging && !options.schema.total) {
+                    that._total = data.length + (append ? that._data.length : 0);
+                }
+
                 that._destroyed = [];
             } else {
                 data = that._readData(data);
@@ -3448,7 +5060,7 @@ var __meta__ = { // jshint ignore:line
             that._pristineTotal = that._total;
             replaceSubset = that._skip && that._data.length && that._skip < that._data.length;
 
-            if (that.options.endless) {
+            if (append) {
                 if (replaceSubset) {
                     that._pristineData.splice(that._skip, that._pristineData.length);
                 }
@@ -3462,7 +5074,7 @@ var __meta__ = { // jshint ignore:line
 
             that._detachObservableParents();
 
-            if (that.options.endless) {
+            if (append) {
                 that._data.unbind(CHANGE, that._changeHandler);
 
                 if (that._isServerGrouped() && that._data[that._data.length - 1].value === data[0].value) {
@@ -3544,14 +5156,24 @@ var __meta__ = { // jshint ignore:line
                     destroyed.push(item);
                 }
 
-                this.offlineData(state.concat(destroyed));
+                var result = this.offlineData(state.concat(destroyed));
+
+                if (isThenable(result)) {
+                    result.then(null, proxy(this._storeError, this));
+                }
 
                 if (updatePristine) {
                     this._pristineData = this.reader.reader ? this.reader.reader._wrapDataAccessBase(state) : this.reader._wrapDataAccessBase(state);
                 }
+
+                return result;
             }
         },
 
+        _storeError: function(error) {
+            this.trigger(ERROR, { xhr: error, status: "storageerror" });
+        },
+
         _addRange: function(data, skip) {
             var that = this,
                 start = typeof(skip) !== "undefined" ? skip : (that._skip || 0),
@@ -3575,6 +5197,7 @@ var __meta__ = { // jshint ignore:line
         },
 
         error: function(xhr, status, errorThrown) {
+            this._cursorAppend = false;
             this._dequeueRequest();
             this.trigger(REQUESTEND, { });
             this.trigger(ERROR, { xhr: xhr, status: status, errorThrown: errorThrown });
@@ -3598,8 +5221,18 @@ var __meta__ = { // jshint ignore:line
                 delete options.skip;
                 delete options.page;
                 delete options.pageSize;
+            } else if (that.options.cursorPaging) {
+                delete options.skip;
+                delete options.page;
+
+                if (that._cursor != null && options.cursor === undefined) {
+                    options.cursor = that._cursor;
+                }
             }
 
+            // search is always evaluated on the client
+            delete options.search;
+
             if (!that.options.serverGrouping) {
                 delete options.group;
             } else if (that.reader.model && options.group) {
@@ -3689,6 +5322,8 @@ var __meta__ = { // jshint ignore:line
                 wrapGroupItems(data, model);
             }
 
+            that._clearHistory();
+
             if (that._changeHandler && that._data && that._data instanceof ObservableArray &&
                 !(that.options.useRanges && that.options.serverPaging)) {
                 that._data.unbind(CHANGE, that._changeHandler);
@@ -3723,6 +5358,8 @@ var __meta__ = { // jshint ignore:line
         _change: function(e) {
             var that = this, idx, length, action = e ? e.action : "";
 
+            that._recordHistory(e);
+
             if (action === "remove") {
                 for (idx = 0, length = e.items.length; idx < length; idx++) {
                     if (!e.items[idx].isNew || !e.items[idx].isNew()) {
@@ -3762,6 +5399,10 @@ var __meta__ = { // jshint ignore:line
                 query = query.filter(filter);
             }
 
+            if (options.search) {
+                query = query.search(options.search);
+            }
+
             return query.aggregate(aggregates);
         },
 
@@ -3803,8 +5444,12 @@ var __meta__ = { // jshint ignore:line
                 that._clearEmptyGroups(data);
             }
 
+            options.search = that._search;
+
             result = that._queryProcess(data, options);
 
+            that._setSearchResults(result.searchResults);
+
             if (that.options.serverAggregates !== true) {
                 // for performance reasons, calculate aggregates for part of the data only after query process
                 // this is necessary in the TreeList when paging
@@ -3854,6 +5499,7 @@ var __meta__ = { // jshint ignore:line
                 that._filter = options.filter;
                 that._group = options.group;
                 that._aggregate = options.aggregate;
+                that._search = options.search;
                 that._skip = that._currentRangeStart = options.skip;
                 that._take = options.take;
 
@@ -3881,12 +5527,20 @@ var __meta__ = { // jshint ignore:line
                 if (options.aggregate) {
                     that._aggregate = options.aggregate = normalizeAggregate(options.aggregate);
                 }
+
+                if (options.search) {
+                    that._search = options.search = normalizeSearch(extend({ accentFolding: that.options.accentFoldingFiltering }, options.search));
+                }
             }
             return options;
         },
 
         query: function(options) {
             var result;
+
+            // a new query starts over from the first cursor page
+            this._cursor = null;
+
             var remote = this.options.serverSorting || this.options.serverPaging || this.options.serverFiltering || this.options.serverGrouping || this.options.serverAggregates;
 
             if (remote || ((this._data === undefined || this._data.length === 0) && !this._destroyed.length)) {
@@ -3911,6 +5565,7 @@ var __meta__ = { // jshint ignore:line
                 result = this._queryProcess(this._data, this._mergeState(options));
 
                 this._setFilterTotal(result.total, true);
+                this._setSearchResults(result.searchResults);
 
                 this._aggregateResult = this._calculateAggregates(result.dataToAggregate || this._data, options);
                 this.view(result.data);
@@ -3953,7 +5608,8 @@ var __meta__ = { // jshint ignore:line
                 sort: that.sort(),
                 filter: that.filter(),
                 group: that.group(),
-                aggregate: that.aggregate()
+                aggregate: that.aggregate(),
+                search: that.search()
             }, options));
         },
 
@@ -3962,6 +5618,10 @@ var __meta__ = { // jshint ignore:line
                 page = that.page(),
                 total = that.total();
 
+            if (that.options.cursorPaging) {
+                return that._cursorRead(that._nextCursor);
+            }
+
             options = options || {};
 
             if (!page || (total && page + 1 > that.totalPages())) {
@@ -3982,6 +5642,10 @@ var __meta__ = { // jshint ignore:line
             var that = this,
                 page = that.page();
 
+            if (that.options.cursorPaging) {
+                return that._cursorRead(that._prevCursor);
+            }
+
             options = options || {};
 
             if (!page || page === 1) {
@@ -3998,6 +5662,39 @@ var __meta__ = { // jshint ignore:line
             return page;
         },
 
+        loadMore: function() {
+            return this._cursorRead(this._nextCursor, true);
+        },
+
+        hasNext: function() {
+            if (this.options.cursorPaging) {
+                return this._nextCursor != null && this._nextCursor !== "";
+            }
+
+            return !!this.page() && this.page() < this.totalPages();
+        },
+
+        hasPrev: function() {
+            if (this.options.cursorPaging) {
+                return this._prevCursor != null && this._prevCursor !== "";
+            }
+
+            return this.page() > 1;
+        },
+
+        _cursorRead: function(cursor, append) {
+            var that = this;
+
+            if (cursor == null || cursor === "") {
+                return;
+            }
+
+            that._cursor = cursor;
+            that._cursorAppend = !!append;
+
+            return that.read();
+        },
+
         page: function(val) {
             var that = this,
             skip;
@@ -4045,6 +5742,42 @@ var __meta__ = { // jshint ignore:line
             that._query({ filter: val, page: 1 });
         },
 
+        search: function(val) {
+            var that = this;
+
+            if (val === undefined) {
+                return that._search;
+            }
+
+            that.trigger("reset");
+            that._query({ search: val, page: 1 });
+        },
+
+        searchResult: function(item) {
+            var results = this._searchResults;
+
+            return results && item ? results[item.uid] : undefined;
+        },
+
+        _setSearchResults: function(results) {
+            var idx;
+
+            this._searchResults = null;
+
+            if (results) {
+                this._searchResults = {};
+
+                for (idx = 0; idx < results.length; idx++) {
+                    if (results[idx].item.uid) {
+                        this._searchResults[results[idx].item.uid] = {
+                            score: results[idx].score,
+                            matches: results[idx].matches
+                        };
+                    }
+                }
+            }
+        },
+
         group: function(val) {
             var that = this;
 
@@ -4600,12 +6333,45 @@ var __meta__ = { // jshint ignore:line
             if (!transport) {
                 transport = isFunction(transportOptions.read) ? transportOptions : new RemoteTransport(transportOptions);
             }
+
+            if (isPlainObject(transportOptions.push)) {
+                Transport.pushSource(transport, transportOptions.push);
+            }
         } else {
             transport = new LocalTransport({ data: options.data || [] });
         }
         return transport;
     };
 
+    // the live updates come from a push source, while the transport reads the data from its own endpoint
+    Transport.pushSource = function(transport, options) {
+        var source,
+            close;
+
+        kendo.data.pushSources = kendo.data.pushSources || {};
+
+        if (!kendo.data.pushSources[options.type]) {
+            kendo.logToConsole("Unknown DataSource push source type '" + options.type + "'.\nVerify that registration scripts for this type are included after Kendo UI on the page.", "warn");
+            return;
+        }
+
+        source = transport.pushSource = new kendo.data.pushSources[options.type](options);
+        close = transport.close;
+
+        transport.push = function(callbacks) {
+            source.push(callbacks);
+        };
+
+        // the push source is closed with the transport when the data source is destroyed
+        transport.close = function() {
+            source.close();
+
+            if (isFunction(close)) {
+                close.call(transport);
+            }
+        };
+    };
+
     DataSource.create = function(options) {
         if (isArray(options) || options instanceof ObservableArray) {
            options = { data: options };
@@ -4758,6 +6524,7 @@ var __meta__ = { // jshint ignore:line
                     model: {
                         hasChildren: hasChildren,
                         id: that.idField,
+                        parentId: that.parentIdField,
                         fields: that.fields
                     }
                 }
@@ -4937,6 +6704,45 @@ var __meta__ = { // jshint ignore:line
         };
     }
 
+    // nests the flat rows under their parents, the rows whose parent is missing become root nodes
+    function flatToTree(data, idField, parentIdField, childrenField) {
+        var rows = [],
+            map = {},
+            children = {},
+            result = [],
+            idx,
+            row,
+            id,
+            parentId;
+
+        for (idx = 0; idx < data.length; idx++) {
+            row = rows[idx] = extend({}, data[idx]);
+            id = row[idField];
+
+            if (id != null && id !== "") {
+                map[id] = row;
+            }
+        }
+
+        for (idx = 0; idx < rows.length; idx++) {
+            row = rows[idx];
+            parentId = row[parentIdField];
+
+            if (parentId != null && map[parentId] && map[parentId] !== row) {
+                children[parentId] = children[parentId] || [];
+                children[parentId].push(row);
+            } else {
+                result.push(row);
+            }
+        }
+
+        for (id in children) {
+            map[id][childrenField] = children[id];
+        }
+
+        return result;
+    }
+
     var HierarchicalDataSource = DataSource.extend({
         init: function(options) {
             var node = Node.define({
@@ -4948,11 +6754,112 @@ var __meta__ = { // jshint ignore:line
                 options.filter = null;
             }
 
-            DataSource.fn.init.call(this, extend(true, {}, { schema: { modelBase: node, model: node } }, options));
+            options = extend(true, {}, { schema: { modelBase: node, model: node } }, options);
+
+            // the children of flat data are already loaded, so they are read from the children field
+            if (isPlainObject(options.schema.model) && options.schema.model.parentId && typeof options.schema.model.children !== STRING) {
+                options.schema.model.children = "items";
+            }
+
+            DataSource.fn.init.call(this, options);
 
             this._attachBubbleHandlers();
         },
 
+        _parentIdField: function() {
+            var model = this.reader.model;
+
+            return model && model.fn ? model.fn.parentIdField : undefined;
+        },
+
+        _readData: function(data) {
+            var model = this.reader.model,
+                parentIdField = this._parentIdField();
+
+            data = DataSource.fn._readData.call(this, data);
+
+            if (parentIdField) {
+                data = flatToTree(data, model.fn.idField || "id", parentIdField,
+                    typeof model.fn.children === STRING ? model.fn.children : "items");
+            }
+
+            return data;
+        },
+
+        _flatData: function(data, skip) {
+            var result = DataSource.fn._flatData.call(this, data, skip),
+                children,
+                idx;
+
+            // the root of flat data syncs the changes of the whole tree
+            if (result && this._parentIdField()) {
+                result = slice.call(result);
+
+                for (idx = 0; idx < result.length; idx++) {
+                    children = result[idx].children;
+
+                    if (children instanceof HierarchicalDataSource && children._data) {
+                        result.push.apply(result, slice.call(children._data));
+                    }
+                }
+            }
+
+            return result;
+        },
+
+        _change: function(e) {
+            // a node moved within flat data is updated rather than destroyed
+            if (e && e.action === "add" && this._parentIdField()) {
+                this._restoreDestroyed(e.items);
+            }
+
+            DataSource.fn._change.call(this, e);
+        },
+
+        // removes the nodes from the destroyed items of this data source and the data sources of its children,
+        // as the change of a child bubbles up to the root, a node moved anywhere in the tree is restored
+        _restoreDestroyed: function(items) {
+            var data = this._data,
+                children,
+                idx;
+
+            for (idx = 0; idx < items.length; idx++) {
+                removeModel(this._destroyed, items[idx]);
+            }
+
+            for (idx = 0; idx < data.length; idx++) {
+                children = data[idx].children;
+
+                if (children instanceof HierarchicalDataSource) {
+                    children._restoreDestroyed(items);
+                }
+            }
+        },
+
+        _loadChildren: function() {
+            var data = this._data,
+                promises = [],
+                loaded,
+                node,
+                idx;
+
+            for (idx = 0; idx < data.length; idx++) {
+                node = data[idx];
+
+                if (node.hasChildren) {
+                    loaded = node.loaded();
+
+                    promises.push(node.load());
+
+                    if (loaded) {
+                        promises.push(node.children._loadChildren());
+                    }
+                }
+            }
+
+            return $.when.apply(null, promises);
+        },
+
         _attachBubbleHandlers: function() {
             var that = this;
 
@@ -4962,7 +6869,18 @@ var __meta__ = { // jshint ignore:line
         },
 
         read: function(data) {
-            var result = DataSource.fn.read.call(this, data);
+            var that = this,
+                result = DataSource.fn.read.call(that, data);
+
+            if (that._parentIdField()) {
+                return result.then(function() {
+                    return that._loadChildren().then(function() {
+                        if (that._hierarchicalFilter) {
+                            that.filter(that._hierarchicalFilter);
+                        }
+                    });
+                });
+            }
 
             if(this._hierarchicalFilter){
                 if(this._data && this._data.length > 0){
@@ -5000,14 +6918,22 @@ var __meta__ = { // jshint ignore:line
         data: dataMethod("data"),
 
         insert: function(index, model) {
-            var parentNode = this.parent();
+            var parentNode = this.parent(),
+                parentIdField = this._parentIdField(),
+                parentId = parentNode ? parentNode.id : null;
 
             if (parentNode && parentNode._initChildren) {
                 parentNode.hasChildren = true;
                 parentNode._initChildren();
             }
 
-            return DataSource.fn.insert.call(this, index, model);
+            model = DataSource.fn.insert.call(this, index, model);
+
+            if (parentIdField && model.get(parentIdField) != parentId) {
+                model.set(parentIdField, parentId);
+            }
+
+            return model;
         },
 
         filter: function(val) {
@@ -5021,6 +6947,10 @@ var __meta__ = { // jshint ignore:line
 
             this.trigger("reset");
             this._query({ filter: val, page: 1 });
+
+            if (this._parentIdField()) {
+                this._loadChildren();
+            }
         },
 
         _markHierarchicalQuery: function(expressions){
@@ -5502,6 +7432,9 @@ var __meta__ = { // jshint ignore:line
             json: DataReader
         },
         Query: Query,
+        aggregates: functions,
+        filterOperators: filterOperators,
+        registerFilterOperator: registerFilterOperator,
         DataSource: DataSource,
         HierarchicalDataSource: HierarchicalDataSource,
         Node: Node,
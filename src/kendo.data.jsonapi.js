@@ -0,0 +1,367 @@
+(function(f, define){
+    define([ "./kendo.data" ], f);
+})(function(){
+
+var __meta__ = { // jshint ignore:line
+    id: "data.jsonapi",
+    name: "JSON:API",
+    category: "framework",
+    depends: [ "data" ],
+    hidden: true
+};
+
+(function($, undefined) {
+    var kendo = window.kendo,
+        extend = $.extend,
+        isArray = $.isArray,
+        isPlainObject = $.isPlainObject,
+        RemoteTransport = kendo.data.RemoteTransport,
+        crud = [ "create", "read", "update", "destroy" ],
+        CONTENT_TYPE = "application/vnd.api+json",
+        OR_LOGIC = 'The "or" filter logic is not supported by the JSON:API transport.',
+        BATCH = "Batch {0} operations are not supported by the JSON:API transport.",
+        mappers = {
+            pageSize: $.noop,
+            page: $.noop,
+            group: $.noop,
+            aggregate: $.noop,
+            filter: function(params, filter) {
+                if (filter) {
+                    toJsonApiFilter(params, filter);
+                }
+            },
+            sort: function(params, sort) {
+                var expr = $.map(sort || [], function(value) {
+                    return (value.dir === "desc" ? "-" : "") + value.field;
+                }).join(",");
+
+                if (expr) {
+                    params.sort = expr;
+                }
+            },
+            skip: function(params, skip) {
+                if (skip !== undefined) {
+                    params["page[offset]"] = skip;
+                }
+            },
+            take: function(params, take) {
+                if (take) {
+                    params["page[limit]"] = take;
+                }
+            }
+        };
+
+    function hasOrLogic(filter) {
+        var filters = filter && filter.filters ? filter.filters : [];
+
+        if (filter && filter.logic === "or" && filters.length > 1) {
+            return true;
+        }
+
+        for (var idx = 0; idx < filters.length; idx++) {
+            if (hasOrLogic(filters[idx])) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    function unsupported(data, type) {
+        if (type === "read") {
+            return hasOrLogic(data.filter) ? OR_LOGIC : null;
+        }
+
+        return data.models ? kendo.format(BATCH, type) : null;
+    }
+
+    function toJsonApiFilter(params, filter) {
+        var filters = filter.filters || [],
+            idx,
+            length,
+            key,
+            value;
+
+        if (filter.logic === "or" && filters.length > 1) {
+            throw new Error(OR_LOGIC);
+        }
+
+        for (idx = 0, length = filters.length; idx < length; idx++) {
+            filter = filters[idx];
+
+            if (filter.filters) {
+                toJsonApiFilter(params, filter);
+                continue;
+            }
+
+            key = "filter[" + filter.field + "]";
+            value = filter.value;
+
+            if (filter.operator && filter.operator !== "eq") {
+                key += "[" + filter.operator + "]";
+            }
+
+            if (value && value.getTime) {
+                value = value.toJSON();
+            }
+
+            params[key] = value === undefined ? "" : value;
+        }
+    }
+
+    function identifierKey(identifier) {
+        return identifier.type + ":" + identifier.id;
+    }
+
+    function isIdentifier(value) {
+        return isPlainObject(value) && value.type !== undefined && value.id !== undefined;
+    }
+
+    function flatten(resource, included) {
+        var result = extend({}, resource.attributes),
+            relationships = resource.relationships || {},
+            name,
+            data;
+
+        result.id = resource.id;
+        result.type = resource.type;
+
+        for (name in relationships) {
+            data = relationships[name].data;
+
+            if (data === undefined) {
+                continue;
+            }
+
+            if (isArray(data)) {
+                result[name] = resolveAll(data, included);
+            } else {
+                result[name] = data === null ? null : resolve(data, included);
+            }
+        }
+
+        return result;
+    }
+
+    function resolveAll(identifiers, included) {
+        var result = [];
+
+        for (var idx = 0; idx < identifiers.length; idx++) {
+            result.push(resolve(identifiers[idx], included));
+        }
+
+        return result;
+    }
+
+    function resolve(identifier, included) {
+        var resource = included && included[identifierKey(identifier)];
+
+        // included resources keep their own relationships as identifiers to avoid cycles
+        return resource ? flatten(resource) : { type: identifier.type, id: identifier.id };
+    }
+
+    function includedMap(included) {
+        var result = {};
+
+        for (var idx = 0; idx < (included || []).length; idx++) {
+            result[identifierKey(included[idx])] = included[idx];
+        }
+
+        return result;
+    }
+
+    function toResource(model, resourceType) {
+        var resource = {
+                type: model.type || resourceType,
+                attributes: {}
+            },
+            relationships = {},
+            hasRelationships = false,
+            field,
+            value;
+
+        if (!resource.type) {
+            throw new Error('The "resourceType" option must be set.');
+        }
+
+        if (model.id !== undefined && model.id !== null && model.id !== "") {
+            resource.id = model.id + "";
+        }
+
+        for (field in model) {
+            value = model[field];
+
+            if (field === "id" || field === "type") {
+                continue;
+            }
+
+            if (isIdentifier(value)) {
+                relationships[field] = { data: { type: value.type, id: value.id + "" } };
+                hasRelationships = true;
+            } else if (isArray(value) && value.length && isIdentifier(value[0])) {
+                relationships[field] = {
+                    data: $.map(value, function(item) {
+                        return { type: item.type, id: item.id + "" };
+                    })
+                };
+                hasRelationships = true;
+            } else {
+                resource.attributes[field] = value;
+            }
+        }
+
+        if (hasRelationships) {
+            resource.relationships = relationships;
+        }
+
+        return resource;
+    }
+
+    function parameterMap(options, type) {
+        var params = {},
+            resourceType = (this.options || {}).resourceType,
+            option;
+
+        options = options || {};
+        type = type || "read";
+
+        if (type === "read") {
+            for (option in options) {
+                if (mappers[option]) {
+                    mappers[option](params, options[option]);
+                } else {
+                    params[option] = options[option];
+                }
+            }
+
+            return params;
+        }
+
+        if (options.models) {
+            throw new Error(kendo.format(BATCH, type));
+        }
+
+        if (type !== "destroy") {
+            return kendo.stringify({ data: toResource(options, resourceType) });
+        }
+    }
+
+    var transport = RemoteTransport.extend({
+        init: function(options) {
+            var defaults = this.options;
+
+            options = extend({}, defaults, options);
+
+            $.each(crud, function(index, type) {
+                var operation = options[type];
+
+                options[type] = extend({}, defaults[type], typeof operation === "string" ? { url: operation } : operation);
+            });
+
+            RemoteTransport.fn.init.call(this, options);
+        },
+
+        options: {
+            read: {
+                dataType: "json"
+            },
+            update: {
+                dataType: "json",
+                contentType: CONTENT_TYPE,
+                type: "PATCH"
+            },
+            create: {
+                dataType: "json",
+                contentType: CONTENT_TYPE,
+                type: "POST"
+            },
+            destroy: {
+                dataType: "json",
+                type: "DELETE"
+            },
+            parameterMap: parameterMap
+        },
+
+        create: function(options) {
+            return this._request(options, "create");
+        },
+
+        read: function(options) {
+            return this._request(options, "read");
+        },
+
+        update: function(options) {
+            return this._request(options, "update");
+        },
+
+        destroy: function(options) {
+            return this._request(options, "destroy");
+        },
+
+        // the requests which JSON:API cannot express fail, so the data source raises its error event
+        _request: function(options, type) {
+            var message = unsupported(options.data || {}, type);
+
+            if (message) {
+                (options.error || $.noop)({}, "error", message);
+                return;
+            }
+
+            return RemoteTransport.fn[type].call(this, options);
+        },
+
+        setup: function(options, type) {
+            var id = options && options.data ? options.data.id : null,
+                url = this.options[type].url;
+
+            options = RemoteTransport.fn.setup.call(this, options, type);
+
+            // an existing resource is addressed by its own URL
+            if ((type === "update" || type === "destroy") && typeof url === "string" && id !== null && id !== undefined && id !== "") {
+                options.url = url.replace(/\/$/, "") + "/" + encodeURIComponent(id);
+            }
+
+            return options;
+        }
+    });
+
+    extend(true, kendo.data, {
+        schemas: {
+            jsonapi: {
+                type: "json",
+                data: function(data) {
+                    var included,
+                        result;
+
+                    if (!data || data.data === undefined) {
+                        return [];
+                    }
+
+                    included = includedMap(data.included);
+                    result = isArray(data.data) ? data.data : (data.data ? [data.data] : []);
+
+                    return $.map(result, function(resource) {
+                        return flatten(resource, included);
+                    });
+                },
+                total: function(data) {
+                    var meta = data && data.meta ? data.meta : {};
+
+                    if (meta.total !== undefined) {
+                        return meta.total;
+                    }
+
+                    return data && isArray(data.data) ? data.data.length : (data && data.data ? 1 : 0);
+                }
+            }
+        },
+        transports: {
+            jsonapi: transport
+        }
+    });
+
+})(window.kendo.jQuery);
+
+return window.kendo;
+
+}, typeof define == 'function' && define.amd ? define : function(a1, a2, a3){ (a3 || a2)(); });
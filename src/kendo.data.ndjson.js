@@ -0,0 +1,220 @@
+(function(f, define){
+    define([ "./kendo.data" ], f);
+})(function(){
+
+var __meta__ = { // jshint ignore:line
+    id: "data.ndjson",
+    name: "NDJSON",
+    category: "framework",
+    depends: [ "data" ],
+    hidden: true
+};
+
+(function($, undefined) {
+    var kendo = window.kendo,
+        extend = $.extend,
+        trim = $.trim,
+        noop = $.noop,
+        Class = kendo.Class,
+        RemoteTransport = kendo.data.RemoteTransport;
+
+    var StreamParser = Class.extend({
+        init: function() {
+            var that = this;
+
+            that._buffer = "";
+            that._index = 0;
+            that._depth = 0;
+            that._string = false;
+            that._escape = false;
+            that._array = null;
+            that._done = false;
+        },
+
+        push: function(chunk) {
+            var that = this,
+                start;
+
+            that._buffer += chunk;
+
+            // the first character tells a JSON array from newline-delimited records
+            if (that._array === null) {
+                start = that._buffer.search(/\S/);
+
+                if (start < 0) {
+                    return [];
+                }
+
+                that._array = that._buffer.charAt(start) === "[";
+
+                if (that._array) {
+                    that._buffer = that._buffer.substring(start + 1);
+                }
+            }
+
+            return that._array ? that._arrayRecords() : that._lineRecords(false);
+        },
+
+        end: function() {
+            var that = this,
+                records = that._array ? [] : that._lineRecords(true);
+
+            if (that._array && !that._done && trim(that._buffer)) {
+                throw new Error("Unexpected end of JSON array.");
+            }
+
+            return records;
+        },
+
+        _lineRecords: function(flush) {
+            var that = this,
+                lines = that._buffer.split("\n"),
+                records = [],
+                line,
+                idx;
+
+            // the last line is incomplete until a newline or the end of the response arrives
+            that._buffer = flush ? "" : lines.pop();
+
+            for (idx = 0; idx < lines.length; idx++) {
+                line = trim(lines[idx]);
+
+                if (line) {
+                    records.push(JSON.parse(line));
+                }
+            }
+
+            return records;
+        },
+
+        _arrayRecords: function() {
+            var that = this,
+                buffer = that._buffer,
+                records = [],
+                start = 0,
+                value,
+                ch,
+                idx;
+
+            for (idx = that._index; idx < buffer.length && !that._done; idx++) {
+                ch = buffer.charAt(idx);
+
+                if (that._string) {
+                    if (that._escape) {
+                        that._escape = false;
+                    } else if (ch === "\\") {
+                        that._escape = true;
+                    } else if (ch === '"') {
+                        that._string = false;
+                    }
+                } else if (ch === '"') {
+                    that._string = true;
+                } else if (that._depth === 0 && (ch === "," || ch === "]")) {
+                    value = trim(buffer.substring(start, idx));
+
+                    if (value) {
+                        records.push(JSON.parse(value));
+                    }
+
+                    start = idx + 1;
+                    that._done = ch === "]";
+                } else if (ch === "{" || ch === "[") {
+                    that._depth++;
+                } else if (ch === "}" || ch === "]") {
+                    that._depth--;
+                }
+            }
+
+            that._buffer = buffer.substring(start);
+            that._index = idx - start;
+
+            return records;
+        }
+    });
+
+    var transport = RemoteTransport.extend({
+        read: function(options) {
+            var that = this,
+                success = options.success || noop,
+                error = options.error || noop,
+                progress = options.progress || noop,
+                parser = new StreamParser(),
+                records = [],
+                received = 0,
+                parseError;
+
+            function receive(text) {
+                var batch,
+                    idx;
+
+                if (parseError || text.length <= received) {
+                    return;
+                }
+
+                try {
+                    batch = parser.push(text.substring(received));
+                } catch (e) {
+                    parseError = e;
+                    return;
+                }
+
+                received = text.length;
+
+                if (batch.length) {
+                    for (idx = 0; idx < batch.length; idx++) {
+                        records.push(batch[idx]);
+                    }
+
+                    progress(batch);
+                }
+            }
+
+            options = that.setup(options, "read");
+
+            // the response is parsed here while it downloads
+            options.dataType = "text";
+            options.xhrFields = extend({}, options.xhrFields, {
+                onprogress: function() {
+                    receive(this.responseText || "");
+                }
+            });
+
+            options.success = function(text, status, xhr) {
+                var rest;
+
+                receive(text || "");
+
+                if (!parseError) {
+                    try {
+                        rest = parser.end();
+                    } catch (e) {
+                        parseError = e;
+                    }
+                }
+
+                if (parseError) {
+                    error(xhr, "parsererror", parseError);
+                    return;
+                }
+
+                success(records.concat(rest));
+            };
+
+            options.error = error;
+
+            return $.ajax(options);
+        }
+    });
+
+    extend(true, kendo.data, {
+        StreamParser: StreamParser,
+        transports: {
+            ndjson: transport
+        }
+    });
+
+})(window.kendo.jQuery);
+
+return window.kendo;
+
+}, typeof define == 'function' && define.amd ? define : function(a1, a2, a3){ (a3 || a2)(); });
@@ -37,6 +37,15 @@ var __meta__ = { // jshint ignore:line
         odataFiltersVersionFour = extend({}, odataFilters, {
             contains: "contains"
         }),
+        odataAggregates = {
+            sum: "sum",
+            min: "min",
+            max: "max",
+            average: "average"
+        },
+        TOTAL = "__total",
+        GROUPBY = "__groupby__",
+        ALIAS = /^__(sum|min|max|average|count)__(.+)$/,
         mappers = {
             pageSize: $.noop,
             page: $.noop,
@@ -80,7 +89,72 @@ var __meta__ = { // jshint ignore:line
             }
         };
 
-    function toOdataFilter(filter, useOdataFour) {
+    function toOdataValue(value, useOdataFour) {
+        var type = $.type(value);
+
+        if (type === "string") {
+            return "'" + value.replace(/'/g, "''") + "'";
+        } else if (type === "date") {
+            if (useOdataFour) {
+                return kendo.format("{0:yyyy-MM-ddTHH:mm:ss+00:00}", kendo.timezone.apply(value, 'Etc/UTC'));
+            }
+
+            return kendo.format("datetime'{0:yyyy-MM-ddTHH:mm:ss}'", value);
+        }
+
+        return String(value);
+    }
+
+    function customOdataFilter(operator) {
+        var operators = kendo.data.filterOperators;
+
+        operator = (operator || "").toLowerCase();
+
+        if (operators && operators.hasOwnProperty(operator) && operators[operator].odata) {
+            return operators[operator];
+        }
+    }
+
+    function toFilterExpression(value) {
+        if ($.isArray(value)) {
+            return { logic: "and", filters: value };
+        } else if (value && !value.filters) {
+            return { logic: "and", filters: [value] };
+        }
+
+        return value;
+    }
+
+    function toLambdaFilter(field, operator, value, useOdataFour, variable) {
+        var filter = toFilterExpression(value);
+
+        variable = variable ? String.fromCharCode(variable.charCodeAt(0) + 1) : "i";
+
+        filter = filter && filter.filters.length ? toOdataFilter(filter, useOdataFour, variable) : "";
+
+        if (!filter) {
+            return operator === "any" ? field + "/any()" : "true";
+        }
+
+        return kendo.format("{0}/{1}({2}: {3})", field, operator, variable, filter);
+    }
+
+    function toCountFilter(field, value) {
+        var descriptor = typeof value === "number" ? { value: value } : (value || {}),
+            operator = odataFiltersVersionFour[descriptor.operator || "eq"],
+            filter = toFilterExpression(descriptor.filter);
+
+        if (!operator || operator.length > 2) {
+            throw new Error('The "' + descriptor.operator + '" operator cannot compare a count.');
+        }
+
+        // the members which are counted are filtered by the $filter option of $count
+        filter = filter && filter.filters.length ? "($filter=" + toOdataFilter(filter, true) + ")" : "";
+
+        return field + "/$count" + filter + " " + operator + " " + toOdataValue(descriptor.value, true);
+    }
+
+    function toOdataFilter(filter, useOdataFour, variable) {
         var result = [],
             logic = filter.logic || "and",
             idx,
@@ -91,7 +165,11 @@ var __meta__ = { // jshint ignore:line
             operator,
             value,
             ignoreCase,
-            filters = filter.filters;
+            custom,
+            filters = filter.filters,
+            formatValue = function(value) {
+                return toOdataValue(value, useOdataFour);
+            };
 
         for (idx = 0, length = filters.length; idx < length; idx++) {
             filter = filters[idx];
@@ -100,7 +178,7 @@ var __meta__ = { // jshint ignore:line
             operator = filter.operator;
 
             if (filter.filters) {
-                filter = toOdataFilter(filter, useOdataFour);
+                filter = toOdataFilter(filter, useOdataFour, variable);
             } else {
                 ignoreCase = filter.ignoreCase;
                 field = field.replace(/\./g, "/");
@@ -109,7 +187,21 @@ var __meta__ = { // jshint ignore:line
                     filter = odataFiltersVersionFour[operator];
                 }
 
-                if (operator === "isnullorempty") {
+                if (variable) {
+                    field = variable + "/" + field;
+                }
+
+                custom = customOdataFilter(operator);
+
+                if (operator === "any" || operator === "all" || operator === "count") {
+                    if (!useOdataFour) {
+                        throw new Error('The "' + operator + '" operator is supported only by OData v4.');
+                    }
+
+                    filter = operator === "count" ? toCountFilter(field, value) : toLambdaFilter(field, operator, value, useOdataFour, variable);
+                } else if (custom) {
+                    filter = custom.odata(field, value, formatValue, useOdataFour);
+                } else if (operator === "isnullorempty") {
                     filter = kendo.format("{0} {1} null or {0} {1} ''", field, filter);
                 } else if(operator === "isnotnullorempty") {
                     filter = kendo.format("{0} {1} null and {0} {1} ''", field, filter);
@@ -172,6 +264,264 @@ var __meta__ = { // jshint ignore:line
         return filter;
     }
 
+    // the aliases describe the aggregated fields, so a response is mapped back without the request
+    function encodeAlias(field) {
+        return field.replace(/\W/g, function(match) {
+            return "_x" + ("000" + match.charCodeAt(0).toString(16).toUpperCase()).slice(-4) + "_";
+        });
+    }
+
+    function decodeAlias(alias) {
+        return alias.replace(/_x([0-9A-F]{4})_/g, function(match, code) {
+            return String.fromCharCode(parseInt(code, 16));
+        });
+    }
+
+    function aggregateAlias(aggregate) {
+        return "__" + aggregate.aggregate + "__" + encodeAlias(aggregate.field);
+    }
+
+    function groupAlias(group) {
+        return GROUPBY + $.map(group, function(value) {
+            return encodeAlias(value.field);
+        }).join(encodeAlias(","));
+    }
+
+    function applyAggregates(group, aggregate) {
+        var descriptors = (aggregate || []).slice(0),
+            result = [],
+            aliases = {},
+            alias,
+            idx;
+
+        for (idx = 0; idx < group.length; idx++) {
+            descriptors = descriptors.concat(group[idx].aggregates || []);
+        }
+
+        for (idx = 0; idx < descriptors.length; idx++) {
+            alias = aggregateAlias(descriptors[idx]);
+
+            if (!aliases[alias]) {
+                aliases[alias] = true;
+                result.push(descriptors[idx]);
+            }
+        }
+
+        return result;
+    }
+
+    function toOdataAggregate(aggregates) {
+        return $.map(aggregates, function(aggregate) {
+            var method = aggregate.aggregate;
+
+            if (method === "count") {
+                return "$count as " + aggregateAlias(aggregate);
+            }
+
+            if (!odataAggregates[method]) {
+                throw new Error('The "' + method + '" aggregate is not supported by OData.');
+            }
+
+            return aggregate.field.replace(/\./g, "/") + " with " + odataAggregates[method] + " as " + aggregateAlias(aggregate);
+        });
+    }
+
+    function groupSort(group, sort) {
+        return $.map(group, function(descriptor) {
+            var dir = descriptor.dir;
+
+            for (var idx = 0; idx < sort.length; idx++) {
+                if (sort[idx].field === descriptor.field) {
+                    dir = sort[idx].dir;
+                }
+            }
+
+            return { field: descriptor.field, dir: dir };
+        });
+    }
+
+    function toOdataApply(params, options) {
+        var group = options.group || [],
+            expr = toOdataAggregate(applyAggregates(group, options.aggregate)),
+            rows = [];
+
+        delete params.group;
+        delete params.aggregate;
+
+        if (group.length) {
+            // the groups are counted to weigh the averages of their parent groups
+            expr.push("$count as " + groupAlias(group));
+
+            expr = "groupby((" + $.map(group, function(value) {
+                return value.field.replace(/\./g, "/");
+            }).join(",") + "),aggregate(" + expr.join(",") + "))";
+
+            // only the grouped fields are left to sort by after groupby
+            mappers.sort(params, groupSort(group, options.sort || []));
+        } else if (expr.length) {
+            expr.push("$count as " + TOTAL);
+
+            // the rows are sorted and paged within $apply, as $orderby, $skip and $top would apply to the aggregates too
+            if (params.$orderby) {
+                rows.push("orderby(" + params.$orderby + ")");
+            }
+
+            if (params.$skip) {
+                rows.push("skip(" + params.$skip + ")");
+            }
+
+            if (params.$top) {
+                rows.push("top(" + params.$top + ")");
+            }
+
+            expr = "concat(aggregate(" + expr.join(",") + ")," + (rows.join("/") || "identity") + ")";
+
+            delete params.$orderby;
+            delete params.$skip;
+            delete params.$top;
+        } else {
+            return;
+        }
+
+        // $filter is evaluated after $apply, so the records are filtered before they are aggregated
+        if (params.$filter) {
+            expr = "filter(" + params.$filter + ")/" + expr;
+            delete params.$filter;
+        }
+
+        params.$apply = expr;
+    }
+
+    function applyGroup(rows) {
+        var row = rows[0],
+            fields = null,
+            name;
+
+        for (name in row) {
+            if (name.indexOf(GROUPBY) === 0) {
+                fields = name.substr(GROUPBY.length).split(encodeAlias(","));
+            }
+        }
+
+        return fields && $.map(fields, function(field) {
+            return { field: decodeAlias(field) };
+        });
+    }
+
+    function applyTotal(rows) {
+        for (var idx = 0; idx < rows.length; idx++) {
+            if (rows[idx][TOTAL] !== undefined) {
+                return rows[idx];
+            }
+        }
+
+        return null;
+    }
+
+    function rowAggregates(row) {
+        var result = [],
+            match,
+            name;
+
+        for (name in row) {
+            match = ALIAS.exec(name);
+
+            if (match) {
+                result.push({ field: decodeAlias(match[2]), aggregate: match[1] });
+            }
+        }
+
+        return result;
+    }
+
+    function combineAggregates(rows, aggregates, count) {
+        var result = {},
+            aggregate,
+            method,
+            alias,
+            value,
+            weight,
+            total,
+            row,
+            idx,
+            i;
+
+        for (idx = 0; idx < aggregates.length; idx++) {
+            aggregate = aggregates[idx];
+            method = aggregate.aggregate;
+            alias = aggregateAlias(aggregate);
+            value = method === "sum" || method === "count" ? 0 : null;
+            weight = 0;
+            total = 0;
+
+            for (i = 0; i < rows.length; i++) {
+                row = rows[i];
+
+                if (row[alias] === null || row[alias] === undefined) {
+                    continue;
+                }
+
+                if (method === "sum" || method === "count") {
+                    value += row[alias];
+                } else if (method === "min") {
+                    value = value === null ? row[alias] : Math.min(value, row[alias]);
+                } else if (method === "max") {
+                    value = value === null ? row[alias] : Math.max(value, row[alias]);
+                } else if (method === "average") {
+                    weight += row[count] || 0;
+                    total += row[alias] * (row[count] || 0);
+                    value = row[alias];
+                }
+            }
+
+            if (method === "average" && rows.length > 1) {
+                value = weight ? total / weight : null;
+            }
+
+            result[aggregate.field] = result[aggregate.field] || {};
+            result[aggregate.field][method] = value;
+        }
+
+        return result;
+    }
+
+    // the rows of groupby are mapped back to nested groups, each row being the only item of its innermost group
+    function toGroups(rows, group, aggregates, count) {
+        var descriptor = group[0],
+            get = kendo.getter(descriptor.field, true),
+            hasSubgroups = group.length > 1,
+            values = [],
+            items = [],
+            result = [],
+            index,
+            value,
+            idx;
+
+        for (idx = 0; idx < rows.length; idx++) {
+            value = get(rows[idx]);
+            index = $.inArray(value, values);
+
+            if (index < 0) {
+                index = values.push(value) - 1;
+                items.push([]);
+            }
+
+            items[index].push(rows[idx]);
+        }
+
+        for (idx = 0; idx < values.length; idx++) {
+            result.push({
+                field: descriptor.field,
+                value: values[idx],
+                hasSubgroups: hasSubgroups,
+                items: hasSubgroups ? toGroups(items[idx], group.slice(1), aggregates, count) : items[idx],
+                aggregates: combineAggregates(items[idx], aggregates, count)
+            });
+        }
+
+        return result;
+    }
+
     function stripMetadata(obj) {
         for (var name in obj) {
             if(name.indexOf("@odata") === 0) {
@@ -230,72 +580,72 @@ var __meta__ = { // jshint ignore:line
         return content;
     }
 
-    function getOperations(collection, changeset, changeId, command, transport, skipContent) {
+    function getOperations(collection, changeset, operations, command, transport, skipContent) {
         var requestBody = "";
 
         for (var i = 0; i < collection.length; i++) {
-            requestBody += getOperationHeader(changeset, changeId);
+            operations.push({ type: command, index: i, item: collection[i] });
+
+            requestBody += getOperationHeader(changeset, operations.length);
             requestBody += DOUBLELINE + createCommand(transport, collection[i], transport.options[command].type, command) + ' HTTP/1.1';
             if (!skipContent) {
                 requestBody += getOperationContent(collection[i]);
             }
             requestBody += NEWLINE;
-            changeId++;
         }
 
         return requestBody;
     }
 
-    function processCollection(colection, boundary, changeset, changeId, transport, command, skipContent) {
+    function getBoundary(boundary,changeset) {
         var requestBody = "";
 
-        requestBody += getBoundary(boundary, changeset);
-        requestBody += getOperations(colection, changeset, changeId, command, transport, skipContent);
-        requestBody += createDelimeter(changeset, true);
-        requestBody += NEWLINE;
+        requestBody += "--" + boundary + NEWLINE;
+        requestBody += "Content-Type: multipart/mixed; boundary=" + changeset + NEWLINE;
 
         return requestBody;
     }
 
-    function getBoundary(boundary,changeset) {
-        var requestBody = "";
+    function getBatchUrl(transport) {
+        var batchURL = transport.options.batch.url;
+        var readURL = transport.options.read ? transport.options.read.url : null;
 
-        requestBody += "--" + boundary + NEWLINE;
-        requestBody += "Content-Type: multipart/mixed; boundary=" + changeset + NEWLINE;
+        if (isFunction(batchURL)) {
+            return batchURL();
+        }
 
-        return requestBody;
+        if (batchURL) {
+            return batchURL;
+        }
+
+        // the $batch resource is next to the entity sets at the root of the service
+        if (typeof readURL === "string") {
+            return readURL.replace(/[?#].*$/, "").replace(/\/?[^\/]*$/, "/$batch");
+        }
+
+        throw new Error('The "batch.url" option must be set.');
     }
 
-    function createBatchRequest(transport, colections) {
+    function createBatchRequest(transport, colections, operations) {
         var options = {};
         var boundary = createBoundary("sf_batch_");
         var requestBody = "";
-        var changeId = 0;
-        var batchURL = transport.options.batch.url;
         var changeset = createBoundary("sf_changeset_");
 
-        options.type = transport.options.batch.type;
-        options.url = isFunction(batchURL) ? batchURL() : batchURL;
+        options.type = transport.options.batch.type || "POST";
+        options.url = getBatchUrl(transport);
+        options.dataType = "text";
         options.headers = {
             "Content-Type": "multipart/mixed; boundary=" + boundary
         };
 
-        if (colections.updated.length) {
-            requestBody += processCollection(colections.updated, boundary, changeset, changeId, transport, "update", false);
-            changeId += colections.updated.length;
-            changeset = createBoundary("sf_changeset_");
-        }
-
-        if (colections.destroyed.length) {
-            requestBody += processCollection(colections.destroyed, boundary, changeset, changeId, transport, "destroy", true);
-            changeId += colections.destroyed.length;
-            changeset = createBoundary("sf_changeset_");
-        }
-
-        if (colections.created.length) {
-            requestBody += processCollection(colections.created, boundary, changeset, changeId, transport, "create", false);
-        }
-
+        // all changes are sent in a single change set, so the service applies either all or none of them
+        requestBody += getBoundary(boundary, changeset);
+        requestBody += getOperations(colections.updated, changeset, operations, "update", transport, false);
+        requestBody += getOperations(colections.destroyed, changeset, operations, "destroy", transport, true);
+        requestBody += getOperations(colections.created, changeset, operations, "create", transport, false);
+        requestBody += createDelimeter(changeset, true);
+        requestBody += NEWLINE;
         requestBody += createDelimeter(boundary, true);
 
         options.data = requestBody;
@@ -303,49 +653,155 @@ var __meta__ = { // jshint ignore:line
         return options;
     }
 
-    function parseBatchResponse(responseText) {
-        var responseMarkers = responseText.match(/--changesetresponse_[a-z0-9-]+$/gm);
-        var markerIndex = 0;
-        var collections = [];
-        var changeBody;
-        var status;
-        var code;
-        var marker;
-        var jsonModel;
+    function getMultipartBoundary(contentType) {
+        var match = /boundary=("?)([^";]+)\1/i.exec(contentType || "");
+
+        return match ? match[2] : null;
+    }
 
-        collections.push({ models: [], passed: true });
+    function splitHeaders(text) {
+        var separator = text.search(/\r?\n\r?\n/),
+            headers = {},
+            lines = (separator < 0 ? text : text.substring(0, separator)).split(/\r?\n/),
+            index,
+            idx;
 
-        for (var i = 0; i < responseMarkers.length; i++) {
-            marker = responseMarkers[i];
-            if (marker.lastIndexOf('--', marker.length - 1)) {
-                if (i < responseMarkers.length - 1) {
-                    collections.push({ models: [], passed: true });
-                }
-                continue;
+        for (idx = 0; idx < lines.length; idx++) {
+            index = lines[idx].indexOf(":");
+
+            if (index > 0) {
+                headers[$.trim(lines[idx].substring(0, index)).toLowerCase()] = $.trim(lines[idx].substring(index + 1));
             }
+        }
 
-            if (!markerIndex) {
-                markerIndex = responseText.indexOf(marker);
-            } else {
-                markerIndex = responseText.indexOf(marker, markerIndex + marker.length);
+        return {
+            headers: headers,
+            first: lines[0],
+            body: separator < 0 ? "" : text.substring(separator).replace(/^\r?\n\r?\n/, "")
+        };
+    }
+
+    function parseMultipart(text, boundary) {
+        var chunks = text.split("--" + boundary),
+            parts = [],
+            idx;
+
+        // the first chunk is the preamble and the closing delimiter is followed by "--"
+        for (idx = 1; idx < chunks.length && chunks[idx].indexOf("--") !== 0; idx++) {
+            parts.push(splitHeaders(chunks[idx].replace(/^[ \t]*\r?\n/, "").replace(/\r?\n$/, "")));
+        }
+
+        return parts;
+    }
+
+    function parseHttpResponse(part) {
+        var response = splitHeaders(part.body),
+            status = /^HTTP\/\d\.\d (\d{3}) ?(.*)$/.exec(response.first) || [],
+            result = {
+                status: parseInt(status[1], 10) || 0,
+                statusText: status[2] || "",
+                contentId: part.headers["content-id"] || response.headers["content-id"],
+                responseText: $.trim(response.body)
+            };
+
+        if (result.responseText) {
+            try {
+                result.responseJSON = JSON.parse(result.responseText);
+            } catch (e) {
+                result.responseJSON = undefined;
             }
+        }
+
+        return result;
+    }
+
+    function parseBatchResponse(responseText, contentType) {
+        var boundary = getMultipartBoundary(contentType) || (/^--(\S+)/m.exec(responseText) || [])[1],
+            parts = boundary ? parseMultipart(responseText, boundary) : [],
+            responses = [],
+            changes,
+            idx,
+            change;
+
+        for (idx = 0; idx < parts.length; idx++) {
+            boundary = getMultipartBoundary(parts[idx].headers["content-type"]);
 
-            changeBody = responseText.substring(markerIndex, responseText.indexOf("--", markerIndex + 1));
-            status = changeBody.match(/^HTTP\/1\.\d (\d{3}) (.*)$/gm).pop();
-            code = kendo.parseFloat(status.match(/\d{3}/g).pop());
+            if (boundary) {
+                changes = parseMultipart(parts[idx].body, boundary);
 
-            if (code >= 200 && code <= 299) {
-                jsonModel = changeBody.match(/\{.*\}/gm);
-                if (jsonModel) {
-                    collections[collections.length - 1].models.push(JSON.parse(jsonModel[0]));
+                for (change = 0; change < changes.length; change++) {
+                    responses.push(parseHttpResponse(changes[change]));
                 }
             } else {
-                collections[collections.length - 1].passed = false;
+                // a failed change set is answered with a single response
+                responses.push(parseHttpResponse(parts[idx]));
             }
+        }
+
+        return responses;
+    }
+
+    function submitBatch(transport, e, result) {
+        var collections = e.data;
+        var operations = [];
 
+        if (!collections.updated.length && !collections.destroyed.length && !collections.created.length) {
+            return;
         }
 
-        return collections;
+        var options = createBatchRequest(transport, collections, operations);
+
+        $.ajax(extend(true, {}, {
+            success: function (response, status, xhr) {
+                var responses = parseBatchResponse(response || "", xhr && xhr.getResponseHeader ? xhr.getResponseHeader("Content-Type") : null);
+                var models = { update: [], destroy: [], create: [] };
+                var errors = [];
+                var operation;
+                var current;
+                var idx;
+
+                // the services which return only status codes leave the models as they were sent
+                for (idx = 0; idx < operations.length; idx++) {
+                    models[operations[idx].type][operations[idx].index] = operations[idx].item;
+                }
+
+                for (idx = 0; idx < responses.length; idx++) {
+                    current = responses[idx];
+                    operation = current.contentId ? operations[parseInt(current.contentId, 10) - 1] : operations[idx];
+
+                    if (current.status < 200 || current.status > 299) {
+                        errors.push(extend({}, current, operation ? { type: operation.type, model: operation.item } : {}));
+                    } else if (operation && current.responseJSON) {
+                        models[operation.type][operation.index] = current.responseJSON;
+                    }
+                }
+
+                if (!responses.length) {
+                    errors.push({ status: 0, statusText: "Invalid batch response", responseText: response });
+                }
+
+                if (errors.length) {
+                    e.error(extend({}, errors[0], { errors: errors }), "error", errors[0].statusText);
+                    return;
+                }
+
+                if (collections.updated.length) {
+                    e.success(result(models.update), "update");
+                }
+
+                if (collections.destroyed.length) {
+                    // Passing empty array to datasource will force it to correctly remove the deleted items from the pristine collection.
+                    e.success(result([]), "destroy");
+                }
+
+                if (collections.created.length) {
+                    e.success(result(models.create), "create");
+                }
+            },
+            error: function (response, status, error) {
+                e.error(response, status, error);
+            }
+        }, options));
     }
 
     extend(true, kendo.data, {
@@ -360,6 +816,8 @@ var __meta__ = { // jshint ignore:line
         },
         transports: {
             odata: {
+                // the changes of batch data sources are sent to $batch only when the batch option is set
+                batch: false,
                 read: {
                     cache: true, // to prevent jQuery from adding cache buster
                     dataType: "jsonp",
@@ -427,6 +885,17 @@ var __meta__ = { // jshint ignore:line
                     }
 
                     return params;
+                },
+                submit: function(e) {
+                    submitBatch(this, e, function(models) {
+                        return {
+                            d: {
+                                results: $.map(models, function(model) {
+                                    return model.d || model;
+                                })
+                            }
+                        };
+                    });
                 }
             }
         }
@@ -447,13 +916,42 @@ var __meta__ = { // jshint ignore:line
                         stripMetadata(data);
 
                         if (data.value) {
-                            return data.value;
+                            // the aggregates concatenated to the rows by $apply are not a data item
+                            return $.grep(data.value, function(row) {
+                                return row[TOTAL] === undefined;
+                            });
                         }
                         return [data];
                     }
                 },
                 total: function(data) {
-                    return data["@odata.count"];
+                    var row = $.isArray(data.value) ? applyTotal(data.value) : null;
+
+                    return row ? row[TOTAL] : data["@odata.count"];
+                },
+                groups: function(data) {
+                    var group = $.isArray(data.value) ? applyGroup(data.value) : null;
+
+                    if (group) {
+                        return toGroups(data.value, group, rowAggregates(data.value[0]), groupAlias(group));
+                    }
+
+                    return data.value;
+                },
+                aggregates: function(data) {
+                    var rows = $.isArray(data.value) ? data.value : [],
+                        group = applyGroup(rows),
+                        row = applyTotal(rows);
+
+                    if (group) {
+                        return combineAggregates(rows, rowAggregates(rows[0]), groupAlias(group));
+                    }
+
+                    if (row) {
+                        return combineAggregates([row], rowAggregates(row));
+                    }
+
+                    return data.aggregates || {};
                 }
             }
         },
@@ -488,53 +986,16 @@ var __meta__ = { // jshint ignore:line
                     if (type == "read") {
                         result.$count = true;
                         delete result.$inlinecount;
+
+                        toOdataApply(result, options || {});
                     }
 
                     return result;
                 },
                 submit: function(e) {
-                    var that = this;
-                    var options = createBatchRequest(that, e.data);
-                    var collections = e.data;
-
-                    if (!collections.updated.length && !collections.destroyed.length && !collections.created.length) {
-                        return;
-                    }
-
-                    $.ajax(extend(true, {}, {
-                        success: function (response) {
-                            var responses = parseBatchResponse(response);
-                            var index = 0;
-                            var current;
-
-                            if (collections.updated.length) {
-                                current = responses[index];
-                                if (current.passed) {
-                                    // Pass either the obtained models or an empty array if only status codes are returned.
-                                    e.success(current.models.length ? current.models : [], "update");
-                                }
-                                index++;
-                            }
-                            if (collections.destroyed.length) {
-                                current = responses[index];
-                                if (current.passed) {
-                                    // For delete operations OData returns only status codes.
-                                    // Passing empty array to datasource will force it to correctly remove the deleted items from the pristine collection.
-                                    e.success([], "destroy");
-                                }
-                                index++;
-                            }
-                            if (collections.created.length) {
-                                current = responses[index];
-                                if (current.passed) {
-                                    e.success(current.models, "create");
-                                }
-                            }
-                        },
-                        error: function (response, status, error) {
-                            e.error(response, status, error);
-                        }
-                    }, options));
+                    submitBatch(this, e, function(models) {
+                        return models;
+                    });
                 }
             }
         }
@@ -22,12 +22,32 @@ var __meta__ = { // jshint ignore:line
         return promise && isFunction(promise.then) && isFunction(promise.catch); // jshint ignore:line
     }
 
+    // the HubConnection of @microsoft/signalr reports its state and reconnects by itself
+    function isHubConnection(hub) {
+        return hub && isFunction(hub.onreconnecting) && isFunction(hub.onreconnected);
+    }
+
+    function connected(promise, callback) {
+        if (isJQueryPromise(promise)) {
+            promise.done(callback);
+        } else if (isNativePromise(promise)) {
+            promise.then(callback);
+        }
+    }
+
     var transport = kendo.data.RemoteTransport.extend({
         init: function (options) {
+            var that = this;
             var signalr = options && options.signalr ? options.signalr : {};
 
+            var hub = signalr.hub;
+
             var promise = signalr.promise;
 
+            if (!promise && isHubConnection(hub) && hub.state === "Disconnected") {
+                promise = hub.start();
+            }
+
             if (!promise) {
                 throw new Error('The "promise" option must be set.');
             }
@@ -38,8 +58,6 @@ var __meta__ = { // jshint ignore:line
 
             this.promise = promise;
 
-            var hub = signalr.hub;
-
             if (!hub) {
                 throw new Error('The "hub" option must be set.');
             }
@@ -49,6 +67,23 @@ var __meta__ = { // jshint ignore:line
             }
 
             this.hub = hub;
+            this._queue = [];
+
+            if (isHubConnection(hub)) {
+                hub.onreconnecting(function() {
+                    that._disconnectedAt = new Date();
+                });
+
+                hub.onreconnected(function() {
+                    that._reconnected();
+                });
+
+                if (isFunction(hub.onclose)) {
+                    hub.onclose(function(error) {
+                        that._closed(error);
+                    });
+                }
+            }
 
             kendo.data.RemoteTransport.fn.init.call(this, options);
         },
@@ -56,6 +91,8 @@ var __meta__ = { // jshint ignore:line
         push: function(callbacks) {
             var client = this.options.signalr.client || {};
 
+            this._callbacks = callbacks;
+
             if (client.create) {
                 this.hub.on(client.create, callbacks.pushCreate);
             }
@@ -69,9 +106,79 @@ var __meta__ = { // jshint ignore:line
             }
         },
 
-        _crud: function(options, type) {
+        _connected: function() {
+            return !isHubConnection(this.hub) || this.hub.state === "Connected";
+        },
+
+        _invoke: function(args, options) {
             var hub = this.hub;
-            var promise = this.promise;
+            var result = hub.invoke.apply(hub, args);
+
+            if (isJQueryPromise(result)) {
+                result.done(options.success)
+                      .fail(options.error);
+            } else if (isNativePromise(result)) {
+                result.then(options.success)
+                      .catch(options.error); // jshint ignore:line
+            }
+        },
+
+        // the connection is closed when it is stopped or fails to reconnect, so the queued invocations fail
+        _closed: function(error) {
+            var queue = this._queue.splice(0, this._queue.length);
+            var idx;
+
+            error = error || new Error("The connection was closed.");
+
+            for (idx = 0; idx < queue.length; idx++) {
+                queue[idx].options.error(error);
+            }
+        },
+
+        _reconnected: function() {
+            var that = this;
+            var queue = that._queue.splice(0, that._queue.length);
+            var signalr = that.options.signalr;
+            var server = signalr.server || {};
+            var client = signalr.client || {};
+            var callbacks = that._callbacks;
+            var idx;
+
+            // invocations made while disconnected are sent in the order they were made
+            for (idx = 0; idx < queue.length; idx++) {
+                that._invoke(queue[idx].args, queue[idx].options);
+            }
+
+            if (!callbacks || !(client.create || client.update || client.destroy)) {
+                return;
+            }
+
+            if (server.replay) {
+                that._invoke([server.replay, that.parameterMap({ since: that._disconnectedAt }, "replay")], {
+                    success: function(result) {
+                        result = result || {};
+
+                        if (result.create && result.create.length) {
+                            callbacks.pushCreate(result.create);
+                        }
+
+                        if (result.update && result.update.length) {
+                            callbacks.pushUpdate(result.update);
+                        }
+
+                        if (result.destroy && result.destroy.length) {
+                            callbacks.pushDestroy(result.destroy);
+                        }
+                    },
+                    error: $.noop
+                });
+            } else if (callbacks.read) {
+                callbacks.read();
+            }
+        },
+
+        _crud: function(options, type) {
+            var that = this;
             var server = this.options.signalr.server;
 
             if (!server || !server[type]) {
@@ -86,19 +193,15 @@ var __meta__ = { // jshint ignore:line
                 args.push(data);
             }
 
-            if (isJQueryPromise(promise)) {
-                promise.done(function() {
-                    hub.invoke.apply(hub, args)
-                              .done(options.success)
-                              .fail(options.error);
-                });
-            } else if (isNativePromise(promise)) {
-                promise.then(function() {
-                    hub.invoke.apply(hub, args)
-                              .then(options.success)
-                              .catch(options.error); // jshint ignore:line
-                });
-            }
+            connected(this.promise, function() {
+                if (that._connected()) {
+                    that._invoke(args, options);
+                } else if (that.hub.state === "Disconnected") {
+                    options.error(new Error("The connection was closed."));
+                } else {
+                    that._queue.push({ args: args, options: options });
+                }
+            });
         },
 
         read: function(options) {
@@ -0,0 +1,130 @@
+(function(f, define){
+    define([ "./kendo.data" ], f);
+})(function(){
+
+var __meta__ = { // jshint ignore:line
+    id: "data.sse",
+    name: "Server-Sent Events",
+    category: "framework",
+    depends: [ "data" ],
+    hidden: true
+};
+
+(function($, undefined) {
+    var kendo = window.kendo,
+        extend = $.extend,
+        each = $.each,
+        Class = kendo.Class,
+        CLOSED = 2,
+        callbackNames = {
+            create: "pushCreate",
+            update: "pushUpdate",
+            destroy: "pushDestroy"
+        };
+
+    var EventSourcePush = Class.extend({
+        init: function(options) {
+            var that = this;
+
+            options = that.options = extend(true, {}, that.options, options);
+
+            if (!options.url) {
+                throw new Error('The "url" option must be set.');
+            }
+
+            that.lastEventId = options.lastEventId || null;
+            that._closed = false;
+        },
+
+        options: {
+            events: {
+                create: "created",
+                update: "updated",
+                destroy: "deleted"
+            },
+            withCredentials: false,
+            lastEventIdParam: "lastEventId",
+            retry: 3000
+        },
+
+        push: function(callbacks) {
+            this._callbacks = callbacks;
+            this._connect();
+        },
+
+        close: function() {
+            var that = this;
+
+            that._closed = true;
+            clearTimeout(that._retryTimeout);
+
+            if (that.source) {
+                that.source.close();
+            }
+        },
+
+        _url: function() {
+            var options = this.options,
+                url = options.url;
+
+            if (this.lastEventId) {
+                url += (url.indexOf("?") < 0 ? "?" : "&") + encodeURIComponent(options.lastEventIdParam) + "=" + encodeURIComponent(this.lastEventId);
+            }
+
+            return url;
+        },
+
+        _connect: function() {
+            var that = this,
+                events = that.options.events,
+                source;
+
+            source = that.source = new window.EventSource(that._url(), { withCredentials: that.options.withCredentials });
+
+            each(callbackNames, function(type) {
+                if (events[type]) {
+                    source.addEventListener(events[type], function(e) {
+                        that._receive(type, e);
+                    });
+                }
+            });
+
+            // the browser reconnects with the Last-Event-ID header by itself, unless it gives up and closes the source
+            source.addEventListener("error", function() {
+                if (source === that.source && source.readyState === CLOSED && !that._closed) {
+                    that._retryTimeout = setTimeout(function() {
+                        that._connect();
+                    }, that.options.retry);
+                }
+            });
+        },
+
+        _receive: function(type, e) {
+            var data;
+
+            if (e.lastEventId) {
+                this.lastEventId = e.lastEventId;
+            }
+
+            try {
+                data = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+
+            this._callbacks[callbackNames[type]](data);
+        }
+    });
+
+    extend(true, kendo.data, {
+        EventSourcePush: EventSourcePush,
+        pushSources: {
+            sse: EventSourcePush
+        }
+    });
+
+})(window.kendo.jQuery);
+
+return window.kendo;
+
+}, typeof define == 'function' && define.amd ? define : function(a1, a2, a3){ (a3 || a2)(); });
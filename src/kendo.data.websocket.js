@@ -0,0 +1,241 @@
+(function(f, define){
+    define([ "./kendo.data" ], f);
+})(function(){
+
+var __meta__ = { // jshint ignore:line
+    id: "data.websocket",
+    name: "WebSocket",
+    category: "framework",
+    depends: [ "data" ],
+    hidden: true
+};
+
+(function($, undefined) {
+    var kendo = window.kendo,
+        extend = $.extend,
+        isFunction = kendo.isFunction,
+        RemoteTransport = kendo.data.RemoteTransport,
+        OPEN = 1;
+
+    var transport = RemoteTransport.extend({
+        init: function(options) {
+            var that = this,
+                websocket = options && options.websocket ? options.websocket : {};
+
+            if (!websocket.url && !isFunction(websocket.socket)) {
+                throw new Error('The "url" option must be set.');
+            }
+
+            that.settings = extend(true, {}, that.settings, websocket);
+
+            that._requests = {};
+            that._queue = [];
+            that._id = 0;
+            that._attempts = 0;
+            that._opened = false;
+            that._closed = false;
+
+            RemoteTransport.fn.init.call(that, options);
+
+            that._connect();
+        },
+
+        settings: {
+            server: {
+                read: "read",
+                create: "create",
+                update: "update",
+                destroy: "destroy"
+            },
+            client: {
+                create: "create",
+                update: "update",
+                destroy: "destroy"
+            },
+            reconnect: {
+                delay: 1000,
+                maxDelay: 30000,
+                factor: 2
+            }
+        },
+
+        push: function(callbacks) {
+            this._callbacks = callbacks;
+        },
+
+        read: function(options) {
+            this._send(options, "read");
+        },
+
+        create: function(options) {
+            this._send(options, "create");
+        },
+
+        update: function(options) {
+            this._send(options, "update");
+        },
+
+        destroy: function(options) {
+            this._send(options, "destroy");
+        },
+
+        close: function() {
+            var that = this;
+
+            that._closed = true;
+            clearTimeout(that._reconnectTimeout);
+
+            if (that.socket) {
+                that.socket.close();
+            }
+        },
+
+        _connect: function() {
+            var that = this,
+                settings = that.settings,
+                socket;
+
+            socket = that.socket = isFunction(settings.socket) ? settings.socket(settings.url) : new window.WebSocket(settings.url, settings.protocols);
+
+            // events of a socket replaced by a reconnect are ignored
+            socket.addEventListener("open", function() {
+                if (socket === that.socket) {
+                    that._open();
+                }
+            });
+
+            socket.addEventListener("message", function(e) {
+                if (socket === that.socket) {
+                    that._message(e.data);
+                }
+            });
+
+            socket.addEventListener("close", function() {
+                if (socket === that.socket) {
+                    that._close();
+                }
+            });
+        },
+
+        _open: function() {
+            var that = this,
+                queue = that._queue.splice(0, that._queue.length),
+                reconnected = that._opened,
+                idx;
+
+            that._opened = true;
+            that._attempts = 0;
+
+            for (idx = 0; idx < queue.length; idx++) {
+                that.socket.send(queue[idx]);
+            }
+
+            // the pushes made while the socket was closed are missed, so the data is read again
+            if (reconnected && that._callbacks && that._callbacks.read) {
+                that._callbacks.read();
+            }
+        },
+
+        _close: function() {
+            var that = this,
+                requests = that._requests,
+                reconnect = that.settings.reconnect,
+                delay,
+                id;
+
+            that._requests = {};
+            that._queue = [];
+
+            for (id in requests) {
+                requests[id].error({}, "error", "The WebSocket connection was closed.");
+            }
+
+            if (that._closed || !reconnect) {
+                return;
+            }
+
+            delay = Math.min(reconnect.maxDelay, reconnect.delay * Math.pow(reconnect.factor, that._attempts));
+            that._attempts++;
+
+            that._reconnectTimeout = setTimeout(function() {
+                that._connect();
+            }, delay);
+        },
+
+        _send: function(options, type) {
+            var that = this,
+                id = String(++that._id),
+                message;
+
+            // the requests of a closed transport are not sent
+            if (that._closed) {
+                options.error({}, "error", "The WebSocket connection was closed.");
+                return;
+            }
+
+            message = kendo.stringify({
+                id: id,
+                type: that.settings.server[type],
+                data: that.parameterMap(options.data, type)
+            });
+
+            that._requests[id] = options;
+
+            if (that.socket.readyState === OPEN) {
+                that.socket.send(message);
+            } else {
+                that._queue.push(message);
+            }
+        },
+
+        _message: function(text) {
+            var that = this,
+                client = that.settings.client,
+                callbacks = that._callbacks,
+                message,
+                options;
+
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                return;
+            }
+
+            if (!message) {
+                return;
+            }
+
+            options = that._requests[message.id];
+
+            if (options) {
+                delete that._requests[message.id];
+
+                if (message.error) {
+                    options.error(message, "error", message.error);
+                } else {
+                    options.success(message.data);
+                }
+            } else if (callbacks) {
+                // messages which do not answer a request are pushed by the server
+                if (message.type === client.create) {
+                    callbacks.pushCreate(message.data);
+                } else if (message.type === client.update) {
+                    callbacks.pushUpdate(message.data);
+                } else if (message.type === client.destroy) {
+                    callbacks.pushDestroy(message.data);
+                }
+            }
+        }
+    });
+
+    extend(true, kendo.data, {
+        transports: {
+            websocket: transport
+        }
+    });
+
+})(window.kendo.jQuery);
+
+return window.kendo;
+
+}, typeof define == 'function' && define.amd ? define : function(a1, a2, a3){ (a3 || a2)(); });
@@ -21,6 +21,59 @@ var __meta__ = { // jshint ignore:line
         getter = kendo.getter,
         Class = kendo.Class;
 
+    function xmlEncode(value) {
+        return ("" + value).replace(/&/g, "&amp;")
+                           .replace(/</g, "&lt;")
+                           .replace(/>/g, "&gt;")
+                           .replace(/"/g, "&quot;")
+                           .replace(/'/g, "&#39;");
+    }
+
+    function xmlValue(value) {
+        return value instanceof Date ? kendo.toString(value, "s") : value;
+    }
+
+    function xmlElement(name, value) {
+        var attributes = "",
+            content = "",
+            member,
+            idx;
+
+        if (isArray(value)) {
+            // repeated elements are stored as array, the same way parseDOM reads them
+            for (idx = 0; idx < value.length; idx++) {
+                content += xmlElement(name, value[idx]);
+            }
+
+            return content;
+        }
+
+        if (isPlainObject(value)) {
+            for (member in value) {
+                if (value[member] == null) {
+                    continue;
+                }
+
+                if (member.charAt(0) === "@") {
+                    attributes += " " + member.substring(1) + '="' + xmlEncode(xmlValue(value[member])) + '"';
+                } else if (member === "#text") {
+                    content += xmlEncode(xmlValue(value[member]));
+                } else {
+                    content += xmlElement(member, value[member]);
+                }
+            }
+        } else if (value != null) {
+            content = xmlEncode(xmlValue(value));
+        }
+
+        return "<" + name + attributes + (content ? ">" + content + "</" + name + ">" : " />");
+    }
+
+    // the "@attribute" and "#text" members of the records are not valid member expressions
+    function memberExpression(field) {
+        return /^(@|#text$)/.test(field) ? '["' + field + '"]' : field;
+    }
+
     var XmlDataReader = Class.extend({
         init: function(options) {
             var that = this,
@@ -31,12 +84,21 @@ var __meta__ = { // jshint ignore:line
                 serialize = options.serialize,
                 data = options.data;
 
+            that._xpaths = {};
+            that._element = typeof data == "string" ? data.replace(/^.*\//, "") : "item";
+
             if (model) {
                 if (isPlainObject(model)) {
                     var base = options.modelBase || kendo.data.Model;
 
                     if (model.fields) {
                         each(model.fields, function(field, value) {
+                            var xpath = isPlainObject(value) ? value.field : value;
+
+                            if (typeof xpath == "string") {
+                                that._xpaths[field] = xpath;
+                            }
+
                             if (isPlainObject(value) && value.field) {
                                 if (!$.isFunction(value.field)) {
                                     value = extend(value, { field: that.getter(value.field) });
@@ -53,10 +115,15 @@ var __meta__ = { // jshint ignore:line
                         var idField = {};
 
                         idField[that.xpathToMember(id, true)] = { field : that.getter(id) };
+                        that._xpaths[that.xpathToMember(id, true)] = id;
                         model.fields = extend(idField, model.fields);
                         model.id = that.xpathToMember(id);
                     }
-                    model = base.define(model);
+                    model = base.define(extend({}, model, {
+                        _set: function(field, value) {
+                            return base.fn._set.call(this, memberExpression(field), value);
+                        }
+                    }));
                 }
 
                 that.model = model;
@@ -128,6 +195,9 @@ var __meta__ = { // jshint ignore:line
             if (typeof serialize == "function") {
                 that.serialize = serialize;
             }
+
+            // the models are shaped as XML only on demand, e.g. for transports which post XML
+            that._serializeXml = serialize === "xml";
         },
         total: function(result) {
             return this.data(result).length;
@@ -136,7 +206,56 @@ var __meta__ = { // jshint ignore:line
             return data ? data.errors : null;
         },
         serialize: function(data) {
-            return data;
+            var that = this;
+
+            if (!that._serializeXml || $.isEmptyObject(that._xpaths)) {
+                return data;
+            }
+
+            return map(data, function(record) {
+                var result = {};
+
+                result[that._element] = that.serializeRecord(record);
+
+                return result;
+            });
+        },
+        serializeRecord: function(record) {
+            var result = {},
+                segments,
+                segment,
+                target,
+                value,
+                field,
+                idx;
+
+            // the XPath of each field tells where its value is written, as for reading
+            for (field in this._xpaths) {
+                value = record[field];
+
+                if (value == null) {
+                    continue;
+                }
+
+                segments = this._xpaths[field].replace(/^\//, "").split("/");
+                target = result;
+
+                for (idx = 0; idx < segments.length - 1; idx++) {
+                    target = target[segments[idx]] = target[segments[idx]] || {};
+                }
+
+                segment = segments[idx];
+
+                if (segment === "text()") {
+                    target["#text"] = value;
+                } else if (segment.charAt(0) === "@") {
+                    target[segment] = value;
+                } else {
+                    target[segment] = { "#text": value };
+                }
+            }
+
+            return result;
         },
         parseDOM: function(element) {
             var result = {},
@@ -253,6 +372,17 @@ var __meta__ = { // jshint ignore:line
         }
     });
 
+    XmlDataReader.stringify = function(data) {
+        var result = "",
+            member;
+
+        for (member in data) {
+            result += xmlElement(member, data[member]);
+        }
+
+        return result;
+    };
+
     $.extend(true, kendo.data, {
         XmlDataReader: XmlDataReader,
         readers: {
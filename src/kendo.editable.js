@@ -216,6 +216,7 @@ var __meta__ = { // jshint ignore:line
             }
             Widget.fn.init.call(that, element, options);
             that._validateProxy = $.proxy(that._validate, that);
+            that._pendingValues = {};
             that.refresh();
         },
 
@@ -227,6 +228,7 @@ var __meta__ = { // jshint ignore:line
             mobileEditors: mobileEditors,
             clearContainer: true,
             errorTemplate: ERRORTEMPLATE,
+            validationSummary: false,
             skipFocus: false
         },
 
@@ -257,6 +259,7 @@ var __meta__ = { // jshint ignore:line
         _validate: function(e) {
             var that = this,
                 input,
+                validation,
                 value = e.value,
                 preventChangeTrigger = that._validationEventInProgress,
                 values = {},
@@ -280,8 +283,19 @@ var __meta__ = { // jshint ignore:line
             try {
                 that._validationEventInProgress = true;
 
-                if (!that.validatable.validateInput(input) || (!preventChangeTrigger && that.trigger(CHANGE, { values: values }))) {
+                validation = that.validatable.validateInputAsync(input);
+
+                if (validation.state() === "pending") {
                     e.preventDefault();
+                    that._setWhenValid(validation, e.field, value);
+                } else {
+                    delete that._pendingValues[e.field];
+
+                    validation.done(function(valid) {
+                        if (!valid || (!preventChangeTrigger && that.trigger(CHANGE, { values: values }))) {
+                            e.preventDefault();
+                        }
+                    });
                 }
 
             } finally {
@@ -289,6 +303,28 @@ var __meta__ = { // jshint ignore:line
             }
         },
 
+        // sets the value once the asynchronous rules of the field pass, unless the field has been changed since
+        _setWhenValid: function(validation, field, value) {
+            var that = this,
+                model = that.options.model,
+                pending = that._pendingValues,
+                token = {};
+
+            pending[field] = token;
+
+            validation.done(function(valid) {
+                if (pending[field] !== token || that.options.model !== model) {
+                    return;
+                }
+
+                delete pending[field];
+
+                if (valid) {
+                    model.set(field, value);
+                }
+            });
+        },
+
         end: function() {
             return this.validatable.validate();
         },
@@ -381,6 +417,7 @@ var __meta__ = { // jshint ignore:line
             that.validatable = new kendo.ui.Validator(container, {
                 validateOnBlur: false,
                 errorTemplate: that.options.errorTemplate || undefined,
+                validationSummary: that.options.validationSummary,
                 rules: rules });
 
             if (!that.options.skipFocus) {
@@ -676,9 +676,18 @@ var __meta__ = { // jshint ignore:line
            var container = editable.element;
            model = that._modelFromElement(container);
 
-           if (editable.end() && !that.trigger(SAVE, { model: model, item: container }))  {
-               that._closeEditable();
-               that.dataSource.sync();
+           var save = function(valid) {
+               if (valid && that.editable === editable && !that.trigger(SAVE, { model: model, item: container }))  {
+                   that._closeEditable();
+                   that.dataSource.sync();
+               }
+           };
+
+           if (editable.end()) {
+               save(true);
+           } else if (editable.validatable.pending()) {
+               // save once the asynchronous validation rules pass
+               editable.validatable.validateAsync().done(save);
            }
        },
 
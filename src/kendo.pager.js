@@ -74,7 +74,7 @@ var __meta__ = { // jshint ignore:line
 
     var Pager = Widget.extend( {
         init: function(element, options) {
-            var that = this, page, totalPages;
+            var that = this, page, totalPages, cursor;
             var sizeClassName = null;
 
             Widget.fn.init.call(that, element, options);
@@ -87,13 +87,14 @@ var __meta__ = { // jshint ignore:line
 
             page = that.page();
             totalPages = that.totalPages();
+            cursor = that._cursorPaging();
 
             that._refreshHandler = proxy(that.refresh, that);
 
             that.dataSource.bind(CHANGE, that._refreshHandler);
             that.downEvent = kendo.applyEventMap(MOUSEDOWN, kendo.guid());
             if (options.previousNext) {
-                if (!that.element.find(FIRST).length) {
+                if (!cursor && !that.element.find(FIRST).length) {
                     that.element.append(icon(FIRST, options.messages.first, "k-pager-first"));
 
                     first(that.element, page, totalPages);
@@ -106,7 +107,7 @@ var __meta__ = { // jshint ignore:line
                 }
             }
 
-            if (options.numeric) {
+            if (options.numeric && !cursor) {
                 that.list = that.element.find(".k-pager-numbers");
 
                 if (!that.list.length) {
@@ -118,7 +119,7 @@ var __meta__ = { // jshint ignore:line
                 that.list.wrap('<div class="k-pager-numbers-wrap"></div>');
             }
 
-            if (options.input) {
+            if (options.input && !cursor) {
                 if (!that.element.find(".k-pager-input").length) {
                    that.element.append('<span class="k-pager-input k-label">'+
                        options.messages.page +
@@ -137,13 +138,21 @@ var __meta__ = { // jshint ignore:line
                     next(that.element, page, totalPages);
                 }
 
-                if (!that.element.find(LAST).length) {
+                if (!cursor && !that.element.find(LAST).length) {
                     that.element.append(icon(LAST, options.messages.last, "k-pager-last"));
 
                     last(that.element, page, totalPages);
                 }
             }
 
+            if (options.loadMore && cursor) {
+                if (!that.element.find(".k-pager-load-more").length) {
+                    that.element.append('<button type="button" class="k-button k-pager-load-more">' + options.messages.loadMore + '</button>');
+                }
+
+                that.element.on(CLICK + NS, ".k-pager-load-more", proxy(that._loadMoreClick, that));
+            }
+
             if (options.pageSizes){
                 if (!that.element.find(".k-pager-sizes").length){
                     var pageSizes = options.pageSizes.length ? options.pageSizes : ["all", 5, 10, 20];
@@ -237,6 +246,7 @@ var __meta__ = { // jshint ignore:line
             previousNext: true,
             pageSizes: false,
             refresh: false,
+            loadMore: true,
             responsive: true,
             messages: {
                 allPages: "All",
@@ -250,7 +260,9 @@ var __meta__ = { // jshint ignore:line
                 next: "Go to the next page",
                 last: "Go to the last page",
                 refresh: "Refresh",
-                morePages: "More pages"
+                morePages: "More pages",
+                loaded: "{0} items",
+                loadMore: "Load more"
             }
         },
 
@@ -305,6 +317,12 @@ var __meta__ = { // jshint ignore:line
                 return;
             }
 
+            if (that._cursorPaging()) {
+                that._refreshCursor();
+                that._refreshPageSizes();
+                return;
+            }
+
             if (options.numeric) {
 
                 if (page > buttonCount) {
@@ -371,6 +389,14 @@ var __meta__ = { // jshint ignore:line
                 last(that.element, page, totalPages);
             }
 
+            that._refreshPageSizes();
+        },
+
+        _refreshPageSizes: function() {
+            var that = this,
+                options = that.options,
+                pageSize = that.pageSize();
+
             if (options.pageSizes) {
                 var hasAll = that.element.find(".k-pager-sizes option[value='all']").length > 0;
                 var selectAll = hasAll && (pageSize === this.dataSource.total() || pageSize == MAX_VALUE);
@@ -390,6 +416,37 @@ var __meta__ = { // jshint ignore:line
             }
         },
 
+        _refreshCursor: function() {
+            var that = this,
+                options = that.options,
+                dataSource = that.dataSource,
+                hasNext = dataSource.hasNext();
+
+            if (options.info) {
+                that.element.find(".k-pager-info").html(dataSource.total() > 0 ?
+                    kendo.format(options.messages.loaded, dataSource.view().length) :
+                    options.messages.empty);
+            }
+
+            if (options.previousNext) {
+                that.element.find(PREV).parent()
+                    .attr("tabindex", -1)
+                    .toggleClass("k-state-disabled", !dataSource.hasPrev());
+
+                that.element.find(NEXT).parent()
+                    .attr("tabindex", -1)
+                    .toggleClass("k-state-disabled", !hasNext);
+            }
+
+            that.element.find(".k-pager-load-more")
+                .attr(DISABLED, !hasNext)
+                .toggleClass("k-state-disabled", !hasNext);
+        },
+
+        _cursorPaging: function() {
+            return !!this.dataSource.options.cursorPaging;
+        },
+
         _collapsedTotal: function() {
             return this.dataSource.total();
         },
@@ -457,10 +514,28 @@ var __meta__ = { // jshint ignore:line
             e.preventDefault();
 
             if (!target.is(".k-state-disabled")) {
-                this.page(target.attr(kendo.attr("page")));
+                if (this._cursorPaging()) {
+                    this._cursorClick(target);
+                } else {
+                    this.page(target.attr(kendo.attr("page")));
+                }
+            }
+        },
+
+        _cursorClick: function(target) {
+            if (target.find(NEXT).length) {
+                this.dataSource.next();
+            } else if (target.find(PREV).length) {
+                this.dataSource.prev();
             }
         },
 
+        _loadMoreClick: function(e) {
+            e.preventDefault();
+
+            this.dataSource.loadMore();
+        },
+
         totalPages: function() {
             return Math.ceil((this.dataSource.total() || 0) / (this.pageSize() || 1));
         },
@@ -9,6 +9,13 @@
         "./kendo.data.xml",
         "./kendo.data",
         "./kendo.data.signalr",
+        "./kendo.data.jsonapi",
+        "./kendo.data.graphql",
+        "./kendo.data.indexeddb",
+        "./kendo.data.ndjson",
+        "./kendo.data.csv",
+        "./kendo.data.websocket",
+        "./kendo.data.sse",
         "./kendo.binder",
         "./kendo.validator",
         "./kendo.userevents",
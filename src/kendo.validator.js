@@ -19,9 +19,15 @@ var __meta__ = { // jshint ignore:line
         invalidMsgRegExp = new RegExp(INVALIDMSG,'i'),
         INVALIDINPUT = "k-invalid",
         VALIDINPUT = "k-valid",
+        VALIDATINGINPUT = "k-validating",
+        PENDING = "kendoValidatorPending",
+        RESULTS = "kendoValidatorResults",
+        SUMMARY = "k-validation-summary",
+        ARIA_DESCRIBEDBY = "aria-describedby",
         emailRegExp = /^[a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/i,
         urlRegExp = /^(https?|ftp):\/\/(((([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:)*@)?(((\d|[1-9]\d|1\d\d|2[0-4]\d|25[0-5])\.(\d|[1-9]\d|1\d\d|2[0-4]\d|25[0-5])\.(\d|[1-9]\d|1\d\d|2[0-4]\d|25[0-5])\.(\d|[1-9]\d|1\d\d|2[0-4]\d|25[0-5]))|((([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))\.)+(([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))\.?)(:\d*)?)(\/((([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:|@)+(\/(([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:|@)*)*)?)?(\?((([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:|@)|[\uE000-\uF8FF]|\/|\?)*)?(\#((([a-z]|\d|-|\.|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(%[\da-f]{2})|[!\$&'\(\)\*\+,;=]|:|@)|\/|\?)*)?$/i,
         INPUTSELECTOR = ":input:not(:button,[type=submit],[type=reset],[disabled],[readonly])",
+        SUMMARYTEMPLATE = '<ul>#for(var i = 0; i < errors.length; i += 1){#<li><a data-field="#:errors[i].field#" href="\\#">#=errors[i].message#</a></li># } #</ul>',
         CHECKBOXSELECTOR = ":checkbox:not([disabled],[readonly])",
         NUMBERINPUTSELECTOR = "[type=number],[type=range]",
         BLUR = "blur",
@@ -32,7 +38,11 @@ var __meta__ = { // jshint ignore:line
         VALIDATE = "validate",
         CHANGE = "change",
         VALIDATE_INPUT = "validateInput",
+        VALIDATING = "validating",
         proxy = $.proxy,
+        isPromise = function(value) {
+            return value && kendo.isFunction(value.then);
+        },
         patternMatcher = function(value, pattern) {
             if (typeof pattern === "string") {
                 pattern = new RegExp('^(?:' + pattern + ')$');
@@ -52,7 +62,15 @@ var __meta__ = { // jshint ignore:line
                 return input[0].attributes[name] != null;
             }
             return false;
-        };
+        },
+        isEmpty = function(input) {
+            var checkbox = input.filter("[type=checkbox]").length && !input.is(":checked"),
+                value = input.val();
+
+            return !value || value === "" || value.length === 0 || checkbox;
+        },
+        // the rules which compare the input with another field, named by the attribute of the same name
+        DEPENDENCIES = [ "requiredif", "equalto", "after", "before" ];
 
     if (!kendo.ui.validator) {
         kendo.ui.validator = { rules: {}, messages: {} };
@@ -69,6 +87,112 @@ var __meta__ = { // jshint ignore:line
         return rules;
     }
 
+    // stops the requests of checks which are no longer needed, e.g. jqXHR objects returned by rules
+    function abort(pending) {
+        for (var idx = 0; idx < pending.length; idx++) {
+            if (kendo.isFunction(pending[idx].promise.abort)) {
+                pending[idx].promise.abort();
+            }
+        }
+    }
+
+    function passed(valid) {
+        return !!valid;
+    }
+
+    // a rejected check, e.g. a failed request, means the rule is not satisfied
+    function failed() {
+        return $.Deferred().resolve(false);
+    }
+
+    // the value a pending check or the cached results of asynchronous rules were computed for
+    function resultKey(input) {
+        var value = inputValue(input);
+
+        return value instanceof Date ? value.getTime() : value;
+    }
+
+    function fieldAttr(input, rule) {
+        return input.attr(kendo.attr(rule)) || input.attr(rule);
+    }
+
+    function inputValue(input) {
+        var widget = kendo.widgetInstance(input);
+
+        // a validator created on the input itself is not an editor
+        if (widget && !(widget instanceof Validator) && kendo.isFunction(widget.value)) {
+            return widget.value();
+        }
+
+        if (input.is(":checkbox")) {
+            return input.is(":checked");
+        }
+
+        if (input.is(":radio")) {
+            return input.filter(":checked").val();
+        }
+
+        return input.val();
+    }
+
+    function comparableValue(input, value) {
+        var date;
+
+        if (value instanceof Date) {
+            return value.getTime();
+        }
+
+        if (typeof value === "string" && value !== "" && input.filter("[type^=date],[" + kendo.attr("type") + "=date]").length) {
+            date = kendo.parseDate(value, input.attr(kendo.attr("format")));
+
+            return date ? date.getTime() : value;
+        }
+
+        return value;
+    }
+
+    function orderedValue(input, value) {
+        value = comparableValue(input, value);
+
+        if (typeof value === "string") {
+            value = kendo.parseFloat(value);
+        }
+
+        return typeof value === "number" && !isNaN(value) ? value : null;
+    }
+
+    function compareRule(validator, input, rule, compare) {
+        var field = fieldAttr(input, rule),
+            value,
+            other;
+
+        if (field && input.val() !== "") {
+            value = orderedValue(input, inputValue(input));
+            other = orderedValue(input, validator._fieldValue(input, field));
+
+            if (value !== null && other !== null) {
+                return compare(value, other);
+            }
+        }
+        return true;
+    }
+
+    function toggleDescribedBy(input, id, add) {
+        var ids = $.grep((input.attr(ARIA_DESCRIBEDBY) || "").split(" "), function(value) {
+            return value && value !== id;
+        });
+
+        if (add) {
+            ids.push(id);
+        }
+
+        if (ids.length) {
+            input.attr(ARIA_DESCRIBEDBY, ids.join(" "));
+        } else {
+            input.removeAttr(ARIA_DESCRIBEDBY);
+        }
+    }
+
     function decode(value) {
         return value.replace(/&amp/g, '&amp;')
             .replace(/&quot;/g, '"')
@@ -132,11 +256,15 @@ var __meta__ = { // jshint ignore:line
             that._checkboxSelector = CHECKBOXSELECTOR + validateAttributeSelector;
 
             that._errors = {};
+            that._sources = [];
+            that._sourceChangeHandler = function(e) {
+                that._validateDependents(e.field);
+            };
             that._attachEvents();
             that._isValidated = false;
         },
 
-        events: [ VALIDATE, CHANGE, VALIDATE_INPUT ],
+        events: [ VALIDATE, CHANGE, VALIDATE_INPUT, VALIDATING ],
 
         options: {
             name: "Validator",
@@ -151,14 +279,15 @@ var __meta__ = { // jshint ignore:line
                 email: "{0} is not valid email",
                 url: "{0} is not valid URL",
                 date: "{0} is not valid date",
+                requiredif: "{0} is required",
+                equalto: "{0} should match {1}",
+                after: "{0} should be after {1}",
+                before: "{0} should be before {1}",
                 dateCompare: "End date should be greater than or equal to the start date"
             },
             rules: {
                 required: function(input) {
-                    var checkbox = input.filter("[type=checkbox]").length && !input.is(":checked"),
-                        value = input.val();
-
-                    return !(hasAttribute(input, "required") && (!value || value === "" || value.length === 0 || checkbox));
+                    return !(hasAttribute(input, "required") && isEmpty(input));
                 },
                 pattern: function(input) {
                     if (input.filter("[type=text],[type=email],[type=url],[type=tel],[type=search],[type=password]").filter("[pattern]").length && input.val() !== "") {
@@ -211,15 +340,69 @@ var __meta__ = { // jshint ignore:line
                         return kendo.parseDate(input.val(), input.attr(kendo.attr("format"))) !== null;
                     }
                     return true;
+                },
+                requiredif: function(input) {
+                    var field = fieldAttr(input, "requiredif");
+
+                    if (field && this._fieldValue(input, field)) {
+                        return !isEmpty(input);
+                    }
+                    return true;
+                },
+                equalto: function(input) {
+                    var field = fieldAttr(input, "equalto"),
+                        value,
+                        other;
+
+                    if (field) {
+                        value = comparableValue(input, inputValue(input));
+                        other = comparableValue(input, this._fieldValue(input, field));
+
+                        return String(value == null ? "" : value) === String(other == null ? "" : other);
+                    }
+                    return true;
+                },
+                after: function(input) {
+                    return compareRule(this, input, "after", function(value, other) {
+                        return value > other;
+                    });
+                },
+                before: function(input) {
+                    return compareRule(this, input, "before", function(value, other) {
+                        return value < other;
+                    });
                 }
             },
+            validationSummary: false,
             validateOnBlur: true
         },
 
         destroy: function() {
-            Widget.fn.destroy.call(this);
+            var that = this,
+                summary = that.validationSummary;
+
+            Widget.fn.destroy.call(that);
+
+            that.element.off(NS);
+
+            if (summary) {
+                summary.off(NS);
+
+                if (that._summaryCreated) {
+                    summary.remove();
+                } else {
+                    summary.empty().hide();
+                }
+            }
+
+            $.each(that._sources, function() {
+                this.unbind(CHANGE, that._sourceChangeHandler);
+            });
+            that._sources = [];
 
-            this.element.off(NS);
+            that._inputs().each(function() {
+                that._abortPending($(this));
+            });
         },
 
         value: function() {
@@ -231,7 +414,28 @@ var __meta__ = { // jshint ignore:line
         },
 
         _submit: function(e) {
-            if (!this.validate()) {
+            var that = this;
+
+            if (that._resubmit) {
+                return true;
+            }
+
+            if (!that.validate()) {
+                if (that.pending()) {
+                    // submit again once the asynchronous rules pass
+                    that.validateAsync().done(function(valid) {
+                        if (valid) {
+                            that._resubmit = true;
+
+                            try {
+                                that.element.submit();
+                            } finally {
+                                that._resubmit = false;
+                            }
+                        }
+                    });
+                }
+
                 e.stopPropagation();
                 e.stopImmediatePropagation();
                 e.preventDefault();
@@ -241,13 +445,80 @@ var __meta__ = { // jshint ignore:line
         },
 
         _checkElement: function(element) {
-            var state = this.value();
+            var that = this,
+                state = that.value();
+
+            that.validateInputAsync(element).done(function() {
+                if (that.value() !== state) {
+                    that.trigger(CHANGE);
+                }
+            });
+        },
+
+        _fieldValue: function(input, field) {
+            var target = input.length ? input[0].kendoBindingTarget : null,
+                source = target ? target.source : null,
+                value;
+
+            // values of MVVM bound forms are read from the view model, as not every field has an input
+            if (source && kendo.isFunction(source.get)) {
+                value = source.get(field);
 
-            this.validateInput(element);
+                if (value !== undefined) {
+                    return value;
+                }
+            }
+
+            return inputValue(this._findInput(field));
+        },
 
-            if (this.value() !== state) {
-                this.trigger(CHANGE);
+        _findInput: function(field) {
+            var root = this.element.is(INPUTSELECTOR) ? this.element.closest(FORM) : this.element;
+
+            return root.find(":input").filter(function() {
+                return $(this).attr(NAME) === field;
+            });
+        },
+
+        _validateDependents: function(field) {
+            var that = this;
+
+            if (!field) {
+                return;
             }
+
+            that._inputs().filter(function() {
+                var input = $(this),
+                    idx;
+
+                if (input.hasClass(VALIDINPUT) || input.hasClass(INVALIDINPUT)) {
+                    for (idx = 0; idx < DEPENDENCIES.length; idx++) {
+                        if (fieldAttr(input, DEPENDENCIES[idx]) === field) {
+                            return true;
+                        }
+                    }
+                }
+                return false;
+            }).each(function() {
+                that._checkElement($(this));
+            });
+        },
+
+        _observeSource: function(input) {
+            var target = input.length ? input[0].kendoBindingTarget : null,
+                source = target ? target.source : null;
+
+            if (source && kendo.isFunction(source.bind) && $.inArray(source, this._sources) < 0) {
+                this._sources.push(source);
+                source.bind(CHANGE, this._sourceChangeHandler);
+            }
+        },
+
+        _inputs: function() {
+            if (!this.element.is(INPUTSELECTOR)) {
+                return this.element.find(this._inputSelector);
+            }
+            return this.element;
         },
 
         _attachEvents: function() {
@@ -257,6 +528,12 @@ var __meta__ = { // jshint ignore:line
                 that.element.on("submit" + NS, proxy(that._submit, that));
             }
 
+            if (!that.element.is(INPUTSELECTOR)) {
+                that.element.on(CHANGE + NS, function(e) {
+                    that._validateDependents($(e.target).attr(NAME));
+                });
+            }
+
             if (that.options.validateOnBlur) {
                 if (!that.element.is(INPUTSELECTOR)) {
                     that.element.on(BLUR + NS, that._inputSelector, function() {
@@ -281,48 +558,195 @@ var __meta__ = { // jshint ignore:line
         },
 
         validate: function() {
-            var inputs;
+            var that = this;
+            var inputs = that._inputs();
+            var result = true;
             var idx;
-            var result = false;
             var length;
 
-            var isValid = this.value();
-
-            this._errors = {};
-
-            if (!this.element.is(INPUTSELECTOR)) {
-                var invalid = false;
+            var isValid = that.value();
 
-                inputs = this.element.find(this._inputSelector);
+            that._errors = {};
 
-                for (idx = 0, length = inputs.length; idx < length; idx++) {
-                    if (!this.validateInput(inputs.eq(idx))) {
-                        invalid = true;
-                    }
+            for (idx = 0, length = inputs.length; idx < length; idx++) {
+                if (!that.validateInput(inputs.eq(idx))) {
+                    result = false;
                 }
-
-                result = !invalid;
-            } else {
-                result = this.validateInput(this.element);
             }
 
-            this.trigger(VALIDATE, { valid: result });
+            that.trigger(VALIDATE, { valid: result });
+
+            if (that.options.validationSummary) {
+                that.showValidationSummary();
+            }
 
             if (isValid !== result) {
-                this.trigger(CHANGE);
+                that.trigger(CHANGE);
             }
 
             return result;
         },
 
+        validateAsync: function() {
+            var that = this,
+                valid = that.validate(),
+                pending = that._pendingChecks();
+
+            if (!pending.length) {
+                return $.Deferred().resolve(valid).promise();
+            }
+
+            // the asynchronous rules are not run again, validate uses their results
+            return $.when.apply($, pending).then(function() {
+                return that.validate();
+            });
+        },
+
         validateInput: function(input) {
             input = $(input);
 
             this._isValidated = true;
 
+            var that = this,
+                value = resultKey(input),
+                stale = input.data(PENDING),
+                result;
+
+            that._observeSource(input);
+
+            // the value is already being checked
+            if (stale && stale.value === value) {
+                return false;
+            }
+
+            result = that._checkValidity(input, value);
+
+            that._abortPending(input);
+
+            if (result.pending) {
+                // callers of a superseded check get the result of the latest one
+                that._validateAsync(input, result.pending, value).done(stale ? stale.deferred.resolve : $.noop);
+                return false;
+            }
+
+            result = that._showValidity(input, result);
+
+            if (stale) {
+                stale.deferred.resolve(result);
+            }
+
+            return result;
+        },
+
+        validateInputAsync: function(input) {
+            var valid, pending;
+
+            input = $(input);
+            valid = this.validateInput(input);
+            pending = input.data(PENDING);
+
+            if (pending) {
+                return pending.deferred.promise();
+            }
+
+            return $.Deferred().resolve(valid).promise();
+        },
+
+        pending: function() {
+            return this._pendingChecks().length > 0;
+        },
+
+        _pendingChecks: function() {
+            var pending = [];
+
+            this._inputs().each(function() {
+                var check = $(this).data(PENDING);
+
+                if (check) {
+                    pending.push(check.deferred);
+                }
+            });
+
+            return pending;
+        },
+
+        _validateAsync: function(input, pending, value) {
+            var that = this,
+                deferred = $.Deferred(),
+                promises = [],
+                idx;
+
+            for (idx = 0; idx < pending.length; idx++) {
+                promises.push($.when(pending[idx].promise).then(passed, failed));
+            }
+
+            input.data(PENDING, { deferred: deferred, promises: pending, value: value });
+            that._togglePending(input, true);
+
+            that.trigger(VALIDATING, { input: input });
+
+            $.when.apply($, promises).done(function() {
+                var current = input.data(PENDING),
+                    results = input.data(RESULTS),
+                    result = { valid: true };
+
+                if (!current || current.deferred !== deferred) {
+                    return;
+                }
+
+                input.removeData(PENDING);
+                that._togglePending(input, false);
+
+                if (!results || results.value !== value) {
+                    results = { value: value, rules: {} };
+                    input.data(RESULTS, results);
+                }
+
+                for (idx = 0; idx < arguments.length; idx++) {
+                    results.rules[pending[idx].key] = arguments[idx];
+
+                    if (!arguments[idx] && result.valid) {
+                        result = { valid: false, key: pending[idx].key };
+                    }
+                }
+
+                deferred.resolve(that._showValidity(input, result));
+            });
+
+            return deferred.promise();
+        },
+
+        _abortPending: function(input) {
+            var pending = input.data(PENDING);
+
+            if (pending) {
+                input.removeData(PENDING);
+                this._togglePending(input, false);
+
+                abort(pending.promises);
+            }
+        },
+
+        _togglePending: function(input, pending) {
+            var widget = kendo.widgetInstance(input),
+                inputWrap = widget ? widget._inputWrapper : null;
+
+            input.toggleClass(VALIDATINGINPUT, pending);
+
+            if (pending) {
+                input.attr("aria-busy", true);
+            } else {
+                input.removeAttr("aria-busy");
+            }
+
+            if (inputWrap) {
+                inputWrap.toggleClass(VALIDATINGINPUT, pending);
+            }
+        },
+
+        _showValidity: function(input, result) {
             var that = this,
                 template = that._errorTemplate,
-                result = that._checkValidity(input),
                 valid = result.valid,
                 className = "." + INVALIDMSG,
                 fieldName = (input.attr(NAME) || ""),
@@ -339,17 +763,22 @@ var __meta__ = { // jshint ignore:line
                 wasValid = !input.attr("aria-invalid");
             input.removeAttr("aria-invalid");
 
+            lbl.each(function() {
+                if (this.id) {
+                    toggleDescribedBy(input, this.id, false);
+                }
+            });
+
             if (!valid) {
                 messageText = that._extractMessage(input, result.key);
                 that._errors[fieldName] = messageText;
                 var messageLabel = parseHtml(template({ message: decode(messageText) }));
-                var lblId = lbl.attr('id');
+                var lblId = lbl.attr('id') || kendo.guid();
 
                 that._decorateMessageContainer(messageLabel, fieldName);
 
-                if (lblId) {
-                    messageLabel.attr('id', lblId);
-                }
+                messageLabel.attr('id', lblId);
+                toggleDescribedBy(input, lblId, true);
 
                 if (!lbl.replaceWith(messageLabel).length) {
                     messageLabel.insertAfter(input);
@@ -377,9 +806,82 @@ var __meta__ = { // jshint ignore:line
                 }
             }
 
+            if (that._summaryShown) {
+                that._renderSummary();
+            }
+
             return valid;
         },
 
+        showValidationSummary: function() {
+            this._summaryShown = true;
+            this._renderSummary();
+        },
+
+        hideValidationSummary: function() {
+            this._summaryShown = false;
+
+            if (this.validationSummary) {
+                this.validationSummary.hide();
+            }
+        },
+
+        _renderSummary: function() {
+            var that = this,
+                summary = that._summary(),
+                errors = [],
+                field;
+
+            for (field in that._errors) {
+                errors.push({ field: field, message: decode(that._errors[field]) });
+            }
+
+            summary.html(that._summaryTemplate({ errors: errors })).toggle(errors.length > 0);
+        },
+
+        _summary: function() {
+            var that = this,
+                options = that.options.validationSummary,
+                summary = that.validationSummary;
+
+            options = $.isPlainObject(options) ? options : {};
+
+            if (!summary) {
+                summary = $(options.container || []);
+
+                if (!summary.length) {
+                    summary = $("<div/>").insertBefore(that.element);
+                    that._summaryCreated = true;
+                }
+
+                // the summary is a live region, so the screen readers announce the errors as they change
+                summary.addClass(SUMMARY + " k-messagebox k-messagebox-error")
+                    .attr("role", "alert")
+                    .on("click" + NS, "a[data-field]", proxy(that._summaryClick, that));
+
+                that._summaryTemplate = kendo.template(options.template || SUMMARYTEMPLATE);
+                that.validationSummary = summary;
+            }
+
+            return summary;
+        },
+
+        _summaryClick: function(e) {
+            var field = $(e.currentTarget).attr("data-field"),
+                input = this._inputs().filter(function() {
+                    return ($(this).attr(NAME) || "") === field;
+                }).first(),
+                widget = kendo.widgetInstance(input);
+
+            e.preventDefault();
+
+            if (widget && widget.focus) {
+                widget.focus();
+            } else {
+                input.focus();
+            }
+        },
+
         hideMessages: function() {
             var that = this,
                 className = "." + INVALIDMSG,
@@ -439,16 +941,37 @@ var __meta__ = { // jshint ignore:line
                 input.attr(ruleKey) || input.attr(kendo.attr(ruleKey)));
         },
 
-        _checkValidity: function(input) {
+        _checkValidity: function(input, value) {
             var rules = this.options.rules,
+                results = input.data(RESULTS),
+                pending = [],
+                result,
                 rule;
 
+            if (results && results.value !== value) {
+                input.removeData(RESULTS);
+                results = null;
+            }
+
             for (rule in rules) {
-                if (!rules[rule].call(this, input)) {
+                if (results && results.rules.hasOwnProperty(rule)) {
+                    result = results.rules[rule];
+                } else {
+                    result = rules[rule].call(this, input);
+                }
+
+                if (isPromise(result)) {
+                    pending.push({ key: rule, promise: result });
+                } else if (!result) {
+                    abort(pending);
                     return { valid: false, key: rule };
                 }
             }
 
+            if (pending.length) {
+                return { valid: true, pending: pending };
+            }
+
             return { valid: true };
         },
 
@@ -467,7 +467,9 @@ $.extend(true, kendo.ui.Pager.prototype.options.messages,{
   "next": "Go to the next page",
   "last": "Go to the last page",
   "refresh": "Refresh",
-  "morePages": "More pages"
+  "morePages": "More pages",
+  "loaded": "{0} items",
+  "loadMore": "Load more"
 });
 }
 
@@ -1081,6 +1083,10 @@ $.extend(true, kendo.ui.Validator.prototype.options.messages,{
   "email": "{0} is not valid email",
   "url": "{0} is not valid URL",
   "date": "{0} is not valid date",
+  "requiredif": "{0} is required",
+  "equalto": "{0} should match {1}",
+  "after": "{0} should be after {1}",
+  "before": "{0} should be before {1}",
   "dateCompare": "End date should be greater than or equal to the start date"
 });
 }
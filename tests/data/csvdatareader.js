@@ -0,0 +1,210 @@
+(function() {
+    var CsvDataReader = kendo.data.CsvDataReader,
+        DataSource = kendo.data.DataSource;
+
+    describe("CsvDataReader", function() {
+        it("header row names the fields of the records", function() {
+            var reader = new CsvDataReader({});
+
+            var result = reader.parse("id,name\r\n1,Chai\r\n2,Chang\r\n");
+
+            assert.deepEqual(result, [{ id: "1", name: "Chai" }, { id: "2", name: "Chang" }]);
+        });
+
+        it("quoted values keep delimiters, quotes and new lines", function() {
+            var reader = new CsvDataReader({});
+
+            var result = reader.parse('text,note\n"a,b","say ""hi"""\n"line\r\nbreak",');
+
+            assert.equal(result[0].text, "a,b");
+            assert.equal(result[0].note, 'say "hi"');
+            assert.equal(result[1].text, "line\r\nbreak");
+            assert.equal(result[1].note, "");
+        });
+
+        it("delimiter and quote are configurable", function() {
+            var reader = new CsvDataReader({ delimiter: ";", quote: "'" });
+
+            var result = reader.parse("id;name\n1;'a;b'");
+
+            assert.deepEqual(result, [{ id: "1", name: "a;b" }]);
+        });
+
+        it("blank lines and byte order mark are skipped", function() {
+            var reader = new CsvDataReader({});
+
+            var result = reader.parse("\ufeffid\n1\n\n2\n");
+
+            assert.deepEqual(result, [{ id: "1" }, { id: "2" }]);
+        });
+
+        it("missing values are empty", function() {
+            var reader = new CsvDataReader({});
+
+            var result = reader.parse("id,name\n1");
+
+            assert.deepEqual(result, [{ id: "1", name: "" }]);
+        });
+
+        it("throws for unterminated quoted value", function() {
+            var reader = new CsvDataReader({});
+
+            try {
+                reader.parse('id\n"1');
+                assert.fail("parse does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), "Error: Unterminated quoted CSV value.");
+            }
+        });
+
+        it("without header the columns are named by the model fields", function() {
+            var reader = new CsvDataReader({
+                header: false,
+                model: {
+                    fields: {
+                        id: { type: "number" },
+                        name: { from: "productName" }
+                    }
+                }
+            });
+
+            var result = reader.parse("1,Chai");
+
+            assert.deepEqual(result, [{ id: 1, productName: "Chai" }]);
+        });
+
+        it("values of typed fields are parsed with the culture", function() {
+            var reader = new CsvDataReader({
+                delimiter: ";",
+                culture: "de-DE",
+                model: {
+                    fields: {
+                        price: { type: "number" },
+                        date: { type: "date" },
+                        active: { type: "boolean" }
+                    }
+                }
+            });
+
+            var result = reader.parse("price;date;active\n1.234,5;02.01.2020;true\n;;");
+
+            assert.equal(result[0].price, 1234.5);
+            assert.equal(result[0].date.getTime(), new Date(2020, 0, 2).getTime());
+            assert.strictEqual(result[1].price, null);
+            assert.strictEqual(result[1].date, null);
+            assert.strictEqual(result[1].active, null);
+        });
+
+        it("custom parse of field receives the CSV value", function() {
+            var reader = new CsvDataReader({
+                model: {
+                    fields: {
+                        price: {
+                            type: "number",
+                            parse: function(value) {
+                                return value + "!";
+                            }
+                        }
+                    }
+                }
+            });
+
+            var result = reader.data(reader.parse("price\n1"));
+
+            assert.equal(result[0].price, "1!");
+        });
+
+        it("without header the column of custom parse field keeps its position", function() {
+            var reader = new CsvDataReader({
+                header: false,
+                model: {
+                    fields: {
+                        code: {
+                            parse: function(value) {
+                                return value.toUpperCase();
+                            }
+                        },
+                        name: {},
+                        price: { type: "number" }
+                    }
+                }
+            });
+
+            var result = reader.data(reader.parse("ab,Chai,18"));
+
+            assert.equal(result[0].code, "AB");
+            assert.equal(result[0].name, "Chai");
+            assert.strictEqual(result[0].price, 18);
+        });
+
+        it("parse option receives the response before it is parsed", function() {
+            var reader = new CsvDataReader({
+                parse: function(data) {
+                    return data.csv;
+                }
+            });
+
+            var result = reader.parse({ csv: "id\n1" });
+
+            assert.deepEqual(result, [{ id: "1" }]);
+        });
+
+        it("parsed records are returned as they are", function() {
+            var reader = new CsvDataReader({}),
+                data = [{ id: 1 }];
+
+            assert.equal(reader.parse(data), data);
+        });
+
+        it("data source reads local CSV string", function() {
+            var ds = new DataSource({
+                data: "id,name,price\n1,Chai,18\n2,Chang,19",
+                schema: {
+                    type: "csv",
+                    model: {
+                        id: "id",
+                        fields: {
+                            id: { type: "number" },
+                            name: { type: "string" },
+                            price: { type: "number" }
+                        }
+                    }
+                }
+            });
+
+            ds.read();
+
+            assert.equal(ds.total(), 2);
+            assert.isOk(ds.at(1) instanceof kendo.data.Model);
+            assert.strictEqual(ds.get(2).price, 19);
+            assert.equal(ds.get(2).name, "Chang");
+        });
+
+        it("data source reads remote CSV response", function(done) {
+            var ds = new DataSource({
+                transport: {
+                    read: {
+                        url: "products.csv",
+                        dataType: "text"
+                    }
+                },
+                schema: {
+                    type: "csv"
+                }
+            });
+
+            $.mockjaxSettings.responseTime = 0;
+            $.mockjax({
+                url: "products.csv",
+                contentType: "text/csv",
+                responseText: "id,name\n1,Chai"
+            });
+
+            ds.read().then(function() {
+                $.mockjax.clear();
+                assert.equal(ds.at(0).name, "Chai");
+                done();
+            });
+        });
+    });
+}());
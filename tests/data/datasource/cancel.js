@@ -0,0 +1,244 @@
+(function() {
+    var DataSource = kendo.data.DataSource;
+
+    function dataSource(requests, options) {
+        return new DataSource($.extend({
+            cancelReads: true,
+            serverFiltering: true,
+            transport: {
+                read: function(options) {
+                    var request = { options: options, aborted: false };
+
+                    requests.push(request);
+
+                    return {
+                        abort: function() {
+                            request.aborted = true;
+                        }
+                    };
+                }
+            }
+        }, options));
+    }
+
+    function filter(value) {
+        return { filter: { field: "text", operator: "startswith", value: value } };
+    }
+
+    describe("data source read cancellation", function() {
+        beforeEach(function() {
+            $.mockjaxSettings.contentType = "application/json";
+        });
+
+        afterEach(function() {
+            $.mockjax.clear();
+            $.mockjaxSettings.responseTime = 0;
+        });
+
+        it("superseded read is aborted", function() {
+            var requests = [],
+                ds = dataSource(requests);
+
+            ds.read(filter("f"));
+            ds.read(filter("fo"));
+
+            assert.equal(requests.length, 2);
+            assert.isOk(requests[0].aborted);
+            assert.isOk(!requests[1].aborted);
+        });
+
+        it("superseded read raises cancelled requestEnd before the next requestStart", function() {
+            var requests = [],
+                events = [],
+                ds = dataSource(requests, {
+                    requestStart: function() {
+                        events.push("start");
+                    },
+                    requestEnd: function(e) {
+                        events.push(e.cancelled ? "cancelled" : "end");
+                    }
+                });
+
+            ds.read(filter("f"));
+            ds.read(filter("fo"));
+            requests[1].options.success([{ text: "foo" }]);
+
+            assert.deepEqual(events, ["start", "cancelled", "start", "end"]);
+        });
+
+        it("response of superseded read is ignored", function() {
+            var requests = [],
+                ds = dataSource(requests);
+
+            ds.read(filter("f"));
+            ds.read(filter("fo"));
+
+            requests[1].options.success([{ text: "foo" }]);
+            requests[0].options.success([{ text: "far" }, { text: "foo" }]);
+
+            assert.equal(ds.data().length, 1);
+            assert.equal(ds.at(0).text, "foo");
+        });
+
+        it("superseded read does not raise error", function() {
+            var requests = [],
+                errors = 0,
+                ds = dataSource(requests, {
+                    error: function() {
+                        errors++;
+                    }
+                });
+
+            ds.read(filter("f"));
+            ds.read(filter("fo"));
+
+            requests[0].options.error({}, "abort");
+
+            assert.equal(errors, 0);
+        });
+
+        it("promise of superseded read resolves with the read which replaces it", function() {
+            var requests = [],
+                resolved = false,
+                ds = dataSource(requests);
+
+            ds.read(filter("f")).then(function() {
+                resolved = true;
+                assert.equal(ds.at(0).text, "foo");
+            });
+
+            ds.read(filter("fo"));
+
+            assert.isOk(!resolved);
+
+            requests[1].options.success([{ text: "foo" }]);
+
+            assert.isOk(resolved);
+        });
+
+        it("identical concurrent reads share a request", function() {
+            var requests = [],
+                resolved = 0,
+                ds = dataSource(requests);
+
+            ds.read(filter("f")).then(function() {
+                resolved++;
+            });
+
+            ds.read(filter("f")).then(function() {
+                resolved++;
+            });
+
+            assert.equal(requests.length, 1);
+            assert.isOk(!requests[0].aborted);
+
+            requests[0].options.success([{ text: "foo" }]);
+
+            assert.equal(resolved, 2);
+        });
+
+        it("read after the previous one completes is sent", function() {
+            var requests = [],
+                ds = dataSource(requests);
+
+            ds.read(filter("f"));
+            requests[0].options.success([]);
+            ds.read(filter("f"));
+
+            assert.equal(requests.length, 2);
+        });
+
+        it("transport receives abort signal of the read", function() {
+            var requests = [],
+                ds = dataSource(requests);
+
+            if (!window.AbortController) {
+                return;
+            }
+
+            ds.read(filter("f"));
+            ds.read(filter("fo"));
+
+            assert.isOk(requests[0].options.signal.aborted);
+            assert.isOk(!requests[1].options.signal.aborted);
+        });
+
+        it("request queued behind the superseded read runs before the next read", function(done) {
+            var requests = [],
+                ds = dataSource(requests, {
+                    serverPaging: true,
+                    pageSize: 2,
+                    schema: {
+                        total: function() {
+                            return 10;
+                        }
+                    }
+                });
+
+            ds.read();
+            requests[0].options.success([{ text: "foo" }, { text: "bar" }]);
+
+            ds.read(filter("f"));
+            ds.prefetch(2, 2);
+
+            setTimeout(function() {
+                ds.read(filter("fo"));
+
+                assert.equal(requests.length, 3);
+                assert.isOk(requests[1].aborted);
+                assert.equal(requests[2].options.data.skip, 2);
+
+                requests[2].options.success([{ text: "baz" }, { text: "qux" }]);
+
+                assert.equal(requests.length, 4);
+                assert.equal(requests[3].options.data.filter.value, "fo");
+                done();
+            }, 150);
+        });
+
+        it("reads are queued without cancelReads", function() {
+            var requests = [],
+                ds = dataSource(requests, { cancelReads: false });
+
+            ds.read(filter("f"));
+            ds.read(filter("fo"));
+
+            assert.equal(requests.length, 1);
+            assert.isOk(!requests[0].aborted);
+        });
+
+        it("remote transport aborts the superseded ajax request", function(done) {
+            var count = 0;
+            var ds = new DataSource({
+                cancelReads: true,
+                serverFiltering: true,
+                transport: {
+                    read: "foo"
+                },
+                error: function() {
+                    assert.fail("error is raised");
+                }
+            });
+
+            $.mockjaxSettings.responseTime = 10;
+
+            $.mockjax({
+                url: "foo",
+                response: function() {
+                    count++;
+                    this.responseText = [{ text: "foo" }];
+                }
+            });
+
+            ds.read(filter("f"));
+
+            ds.read(filter("fo")).then(function() {
+                setTimeout(function() {
+                    assert.equal(count, 1);
+                    assert.equal(ds.data().length, 1);
+                    done();
+                }, 30);
+            });
+        });
+    });
+}());
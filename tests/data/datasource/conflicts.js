@@ -0,0 +1,373 @@
+(function() {
+    var DataSource = kendo.data.DataSource;
+    var dataSource;
+    var requests;
+    var responses;
+
+    function conflict(serverItem) {
+        return {
+            status: 412,
+            responseJSON: serverItem,
+            getResponseHeader: function(name) {
+                return name === "ETag" ? "W/\"3\"" : null;
+            }
+        };
+    }
+
+    function transport(type) {
+        return function(options) {
+            var response = responses.shift();
+
+            requests.push({ type: type, data: options.data, version: options.version });
+
+            if (response && response.status) {
+                options.error(response, "error", "Precondition Failed");
+            } else {
+                options.success(response || options.data);
+            }
+        };
+    }
+
+    function setup(options, data) {
+        requests = [];
+        responses = [];
+        data = data || [{ id: 1, name: "foo", price: 1, version: "1" }];
+
+        dataSource = new DataSource($.extend({
+            transport: {
+                read: function(options) {
+                    requests.push({ type: "read" });
+                    options.success(responses.length && !responses[0].status ? responses.shift() : data);
+                },
+                update: transport("update"),
+                destroy: transport("destroy")
+            },
+            schema: {
+                model: {
+                    id: "id",
+                    version: "version"
+                }
+            }
+        }, options));
+
+        dataSource.read();
+        requests = [];
+    }
+
+    describe("data source conflicts", function() {
+        beforeEach(function() {
+            setup();
+        });
+
+        it("sync passes the version of updated model to the transport", function() {
+            dataSource.get(1).set("name", "bar");
+
+            dataSource.sync();
+
+            assert.equal(requests[0].version, "1");
+        });
+
+        it("sync passes the version of destroyed model to the transport", function() {
+            dataSource.remove(dataSource.get(1));
+
+            dataSource.sync();
+
+            assert.equal(requests[0].type, "destroy");
+            assert.equal(requests[0].version, "1");
+        });
+
+        it("sync does not pass version if model does not declare version field", function() {
+            setup({ schema: { model: { id: "id" } } });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.isOk(requests[0].version === undefined);
+        });
+
+        it("conflict event is raised with client and server versions of the model", function() {
+            var args;
+
+            responses.push(conflict({ id: 1, name: "baz", price: 2, version: "2" }));
+
+            dataSource.bind("conflict", function(e) {
+                args = e;
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(args.type, "update");
+            assert.equal(args.model.name, "bar");
+            assert.equal(args.serverItem.name, "baz");
+            assert.equal(args.version, "2");
+        });
+
+        it("conflict version is read from the ETag header if response has no body", function() {
+            var version;
+
+            responses.push(conflict());
+
+            dataSource.bind("conflict", function(e) {
+                version = e.version;
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(version, "W/\"3\"");
+        });
+
+        it("unresolved conflict raises error event", function() {
+            var status;
+
+            responses.push(conflict({ id: 1, name: "baz", version: "2" }));
+
+            dataSource.bind("error", function(e) {
+                status = e.xhr.status;
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(status, 412);
+            assert.isOk(dataSource.hasChanges());
+        });
+
+        it("error is not raised for conflict statuses if model does not declare version field", function() {
+            var conflicts = 0;
+
+            setup({ schema: { model: { id: "id" } }, conflict: function() { conflicts++; } });
+
+            responses.push(conflict());
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(conflicts, 0);
+        });
+
+        it("client resolution retries the request with the server version", function() {
+            responses.push(conflict({ id: 1, name: "baz", price: 2, version: "2" }));
+            responses.push({ id: 1, name: "bar", price: 1, version: "3" });
+
+            dataSource.bind("conflict", function(e) {
+                e.resolve("client");
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(requests.length, 2);
+            assert.equal(requests[1].version, "2");
+            assert.equal(requests[1].data.name, "bar");
+            assert.equal(dataSource.get(1).version, "3");
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("client resolution without server version fails instead of retrying", function() {
+            var status;
+
+            responses.push({ status: 412, responseJSON: { id: 1, name: "baz", price: 2 } });
+
+            dataSource.bind("conflict", function(e) {
+                e.resolve("client");
+            });
+
+            dataSource.bind("error", function(e) {
+                status = e.xhr.status;
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(requests.length, 1);
+            assert.equal(status, 412);
+            assert.isOk(dataSource.hasChanges());
+        });
+
+        it("server resolution accepts the server version of the model", function() {
+            var synced = false;
+
+            responses.push(conflict({ id: 1, name: "baz", price: 2, version: "2" }));
+
+            dataSource.bind("conflict", function(e) {
+                e.resolve("server");
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync().then(function() {
+                synced = true;
+            });
+
+            assert.isOk(synced);
+            assert.equal(requests.length, 1);
+            assert.equal(dataSource.get(1).name, "baz");
+            assert.equal(dataSource.get(1).version, "2");
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("server resolution restores destroyed model", function() {
+            responses.push(conflict({ id: 1, name: "baz", price: 2, version: "2" }));
+
+            dataSource.bind("conflict", function(e) {
+                e.resolve("server");
+            });
+
+            dataSource.remove(dataSource.get(1));
+            dataSource.sync();
+
+            assert.equal(dataSource.data().length, 1);
+            assert.equal(dataSource.get(1).name, "baz");
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("merge resolution retries the request with the merged values", function() {
+            responses.push(conflict({ id: 1, name: "baz", price: 2, version: "2" }));
+
+            dataSource.bind("conflict", function(e) {
+                e.resolve({ name: e.model.name, price: e.serverItem.price });
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(requests[1].version, "2");
+            assert.equal(requests[1].data.name, "bar");
+            assert.equal(requests[1].data.price, 2);
+            assert.equal(dataSource.get(1).price, 2);
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("prevented conflict waits for the resolution", function() {
+            var synced = false;
+            var resolve;
+
+            responses.push(conflict({ id: 1, name: "baz", version: "2" }));
+
+            dataSource.bind("conflict", function(e) {
+                e.preventDefault();
+                resolve = e.resolve;
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync().then(function() {
+                synced = true;
+            });
+
+            assert.isOk(!synced);
+
+            resolve("client");
+
+            assert.isOk(synced);
+            assert.equal(requests.length, 2);
+        });
+
+        it("conflict is raised again if the retry conflicts", function() {
+            var conflicts = 0;
+
+            responses.push(conflict({ id: 1, name: "baz", version: "2" }));
+            responses.push(conflict({ id: 1, name: "qux", version: "3" }));
+
+            dataSource.bind("conflict", function(e) {
+                conflicts++;
+                e.resolve(conflicts > 1 ? "server" : "client");
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(conflicts, 2);
+            assert.equal(dataSource.get(1).name, "qux");
+        });
+
+        it("prevented conflict which is not resolved in time raises error event", function(done) {
+            var synced = false;
+
+            setup({ conflictTimeout: 0 });
+
+            responses.push(conflict({ id: 1, name: "baz", version: "2" }));
+
+            dataSource.bind("conflict", function(e) {
+                e.preventDefault();
+            });
+
+            dataSource.bind("error", function(e) {
+                assert.equal(e.xhr.status, 412);
+                assert.isOk(!synced);
+                assert.isOk(dataSource.hasChanges());
+                done();
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync().then(function() {
+                synced = true;
+            });
+        });
+
+        it("server resolution without server item reads the data again", function() {
+            responses.push(conflict());
+            responses.push([{ id: 1, name: "baz", price: 2, version: "2" }]);
+
+            dataSource.bind("conflict", function(e) {
+                e.resolve("server");
+            });
+
+            dataSource.get(1).set("name", "bar");
+            dataSource.sync();
+
+            assert.equal(requests[1].type, "read");
+            assert.equal(dataSource.get(1).name, "baz");
+            assert.equal(dataSource.get(1).version, "2");
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("batch conflict is raised for each model with its server item", function() {
+            var conflicts = [];
+
+            setup({ batch: true }, [{ id: 1, name: "foo", version: "1" }, { id: 2, name: "bar", version: "1" }]);
+
+            responses.push(conflict([{ id: 2, name: "qux", version: "3" }, { id: 1, name: "baz", version: "2" }]));
+
+            dataSource.bind("conflict", function(e) {
+                conflicts.push(e);
+                e.resolve("server");
+            });
+
+            dataSource.get(1).set("name", "foo1");
+            dataSource.get(2).set("name", "bar1");
+            dataSource.sync();
+
+            assert.equal(conflicts.length, 2);
+            assert.equal(conflicts[0].model.id, 1);
+            assert.equal(conflicts[0].serverItem.name, "baz");
+            assert.equal(conflicts[0].version, "2");
+            assert.equal(conflicts[1].serverItem.name, "qux");
+            assert.equal(dataSource.get(2).name, "qux");
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("batch conflict retries the models resolved by the client in one request", function() {
+            setup({ batch: true }, [{ id: 1, name: "foo", version: "1" }, { id: 2, name: "bar", version: "1" }]);
+
+            responses.push(conflict([{ id: 1, name: "baz", version: "2" }, { id: 2, name: "qux", version: "3" }]));
+            responses.push([{ id: 2, name: "bar1", price: 2, version: "4" }]);
+
+            dataSource.bind("conflict", function(e) {
+                e.resolve(e.model.id === 1 ? "server" : "client");
+            });
+
+            dataSource.get(1).set("name", "foo1");
+            dataSource.get(2).set("name", "bar1");
+            dataSource.sync();
+
+            assert.equal(requests.length, 2);
+            assert.equal(requests[1].data.models.length, 1);
+            assert.equal(requests[1].data.models[0].id, 2);
+            assert.equal(requests[1].data.models[0].version, "3");
+            assert.equal(dataSource.get(1).name, "baz");
+            assert.equal(dataSource.get(2).version, "4");
+            assert.isOk(!dataSource.hasChanges());
+        });
+    });
+}());
@@ -0,0 +1,182 @@
+(function() {
+    var DataSource = kendo.data.DataSource;
+
+    var pages = {
+        a: { items: [{ id: 1 }, { id: 2 }], next: "b", prev: null },
+        b: { items: [{ id: 3 }, { id: 4 }], next: "c", prev: "a" },
+        c: { items: [{ id: 5 }], next: null, prev: "b" }
+    };
+
+    function dataSource(options, requests) {
+        return new DataSource($.extend(true, {
+            cursorPaging: true,
+            pageSize: 2,
+            transport: {
+                read: function(options) {
+                    if (requests) {
+                        requests.push(options.data);
+                    }
+
+                    options.success(pages[options.data.cursor || "a"]);
+                }
+            },
+            schema: {
+                data: "items",
+                next: "next",
+                prev: "prev"
+            }
+        }, options));
+    }
+
+    describe("data source cursor paging", function() {
+        it("cursorPaging enables serverPaging", function() {
+            var ds = dataSource();
+
+            assert.isOk(ds.options.serverPaging);
+        });
+
+        it("first read sends take without cursor, skip and page", function() {
+            var requests = [],
+                ds = dataSource({}, requests);
+
+            ds.read();
+
+            assert.equal(requests[0].take, 2);
+            assert.equal(requests[0].pageSize, 2);
+            assert.isOk(!("cursor" in requests[0]));
+            assert.isOk(!("skip" in requests[0]));
+            assert.isOk(!("page" in requests[0]));
+        });
+
+        it("next and prev cursors are read through the schema", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            assert.isOk(ds.hasNext());
+            assert.isOk(!ds.hasPrev());
+        });
+
+        it("next sends the next cursor and replaces the data", function() {
+            var requests = [],
+                ds = dataSource({}, requests);
+
+            ds.read();
+            ds.next();
+
+            assert.equal(requests[1].cursor, "b");
+            assert.equal(ds.view().length, 2);
+            assert.equal(ds.at(0).id, 3);
+            assert.isOk(ds.hasPrev());
+        });
+
+        it("prev sends the previous cursor", function() {
+            var requests = [],
+                ds = dataSource({}, requests);
+
+            ds.read();
+            ds.next();
+            ds.prev();
+
+            assert.equal(requests[2].cursor, "a");
+            assert.equal(ds.at(0).id, 1);
+        });
+
+        it("next returns the read promise", function(done) {
+            var ds = dataSource();
+
+            ds.read();
+
+            ds.next().then(function() {
+                assert.equal(ds.at(0).id, 3);
+                done();
+            });
+        });
+
+        it("next does not read when there is no next cursor", function() {
+            var requests = [],
+                ds = dataSource({}, requests);
+
+            ds.read();
+            ds.next();
+            ds.next();
+
+            assert.isOk(ds.next() === undefined);
+            assert.equal(requests.length, 3);
+            assert.isOk(!ds.hasNext());
+        });
+
+        it("loadMore appends the next page", function() {
+            var ds = dataSource();
+
+            ds.read();
+            ds.loadMore();
+
+            assert.equal(ds.view().length, 4);
+            assert.equal(ds.at(0).id, 1);
+            assert.equal(ds.at(3).id, 4);
+        });
+
+        it("next after loadMore replaces the data", function() {
+            var ds = dataSource();
+
+            ds.read();
+            ds.loadMore();
+            ds.next();
+
+            assert.equal(ds.view().length, 1);
+            assert.equal(ds.at(0).id, 5);
+        });
+
+        it("total is the count of the loaded items", function() {
+            var ds = dataSource();
+
+            ds.read();
+            assert.equal(ds.total(), 2);
+
+            ds.loadMore();
+            assert.equal(ds.total(), 4);
+        });
+
+        it("total is read through the schema if set", function() {
+            var ds = dataSource({
+                schema: {
+                    total: function() {
+                        return 5;
+                    }
+                }
+            });
+
+            ds.read();
+
+            assert.equal(ds.total(), 5);
+        });
+
+        it("sorting starts over from the first page", function() {
+            var requests = [],
+                ds = dataSource({ serverSorting: true }, requests);
+
+            ds.read();
+            ds.next();
+            ds.sort({ field: "id", dir: "desc" });
+
+            assert.isOk(!("cursor" in requests[2]));
+            assert.equal(ds.at(0).id, 1);
+            assert.isOk(!ds.hasPrev());
+        });
+
+        it("hasNext and hasPrev use the page without cursor paging", function() {
+            var ds = new DataSource({ data: [1, 2, 3], pageSize: 2 });
+
+            ds.read();
+
+            assert.isOk(ds.hasNext());
+            assert.isOk(!ds.hasPrev());
+
+            ds.page(2);
+
+            assert.isOk(!ds.hasNext());
+            assert.isOk(ds.hasPrev());
+        });
+    });
+}());
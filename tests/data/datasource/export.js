@@ -0,0 +1,252 @@
+(function() {
+    var DataSource = kendo.data.DataSource,
+        saveAs = kendo.saveAs,
+        saved;
+
+    function rows() {
+        return [
+            { id: 1, name: "Chai", price: 18, category: "Beverages" },
+            { id: 2, name: "Chang", price: 19, category: "Beverages" },
+            { id: 3, name: "Aniseed Syrup", price: 10, category: "Condiments" }
+        ];
+    }
+
+    function dataSource(options) {
+        var ds = new DataSource($.extend({
+            data: rows(),
+            schema: {
+                model: {
+                    id: "id",
+                    fields: {
+                        id: { type: "number" },
+                        name: { type: "string" },
+                        price: { type: "number" },
+                        category: { type: "string" }
+                    }
+                }
+            }
+        }, options));
+
+        ds.read();
+
+        return ds;
+    }
+
+    function exported(ds, options) {
+        var result;
+
+        ds.exportTo(options).then(function(content) {
+            result = content;
+        });
+
+        return result;
+    }
+
+    describe("data source export", function() {
+        beforeEach(function() {
+            saved = null;
+            kendo.saveAs = function(options) {
+                saved = options;
+            };
+        });
+
+        afterEach(function() {
+            kendo.saveAs = saveAs;
+        });
+
+        it("exports the view as csv with the fields of the model", function() {
+            var content = exported(dataSource());
+
+            assert.equal(content, "id,name,price,category\r\n1,Chai,18,Beverages\r\n2,Chang,19,Beverages\r\n3,Aniseed Syrup,10,Condiments");
+        });
+
+        it("passes the file to saveAs", function() {
+            exported(dataSource(), { fileName: "products.csv", proxyURL: "save" });
+
+            assert.equal(saved.fileName, "products.csv");
+            assert.equal(saved.proxyURL, "save");
+            assert.isOk(saved.dataURI instanceof window.Blob);
+            assert.equal(saved.dataURI.type, "text/csv;charset=utf-8");
+        });
+
+        it("file name defaults to the format", function() {
+            exported(dataSource(), { format: "json" });
+
+            assert.equal(saved.fileName, "export.json");
+        });
+
+        it("saveAs posts a Blob to the proxy as base64", function(done) {
+            var data = {};
+
+            $(document).on("submit.export", "form", function(e) {
+                $(this).find("input").each(function() {
+                    data[this.name] = this.value;
+                });
+
+                e.preventDefault();
+                $(document).off("submit.export");
+
+                assert.equal(data.fileName, "export.csv");
+                assert.equal(data.contentType, "text/csv;charset=utf-8");
+                assert.equal(data.base64, window.btoa("Chai"));
+                done();
+            });
+
+            saveAs({
+                dataURI: new window.Blob(["Chai"], { type: "text/csv;charset=utf-8" }),
+                fileName: "export.csv",
+                proxyURL: "save",
+                forceProxy: true
+            });
+        });
+
+        it("forceProxy passes base64 data URI", function() {
+            exported(dataSource(), { forceProxy: true, fields: ["name"], headers: false });
+
+            assert.equal(saved.dataURI, "data:text/csv;charset=utf-8;base64," + window.btoa("Chai\r\nChang\r\nAniseed Syrup"));
+            assert.isOk(saved.forceProxy);
+        });
+
+        it("quotes values with delimiter, quote or new line", function() {
+            var ds = new DataSource({ data: [{ text: 'a,b' }, { text: 'say "hi"' }, { text: "a\nb" }, { text: "plain" }] });
+
+            ds.read();
+
+            var content = exported(ds, { headers: false });
+
+            assert.equal(content, '"a,b"\r\n"say ""hi"""\r\n"a\nb"\r\nplain');
+        });
+
+        it("quoteAll quotes every value with the custom delimiter", function() {
+            var content = exported(dataSource(), { fields: ["id", "name"], delimiter: ";", quoteAll: true });
+
+            assert.equal(content.split("\r\n")[1], '"1";"Chai"');
+        });
+
+        it("tsv separates the values with tabs", function() {
+            var content = exported(dataSource(), { format: "tsv", fields: ["id", "name"] });
+
+            assert.equal(content.split("\r\n")[1], "1\tChai");
+            assert.equal(saved.fileName, "export.tsv");
+        });
+
+        it("fields set the titles, order and formats", function() {
+            var content = exported(dataSource(), {
+                fields: [
+                    { field: "name", title: "Product" },
+                    { field: "price", title: "Price", format: "n2" },
+                    { field: "category", format: function(value, item) {
+                        return value.charAt(0) + item.id;
+                    } }
+                ]
+            });
+
+            assert.equal(content.split("\r\n")[0], "Product,Price,category");
+            assert.equal(content.split("\r\n")[1], "Chai,18.00,B1");
+        });
+
+        it("values are formatted with the culture", function() {
+            var date = new Date(2020, 0, 2, 3, 4, 5),
+                ds = new DataSource({ data: [{ date: date, price: 1.5 }] });
+
+            ds.read();
+
+            var content = exported(ds, {
+                headers: false,
+                culture: "de-DE",
+                delimiter: ";",
+                fields: ["date", { field: "price", format: "n1" }]
+            });
+
+            assert.equal(content, kendo.toString(date, "G", "de-DE") + ";1,5");
+        });
+
+        it("bom prefixes the content", function() {
+            var content = exported(dataSource(), { bom: true });
+
+            assert.equal(content.charAt(0), "\ufeff");
+        });
+
+        it("exports the current page with sort and filter", function() {
+            var ds = dataSource({ pageSize: 1, sort: { field: "price", dir: "asc" } });
+
+            var content = exported(ds, { fields: ["name"], headers: false });
+
+            assert.equal(content, "Aniseed Syrup");
+        });
+
+        it("all exports every page with sort and filter", function() {
+            var ds = dataSource({
+                pageSize: 1,
+                sort: { field: "price", dir: "desc" },
+                filter: { field: "category", operator: "eq", value: "Beverages" }
+            });
+
+            var content = exported(ds, { fields: ["name"], headers: false, all: true });
+
+            assert.equal(content, "Chang\r\nChai");
+        });
+
+        it("all reads every page from the server", function() {
+            var requests = [];
+            var ds = new DataSource({
+                serverPaging: true,
+                pageSize: 1,
+                transport: {
+                    read: function(options) {
+                        requests.push(options.data);
+                        options.success({ data: options.data.take ? rows().slice(0, 1) : rows(), total: 3 });
+                    }
+                },
+                schema: {
+                    data: "data",
+                    total: "total"
+                }
+            });
+
+            ds.read();
+
+            var content = exported(ds, { fields: ["id"], headers: false, all: true });
+
+            assert.equal(requests.length, 2);
+            assert.isOk(!("take" in requests[1]));
+            assert.isOk(!("skip" in requests[1]));
+            assert.equal(content, "1\r\n2\r\n3");
+            assert.equal(ds.data().length, 1);
+        });
+
+        it("grouped view is exported as rows", function() {
+            var ds = dataSource({ group: { field: "category", dir: "desc" } });
+
+            var content = exported(ds, { fields: ["name"], headers: false });
+
+            assert.equal(content, "Aniseed Syrup\r\nChai\r\nChang");
+        });
+
+        it("json exports raw values of the fields", function() {
+            var content = exported(dataSource(), { format: "json", fields: ["id", "price"] });
+
+            assert.deepEqual(JSON.parse(content), [{ id: 1, price: 18 }, { id: 2, price: 19 }, { id: 3, price: 10 }]);
+        });
+
+        it("json keeps the groups", function() {
+            var ds = dataSource({ group: { field: "category" } });
+
+            var result = JSON.parse(exported(ds, { format: "json", fields: ["id"] }));
+
+            assert.equal(result.length, 2);
+            assert.equal(result[0].field, "category");
+            assert.equal(result[0].value, "Beverages");
+            assert.deepEqual(result[0].items, [{ id: 1 }, { id: 2 }]);
+        });
+
+        it("throws for unsupported format", function() {
+            try {
+                dataSource().exportTo({ format: "xlsx" });
+                assert.fail("exportTo does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "xlsx" export format is not supported.');
+            }
+        });
+    });
+}());
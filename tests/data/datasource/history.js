@@ -0,0 +1,253 @@
+(function() {
+    var DataSource = kendo.data.DataSource;
+    var dataSource;
+
+    function setup(options) {
+        dataSource = new DataSource($.extend({
+            data: [{ id: 1, name: "foo" }, { id: 2, name: "bar" }],
+            undoable: true,
+            schema: {
+                model: {
+                    id: "id"
+                }
+            }
+        }, options));
+
+        dataSource.read();
+    }
+
+    function names() {
+        return $.map(dataSource.data(), function(item) {
+            return item.name;
+        });
+    }
+
+    describe("data source history", function() {
+        beforeEach(function() {
+            setup();
+        });
+
+        it("changes are not tracked by default", function() {
+            setup({ undoable: false });
+
+            dataSource.get(1).set("name", "baz");
+
+            assert.isOk(!dataSource.canUndo());
+        });
+
+        it("canUndo and canRedo return false initially", function() {
+            assert.isOk(!dataSource.canUndo());
+            assert.isOk(!dataSource.canRedo());
+        });
+
+        it("undo reverts field set", function() {
+            dataSource.get(1).set("name", "baz");
+
+            assert.isOk(dataSource.canUndo());
+
+            dataSource.undo();
+
+            assert.equal(dataSource.get(1).name, "foo");
+            assert.isOk(!dataSource.canUndo());
+            assert.isOk(dataSource.canRedo());
+        });
+
+        it("redo applies field set again", function() {
+            dataSource.get(1).set("name", "baz");
+            dataSource.undo();
+            dataSource.redo();
+
+            assert.equal(dataSource.get(1).name, "baz");
+            assert.isOk(dataSource.canUndo());
+            assert.isOk(!dataSource.canRedo());
+        });
+
+        it("undo reverts nested field set", function() {
+            setup({ data: [{ id: 1, address: { city: "foo" } }] });
+
+            dataSource.get(1).get("address").set("city", "bar");
+            dataSource.undo();
+
+            assert.equal(dataSource.get(1).address.city, "foo");
+        });
+
+        it("undo removes added item", function() {
+            dataSource.add({ name: "baz" });
+            dataSource.undo();
+
+            assert.deepEqual(names(), ["foo", "bar"]);
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("redo inserts the added item again", function() {
+            var item = dataSource.insert(1, { name: "baz" });
+
+            dataSource.undo();
+            dataSource.redo();
+
+            assert.deepEqual(names(), ["foo", "baz", "bar"]);
+            assert.isOk(dataSource.at(1) === item);
+        });
+
+        it("undo restores removed item at its position", function() {
+            var item = dataSource.get(1);
+
+            dataSource.remove(item);
+            dataSource.undo();
+
+            assert.deepEqual(names(), ["foo", "bar"]);
+            assert.isOk(dataSource.at(0) === item);
+            assert.equal(dataSource.destroyed().length, 0);
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("redo removes the item again", function() {
+            dataSource.remove(dataSource.get(1));
+            dataSource.undo();
+            dataSource.redo();
+
+            assert.deepEqual(names(), ["bar"]);
+            assert.equal(dataSource.destroyed().length, 1);
+        });
+
+        it("restored item raises a single change event", function() {
+            var item = dataSource.get(1);
+            var changes = 0;
+
+            dataSource.remove(item);
+            dataSource.undo();
+
+            dataSource.bind("change", function() {
+                changes++;
+            });
+
+            item.set("name", "baz");
+
+            assert.equal(changes, 1);
+        });
+
+        it("new change clears the redo stack", function() {
+            dataSource.get(1).set("name", "baz");
+            dataSource.undo();
+            dataSource.get(2).set("name", "qux");
+
+            assert.isOk(!dataSource.canRedo());
+        });
+
+        it("transaction groups the changes into a single entry", function() {
+            dataSource.transaction(function() {
+                this.remove(this.get(1));
+                this.insert(1, { name: "baz" });
+                this.get(2).set("name", "qux");
+            });
+
+            assert.deepEqual(names(), ["qux", "baz"]);
+
+            dataSource.undo();
+
+            assert.deepEqual(names(), ["foo", "bar"]);
+            assert.isOk(!dataSource.canUndo());
+
+            dataSource.redo();
+
+            assert.deepEqual(names(), ["qux", "baz"]);
+        });
+
+        it("nested transactions are merged", function() {
+            dataSource.transaction(function() {
+                this.get(1).set("name", "baz");
+
+                this.transaction(function() {
+                    this.get(2).set("name", "qux");
+                });
+            });
+
+            dataSource.undo();
+
+            assert.deepEqual(names(), ["foo", "bar"]);
+        });
+
+        it("history limit drops the oldest entries", function() {
+            setup({ undoable: { limit: 1 } });
+
+            dataSource.get(1).set("name", "baz");
+            dataSource.get(2).set("name", "qux");
+
+            dataSource.undo();
+
+            assert.isOk(!dataSource.canUndo());
+            assert.deepEqual(names(), ["baz", "bar"]);
+        });
+
+        it("history event is raised when the history changes", function() {
+            var actions = [];
+
+            dataSource.bind("history", function(e) {
+                actions.push(e.action);
+            });
+
+            dataSource.get(1).set("name", "baz");
+            dataSource.undo();
+            dataSource.redo();
+            dataSource.read();
+
+            assert.deepEqual(actions, ["change", "undo", "redo", "clear"]);
+        });
+
+        it("cancelChanges clears the history", function() {
+            dataSource.get(1).set("name", "baz");
+            dataSource.cancelChanges();
+
+            assert.isOk(!dataSource.canUndo());
+        });
+
+        it("sync clears the history", function() {
+            dataSource.remove(dataSource.get(1));
+            dataSource.sync();
+
+            assert.isOk(!dataSource.canUndo());
+
+            dataSource.undo();
+
+            assert.deepEqual(names(), ["bar"]);
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("item removed and inserted again is undone as a single entry", function() {
+            var item = dataSource.get(1);
+
+            dataSource.remove(item);
+            dataSource.insert(1, item);
+
+            assert.deepEqual(names(), ["bar", "foo"]);
+
+            dataSource.undo();
+
+            assert.deepEqual(names(), ["foo", "bar"]);
+            assert.isOk(dataSource.at(0) === item);
+            assert.isOk(!dataSource.canUndo());
+            assert.equal(dataSource.destroyed().length, 0);
+            assert.isOk(!dataSource.hasChanges());
+        });
+
+        it("redo moves the item again", function() {
+            var item = dataSource.get(1);
+
+            dataSource.remove(item);
+            dataSource.insert(1, item);
+            dataSource.undo();
+            dataSource.redo();
+
+            assert.deepEqual(names(), ["bar", "foo"]);
+            assert.isOk(!dataSource.canRedo());
+        });
+
+        it("pushed changes are not tracked", function() {
+            dataSource.pushCreate({ id: 3, name: "baz" });
+            dataSource.pushUpdate({ id: 1, name: "qux" });
+            dataSource.pushDestroy({ id: 2 });
+
+            assert.isOk(!dataSource.canUndo());
+        });
+    });
+}());
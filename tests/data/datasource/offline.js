@@ -851,6 +851,149 @@
             jasmine.clock().tick();
         });
 
+        it("offlineData returns a promise if the storage is asynchronous", function() {
+            var dataSource = new DataSource({
+                offlineStorage: {
+                    getItem: function() {
+                        return $.Deferred().resolve([{ foo: "foo" }]).promise();
+                    },
+                    setItem: $.noop
+                }
+            });
+
+            dataSource.offlineData().then(function(state) {
+                assert.equal(state[0].foo, "foo");
+            });
+        });
+
+        it("offlineData resolves with empty array if the asynchronous storage is empty", function() {
+            var dataSource = new DataSource({
+                offlineStorage: {
+                    getItem: function() {
+                        return $.Deferred().resolve(null).promise();
+                    },
+                    setItem: $.noop
+                }
+            });
+
+            dataSource.offlineData().then(function(state) {
+                assert.equal(state.length, 0);
+            });
+        });
+
+        it("read waits for the asynchronous storage when offline", function() {
+            var deferred = $.Deferred();
+            var dataSource = new DataSource({
+                offlineStorage: {
+                    getItem: function() {
+                        return deferred.promise();
+                    },
+                    setItem: $.noop
+                }
+            });
+
+            dataSource.online(false);
+            dataSource.read();
+
+            assert.equal(dataSource.data().length, 0);
+
+            deferred.resolve([{ foo: "foo" }]);
+
+            assert.equal(dataSource.data().length, 1);
+            assert.equal(dataSource.at(0).foo, "foo");
+        });
+
+        it("read raises error if the asynchronous storage fails", function() {
+            var dataSource = new DataSource({
+                offlineStorage: {
+                    getItem: function() {
+                        return $.Deferred().reject("foo").promise();
+                    },
+                    setItem: $.noop
+                },
+                error: function(e) {
+                    assert.equal(e.xhr, "foo");
+                }
+            });
+
+            dataSource.online(false);
+            dataSource.read().fail(function(error) {
+                assert.equal(error, "foo");
+            });
+        });
+
+        it("sync resolves after the asynchronous storage saves the data", function() {
+            var deferred = $.Deferred();
+            var resolved = false;
+            var dataSource = new DataSource({
+                offlineStorage: {
+                    getItem: $.noop,
+                    setItem: function() {
+                        return deferred.promise();
+                    }
+                },
+                schema: {
+                    model: {
+                        id: "id"
+                    }
+                }
+            });
+
+            dataSource.online(false);
+            dataSource.add({ foo: "foo" });
+
+            dataSource.sync().then(function() {
+                resolved = true;
+            });
+
+            assert.isOk(!resolved);
+
+            deferred.resolve();
+
+            assert.isOk(resolved);
+        });
+
+        it("sync resolves when the server saves the changes but the asynchronous storage fails", function() {
+            var resolved = false;
+            var error;
+            var dataSource = new DataSource({
+                offlineStorage: {
+                    getItem: $.noop,
+                    setItem: function() {
+                        return $.Deferred().reject("foo").promise();
+                    }
+                },
+                transport: {
+                    read: function(options) {
+                        options.success([]);
+                    },
+                    create: function(options) {
+                        options.success([{ id: 1, foo: "foo" }]);
+                    }
+                },
+                schema: {
+                    model: {
+                        id: "id"
+                    }
+                },
+                error: function(e) {
+                    error = e;
+                }
+            });
+
+            dataSource.read();
+            dataSource.add({ foo: "foo" });
+
+            dataSource.sync().then(function() {
+                resolved = true;
+            });
+
+            assert.isOk(resolved);
+            assert.equal(error.status, "storageerror");
+            assert.equal(error.xhr, "foo");
+            assert.isOk(!dataSource.hasChanges());
+        });
+
         it("read empty offline datasource does not add phantom item", function() {
             var dataSource = new kendo.data.DataSource({
                 offlineStorage: "key",
@@ -2299,5 +2299,15 @@
             jasmine.clock().uninstall();
         });
 
+        it("filter with any operator filters on array field", function() {
+            var dataSource = setup([{ id: 1, items: [{ qty: 1 }] }, { id: 2, items: [{ qty: 10 }] }]);
+
+            dataSource.filter({ field: "items", operator: "any", value: { field: "qty", operator: ">", value: 5 } });
+
+            assert.equal(dataSource.view().length, 1);
+            assert.equal(dataSource.view()[0].id, 2);
+            assert.equal(dataSource.filter().filters[0].value.filters[0].operator, "gt");
+        });
+
     });
 }());
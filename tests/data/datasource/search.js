@@ -0,0 +1,174 @@
+(function() {
+    var DataSource = kendo.data.DataSource;
+    var dataSource;
+
+    function setup(options) {
+        dataSource = new DataSource($.extend({
+            data: [
+                { id: 1, name: "Chai", description: "Tea from India" },
+                { id: 2, name: "Chang", description: "Beer" },
+                { id: 3, name: "Aniseed Syrup", description: "Syrup with chai flavour" },
+                { id: 4, name: "Ikura", description: "Fish roe" }
+            ],
+            schema: {
+                model: {
+                    id: "id"
+                }
+            }
+        }, options));
+
+        dataSource.read();
+    }
+
+    function ids() {
+        return $.map(dataSource.view(), function(item) {
+            return item.id;
+        });
+    }
+
+    describe("data source search", function() {
+        beforeEach(function() {
+            setup();
+        });
+
+        it("search returns the current search options", function() {
+            dataSource.search({ text: "chai", fields: ["name"] });
+
+            assert.equal(dataSource.search().text, "chai");
+            assert.equal(dataSource.search().fields[0].field, "name");
+            assert.equal(dataSource.search().fields[0].weight, 1);
+        });
+
+        it("search throws if fields are not set", function() {
+            assert.throws(function() {
+                dataSource.search({ text: "chai" });
+            }, 'The "fields" option must be set.');
+        });
+
+        it("search filters the items which do not match", function() {
+            dataSource.search({ text: "chai", fields: ["name", "description"] });
+
+            assert.deepEqual(ids(), [1, 3]);
+            assert.equal(dataSource.total(), 2);
+        });
+
+        it("search orders the items by relevance", function() {
+            dataSource.search({ text: "syrup", fields: ["name", "description"] });
+            assert.deepEqual(ids(), [3]);
+
+            dataSource.search({ text: "cha", fields: ["name", "description"] });
+            assert.deepEqual(ids(), [1, 2, 3]);
+
+            dataSource.search({ text: "ai", fields: ["name"] });
+            assert.deepEqual(ids(), [1]);
+        });
+
+        it("search takes the field weights into account", function() {
+            dataSource.search({ text: "chai", fields: [{ field: "name", weight: 0.1 }, "description"] });
+
+            assert.deepEqual(ids(), [3, 1]);
+        });
+
+        it("search matches every token of the text", function() {
+            dataSource.search({ text: "syrup chai", fields: ["name", "description"] });
+
+            assert.deepEqual(ids(), [3]);
+        });
+
+        it("search tolerates typos if fuzzy is enabled", function() {
+            dataSource.search({ text: "sirup", fields: ["name"] });
+            assert.equal(ids().length, 0);
+
+            dataSource.search({ text: "sirup", fields: ["name"], fuzzy: true });
+            assert.deepEqual(ids(), [3]);
+        });
+
+        it("search with fuzzy distance", function() {
+            dataSource.search({ text: "ikra", fields: ["name"], fuzzy: 1 });
+
+            assert.deepEqual(ids(), [4]);
+        });
+
+        it("searchResult returns the score and match ranges of an item", function() {
+            dataSource.search({ text: "syrup", fields: ["name", "description"] });
+
+            var result = dataSource.searchResult(dataSource.get(3));
+
+            assert.isOk(result.score > 0);
+            assert.deepEqual(result.matches.name, [{ start: 8, length: 5 }]);
+            assert.deepEqual(result.matches.description, [{ start: 0, length: 5 }]);
+        });
+
+        it("searchResult merges overlapping ranges", function() {
+            dataSource.search({ text: "ani anise", fields: ["name"] });
+
+            assert.deepEqual(dataSource.searchResult(dataSource.get(3)).matches.name, [{ start: 0, length: 5 }]);
+        });
+
+        it("searchResult returns undefined for items which do not match", function() {
+            dataSource.search({ text: "chai", fields: ["name"] });
+
+            assert.isOk(dataSource.searchResult(dataSource.get(4)) === undefined);
+        });
+
+        it("search is cleared with empty text", function() {
+            dataSource.search({ text: "chai", fields: ["name"] });
+            dataSource.search({ text: "", fields: ["name"] });
+
+            assert.isOk(!dataSource.search());
+            assert.equal(dataSource.view().length, 4);
+            assert.isOk(dataSource.searchResult(dataSource.get(1)) === undefined);
+        });
+
+        it("search is combined with filter", function() {
+            dataSource.filter({ field: "id", operator: "gt", value: 1 });
+            dataSource.search({ text: "chai", fields: ["name", "description"] });
+
+            assert.deepEqual(ids(), [3]);
+
+            dataSource.filter({});
+
+            assert.deepEqual(ids(), [1, 3]);
+        });
+
+        it("search resets the page", function() {
+            setup({ pageSize: 2 });
+
+            dataSource.page(2);
+            dataSource.search({ text: "a", fields: ["name"] });
+
+            assert.equal(dataSource.page(), 1);
+            assert.equal(dataSource.view().length, 2);
+        });
+
+        it("search uses the accentFoldingFiltering culture", function() {
+            setup({
+                accentFoldingFiltering: "tr-TR",
+                data: [{ id: 1, name: "KIZILTOPRAK" }]
+            });
+
+            dataSource.search({ text: "k\u0131z", fields: ["name"] });
+
+            assert.equal(dataSource.view().length, 1);
+        });
+
+        it("search is not sent to the server", function() {
+            var data;
+
+            setup({
+                serverFiltering: true,
+                transport: {
+                    read: function(options) {
+                        data = options.data;
+                        options.success([{ id: 1, name: "foo" }]);
+                    }
+                }
+            });
+
+            dataSource.search({ text: "foo", fields: ["name"] });
+
+            assert.isOk(!data.hasOwnProperty("search"));
+            assert.equal(dataSource.view().length, 1);
+        });
+    });
+}());
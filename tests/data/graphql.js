@@ -0,0 +1,248 @@
+(function() {
+    var DataSource = kendo.data.DataSource;
+    var schema = kendo.data.schemas.graphql;
+
+    function GraphQL(options) {
+        return new kendo.data.transports.graphql(options);
+    }
+
+    function dataSource(options) {
+        return new DataSource($.extend(true, {
+            type: "graphql",
+            transport: {
+                graphql: {
+                    url: "graphql",
+                    read: {
+                        query: "query($skip: Int, $take: Int) { products(skip: $skip, take: $take) { items { id name } total } }"
+                    },
+                    update: {
+                        query: "mutation($id: ID!, $name: String) { updateProduct(id: $id, name: $name) { id name } }"
+                    }
+                }
+            },
+            schema: {
+                model: {
+                    id: "id"
+                }
+            }
+        }, options));
+    }
+
+    describe("GraphQL", function() {
+        beforeEach(function() {
+            $.mockjaxSettings.contentType = "application/json";
+            $.mockjaxSettings.responseTime = 0;
+        });
+
+        afterEach(function() {
+            $.mockjax.clear();
+        });
+
+        it("graphql transport inherits from remote transport", function() {
+            var transport = GraphQL({ graphql: { url: "graphql" } });
+
+            assert.isOk(transport instanceof kendo.data.RemoteTransport);
+        });
+
+        it("graphql transport requires the url option to be set", function() {
+            try {
+                GraphQL();
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "url" option must be set.');
+            }
+        });
+
+        it("operations default to json POST requests to the graphql url", function() {
+            var transport = GraphQL({ graphql: { url: "graphql" } });
+
+            assert.equal(transport.options.read.url, "graphql");
+            assert.equal(transport.options.read.type, "POST");
+            assert.equal(transport.options.update.contentType, "application/json");
+        });
+
+        it("setup throws if the query of the operation is not set", function() {
+            var transport = GraphQL({ graphql: { url: "graphql" } });
+
+            try {
+                transport.setup({}, "create");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "create.query" option must be set.');
+            }
+        });
+
+        it("setup sends query and DataSource state as variables", function() {
+            var transport = GraphQL({ graphql: { url: "graphql", read: { query: "{ foo }", operationName: "Foo" } } });
+
+            var body = JSON.parse(transport.setup({ data: { skip: 10, take: 5, sort: [{ field: "name", dir: "asc" }] } }, "read").data);
+
+            assert.equal(body.query, "{ foo }");
+            assert.equal(body.operationName, "Foo");
+            assert.deepEqual(body.variables, { skip: 10, take: 5, sort: [{ field: "name", dir: "asc" }] });
+        });
+
+        it("setup passes variables through the parameterMap", function() {
+            var transport = GraphQL({
+                graphql: { url: "graphql", read: { query: "{ foo }" } },
+                parameterMap: function(data) {
+                    return { first: data.take };
+                }
+            });
+
+            var body = JSON.parse(transport.setup({ data: { take: 5 } }, "read").data);
+
+            assert.deepEqual(body.variables, { first: 5 });
+        });
+
+        it("read query is built from the DataSource state", function() {
+            var transport = GraphQL({ graphql: { url: "graphql", read: { field: "products", fields: ["id", "name"] } } });
+
+            var body = JSON.parse(transport.setup({ data: {
+                skip: 10,
+                take: 5,
+                page: 3,
+                sort: [{ field: "name", dir: "desc", compare: $.noop }],
+                filter: { logic: "and", filters: [{ field: "name", operator: "eq", value: "foo" }] }
+            } }, "read").data);
+
+            assert.equal(body.query, "query($skip: Int, $take: Int, $sort: [SortDescriptor!], $filter: FilterDescriptor) " +
+                "{ products(skip: $skip, take: $take, sort: $sort, filter: $filter) { items { id name } total } }");
+            assert.deepEqual(body.variables, {
+                skip: 10,
+                take: 5,
+                sort: [{ field: "name", dir: "desc" }],
+                filter: { logic: "and", filters: [{ field: "name", operator: "eq", value: "foo" }] }
+            });
+        });
+
+        it("read query includes only the arguments of the present state", function() {
+            var transport = GraphQL({ graphql: { url: "graphql", read: { field: "products", fields: "id", operationName: "Products" } } });
+
+            var body = JSON.parse(transport.setup({ data: {} }, "read").data);
+
+            assert.equal(body.query, "query Products { products { items { id } total } }");
+            assert.deepEqual(body.variables, {});
+        });
+
+        it("parameters option sets the names and the types of the read query arguments", function() {
+            var transport = GraphQL({ graphql: { url: "graphql", read: {
+                field: "products",
+                fields: "id",
+                parameters: { skip: { name: "offset", type: "Int!" }, take: { name: "first", type: "Int!" }, sort: false }
+            } } });
+
+            var body = JSON.parse(transport.setup({ data: { skip: 0, take: 20, sort: [{ field: "id" }] } }, "read").data);
+
+            assert.equal(body.query, "query($skip: Int!, $take: Int!) { products(offset: $skip, first: $take) { items { id } total } }");
+            assert.deepEqual(body.variables, { skip: 0, take: 20 });
+        });
+
+        it("read query requires the fields option", function() {
+            var transport = GraphQL({ graphql: { url: "graphql", read: { field: "products" } } });
+
+            try {
+                transport.setup({ data: {} }, "read");
+                assert.fail("setup does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "read.fields" option must be set.');
+            }
+        });
+
+        it("setup wraps the variables in the input variable", function() {
+            var transport = GraphQL({ graphql: { url: "graphql", create: { query: "mutation", input: "product" } } });
+
+            var body = JSON.parse(transport.setup({ data: { name: "foo" } }, "create").data);
+
+            assert.deepEqual(body.variables, { product: { name: "foo" } });
+        });
+
+        it("schema data returns the items of the root field", function() {
+            var result = schema.data({ data: { products: { items: [{ id: 1 }], total: 10 } } });
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].id, 1);
+        });
+
+        it("schema data wraps single root object", function() {
+            var result = schema.data({ data: { updateProduct: { id: 1 } } });
+
+            assert.equal(result.length, 1);
+        });
+
+        it("schema total is read from the root field", function() {
+            assert.equal(schema.total({ data: { products: { items: [], total: 10 } } }), 10);
+            assert.equal(schema.total({ data: { products: [{}, {}] } }), 2);
+        });
+
+        it("schema errors ignores empty errors", function() {
+            assert.isOk(schema.errors({ data: {}, errors: [] }) === null);
+        });
+
+        it("datasource reads through the mock endpoint", function(done) {
+            var ds = dataSource({ serverPaging: true, pageSize: 2 });
+
+            $.mockjax({
+                url: "graphql",
+                type: "POST",
+                response: function(settings) {
+                    var body = JSON.parse(settings.data);
+
+                    assert.equal(body.variables.skip, 0);
+                    assert.equal(body.variables.take, 2);
+
+                    this.responseText = { data: { products: { items: [{ id: 1, name: "foo" }, { id: 2, name: "bar" }], total: 5 } } };
+                }
+            });
+
+            ds.read().then(function() {
+                assert.equal(ds.total(), 5);
+                assert.equal(ds.get(2).name, "bar");
+                done();
+            });
+        });
+
+        it("datasource raises error event for graphql errors", function(done) {
+            var ds = dataSource({
+                error: function(e) {
+                    assert.equal(e.status, "customerror");
+                    assert.equal(e.errors[0].message, "foo");
+                    done();
+                }
+            });
+
+            $.mockjax({
+                url: "graphql",
+                responseText: { data: null, errors: [{ message: "foo" }] }
+            });
+
+            ds.read();
+        });
+
+        it("datasource sends update mutation with model fields as variables", function(done) {
+            var ds = dataSource();
+
+            $.mockjax({
+                url: "graphql",
+                response: function(settings) {
+                    var body = JSON.parse(settings.data);
+
+                    if (body.query.indexOf("mutation") === 0) {
+                        assert.deepEqual(body.variables, { id: 1, name: "baz" });
+                        this.responseText = { data: { updateProduct: { id: 1, name: "qux" } } };
+                    } else {
+                        this.responseText = { data: { products: { items: [{ id: 1, name: "foo" }], total: 1 } } };
+                    }
+                }
+            });
+
+            ds.read().then(function() {
+                ds.get(1).set("name", "baz");
+
+                ds.sync().then(function() {
+                    assert.equal(ds.get(1).name, "qux");
+                    assert.isOk(!ds.hasChanges());
+                    done();
+                });
+            });
+        });
+    });
+}());
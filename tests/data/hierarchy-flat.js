@@ -0,0 +1,310 @@
+(function() {
+    var HierarchicalDataSource = kendo.data.HierarchicalDataSource;
+
+    function rows() {
+        return [
+            { id: 1, parentId: null, text: "Furniture" },
+            { id: 2, parentId: 1, text: "Tables" },
+            { id: 3, parentId: 2, text: "Chairs" },
+            { id: 4, parentId: null, text: "Decor" },
+            { id: 5, parentId: 4, text: "Carpets" }
+        ];
+    }
+
+    function dataSource(options) {
+        options = $.extend(true, {
+            schema: {
+                model: {
+                    id: "id",
+                    parentId: "parentId"
+                }
+            }
+        }, options);
+
+        if (options.data === undefined) {
+            options.data = rows();
+        }
+
+        return new HierarchicalDataSource(options);
+    }
+
+    describe("HierarchicalDataSource flat data", function() {
+        beforeEach(function() {
+            $.mockjaxSettings.responseTime = 0;
+            $.mockjaxSettings.contentType = "application/json";
+        });
+
+        afterEach(function() {
+            $.mockjax.clear();
+        });
+
+        it("parentId of the model is set as parentIdField", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            assert.equal(ds.at(0).parentIdField, "parentId");
+            assert.isOk(ds.at(0).parentId === null);
+        });
+
+        it("rows without parent are root nodes", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            assert.equal(ds.data().length, 2);
+            assert.equal(ds.at(0).text, "Furniture");
+            assert.equal(ds.at(1).text, "Decor");
+        });
+
+        it("rows are nested under their parents", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            var tables = ds.at(0).children.at(0);
+
+            assert.isOk(ds.at(0).hasChildren);
+            assert.equal(tables.text, "Tables");
+            assert.equal(tables.children.at(0).text, "Chairs");
+            assert.isOk(!tables.children.at(0).hasChildren);
+        });
+
+        it("rows whose parent is missing are root nodes", function() {
+            var ds = dataSource({ data: [{ id: 2, parentId: 1, text: "Tables" }] });
+
+            ds.read();
+
+            assert.equal(ds.data().length, 1);
+            assert.equal(ds.at(0).text, "Tables");
+        });
+
+        it("reading again does not duplicate the children", function() {
+            var ds = dataSource();
+
+            ds.read();
+            ds.read();
+
+            assert.equal(ds.at(0).children.data().length, 1);
+        });
+
+        it("get finds nested nodes", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            assert.equal(ds.get(3).text, "Chairs");
+        });
+
+        it("remote flat data is assembled", function(done) {
+            var ds = new HierarchicalDataSource({
+                transport: {
+                    read: "tree"
+                },
+                schema: {
+                    model: {
+                        id: "id",
+                        parentId: "parentId"
+                    }
+                }
+            });
+
+            $.mockjax({
+                url: "tree",
+                responseText: rows()
+            });
+
+            ds.read().then(function() {
+                assert.equal(ds.data().length, 2);
+                assert.equal(ds.get(3).parentNode().text, "Tables");
+                done();
+            });
+        });
+
+        it("appended node gets the id of its parent as parentId", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            ds.get(2).append({ id: 6, text: "Stools" });
+
+            assert.equal(ds.get(6).parentId, 2);
+        });
+
+        it("node added to the root gets null parentId", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            var node = ds.add({ text: "Garden", parentId: 1 });
+
+            assert.isOk(node.parentId === null);
+        });
+
+        it("moved node updates its parentId", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            var chairs = ds.get(3);
+
+            ds.remove(chairs);
+            ds.get(4).append(chairs);
+
+            assert.equal(chairs.parentId, 4);
+            assert.isOk(chairs.dirty);
+        });
+
+        it("sync sends the new and moved nodes of the whole tree", function() {
+            var created = [],
+                updated = [],
+                destroyed = [],
+                ds = dataSource({
+                    data: null,
+                    transport: {
+                        read: function(options) {
+                            options.success(rows());
+                        },
+                        create: function(options) {
+                            created.push(options.data);
+                            options.success([$.extend({}, options.data, { id: 7 })]);
+                        },
+                        update: function(options) {
+                            updated.push(options.data);
+                            options.success();
+                        },
+                        destroy: function(options) {
+                            destroyed.push(options.data);
+                            options.success();
+                        }
+                    }
+                });
+
+            ds.read();
+
+            var chairs = ds.get(3);
+
+            ds.get(2).children.remove(chairs);
+            ds.get(4).append(chairs);
+            ds.get(5).append({ text: "Rugs" });
+
+            ds.sync();
+
+            assert.equal(created.length, 1);
+            assert.equal(created[0].parentId, 5);
+            assert.equal(updated.length, 1);
+            assert.equal(updated[0].id, 3);
+            assert.equal(updated[0].parentId, 4);
+            assert.equal(destroyed.length, 0);
+            assert.equal(ds.get(7).text, "Rugs");
+            assert.isOk(!ds.hasChanges());
+        });
+
+        it("sync of the former parent does not destroy a moved node", function() {
+            var destroyed = [],
+                ds = dataSource({
+                    data: null,
+                    transport: {
+                        read: function(options) {
+                            options.success(rows());
+                        },
+                        update: function(options) {
+                            options.success();
+                        },
+                        destroy: function(options) {
+                            destroyed.push(options.data);
+                            options.success();
+                        }
+                    }
+                });
+
+            ds.read();
+
+            var tables = ds.get(2),
+                chairs = ds.get(3);
+
+            tables.children.remove(chairs);
+            ds.get(4).append(chairs);
+
+            assert.equal(tables.children.destroyed().length, 0);
+
+            tables.children.sync();
+            ds.sync();
+
+            assert.equal(destroyed.length, 0);
+        });
+
+        it("node moved to the root is not destroyed", function() {
+            var ds = dataSource();
+
+            ds.read();
+
+            var tables = ds.get(2),
+                chairs = ds.get(3);
+
+            tables.children.remove(chairs);
+            ds.add(chairs);
+
+            assert.equal(tables.children.destroyed().length, 0);
+            assert.equal(ds.destroyed().length, 0);
+            assert.isOk(chairs.parentId === null);
+        });
+
+        it("sync destroys removed nested nodes", function() {
+            var destroyed = [],
+                ds = dataSource({
+                    data: null,
+                    transport: {
+                        read: function(options) {
+                            options.success(rows());
+                        },
+                        destroy: function(options) {
+                            destroyed.push(options.data);
+                            options.success();
+                        }
+                    }
+                });
+
+            ds.read();
+            ds.remove(ds.get(5));
+            ds.sync();
+
+            assert.equal(destroyed.length, 1);
+            assert.equal(destroyed[0].id, 5);
+        });
+
+        it("filter keeps the ancestors of the matching nodes", function() {
+            var ds = dataSource();
+
+            ds.read();
+            ds.filter({ field: "text", operator: "eq", value: "Chairs" });
+
+            assert.equal(ds.view().length, 1);
+            assert.equal(ds.view()[0].text, "Furniture");
+            assert.equal(ds.view()[0].children.view().length, 1);
+            assert.equal(ds.view()[0].children.view()[0].text, "Tables");
+            assert.equal(ds.view()[0].children.view()[0].children.view()[0].text, "Chairs");
+        });
+
+        it("filter option keeps the ancestors of the matching nodes", function() {
+            var ds = dataSource({ filter: { field: "text", operator: "eq", value: "Carpets" } });
+
+            ds.read();
+
+            assert.equal(ds.view().length, 1);
+            assert.equal(ds.view()[0].text, "Decor");
+            assert.equal(ds.view()[0].children.view()[0].text, "Carpets");
+        });
+
+        it("clearing the filter shows all nodes", function() {
+            var ds = dataSource();
+
+            ds.read();
+            ds.filter({ field: "text", operator: "eq", value: "Chairs" });
+            ds.filter({});
+
+            assert.equal(ds.view().length, 2);
+            assert.equal(ds.view()[1].children.view().length, 1);
+        });
+    });
+}());
@@ -0,0 +1,160 @@
+(function() {
+    var IndexedDBStorage = kendo.data.IndexedDBStorage;
+    var DataSource = kendo.data.DataSource;
+    var name = "kendo-tests";
+
+    function storage(options) {
+        return new IndexedDBStorage($.extend({ name: name }, options));
+    }
+
+    function records(callback) {
+        var open = window.indexedDB.open(name, 1);
+
+        open.onsuccess = function() {
+            var db = open.result;
+            var result = {};
+            var cursor = db.transaction("records", "readonly").objectStore("records").openCursor();
+
+            cursor.onsuccess = function() {
+                var current = cursor.result;
+
+                if (current) {
+                    result[current.value.key] = current.value;
+                    current["continue"]();
+                } else {
+                    db.close();
+                    callback(result);
+                }
+            };
+        };
+    }
+
+    describe("IndexedDBStorage", function() {
+        afterEach(function(done) {
+            window.indexedDB.deleteDatabase(name).onsuccess = function() {
+                done();
+            };
+        });
+
+        it("requires the name option to be set", function() {
+            assert.throws(function() {
+                new IndexedDBStorage();
+            }, 'The "name" option must be set.');
+        });
+
+        it("getItem resolves with empty array if nothing is stored", function(done) {
+            var current = storage();
+
+            current.getItem().then(function(state) {
+                assert.equal(state.length, 0);
+                done();
+            });
+        });
+
+        it("getItem returns the stored items in order", function(done) {
+            var current = storage();
+
+            current.setItem([{ id: 2, foo: "bar" }, { id: 1, foo: "baz" }]).then(function() {
+                return storage().getItem();
+            }).then(function(state) {
+                assert.equal(state.length, 2);
+                assert.equal(state[0].foo, "bar");
+                assert.equal(state[1].foo, "baz");
+                done();
+            });
+        });
+
+        it("setItem stores each item as a separate record", function(done) {
+            var current = storage();
+
+            current.setItem([{ id: 1, foo: "bar" }, { uid: "a", __state__: "create", foo: "baz" }]).then(function() {
+                records(function(result) {
+                    assert.equal(result["id:1"].value.foo, "bar");
+                    assert.equal(result["uid:a"].value.foo, "baz");
+                    done();
+                });
+            });
+        });
+
+        it("setItem removes records of items which are no longer present", function(done) {
+            var current = storage();
+
+            current.setItem([{ id: 1 }, { id: 2 }]).then(function() {
+                return current.setItem([{ id: 2 }]);
+            }).then(function() {
+                records(function(result) {
+                    assert.isOk(!result["id:1"]);
+                    assert.isOk(result["id:2"]);
+                    done();
+                });
+            });
+        });
+
+        it("setItem writes only the changed items", function(done) {
+            var current = storage();
+            var put = window.IDBObjectStore.prototype.put;
+            var calls = 0;
+
+            current.setItem([{ id: 1, foo: "bar" }, { id: 2, foo: "bar" }]).then(function() {
+                window.IDBObjectStore.prototype.put = function() {
+                    calls++;
+                    return put.apply(this, arguments);
+                };
+
+                return current.setItem([{ id: 1, foo: "bar" }, { id: 2, foo: "baz" }]);
+            }).then(function() {
+                window.IDBObjectStore.prototype.put = put;
+
+                assert.equal(calls, 1);
+                done();
+            });
+        });
+
+        it("data source reads the stored items when offline", function(done) {
+            var current = storage();
+
+            current.setItem([{ id: 1, foo: "bar", __state__: "update" }]).then(function() {
+                var dataSource = new DataSource({
+                    offlineStorage: storage(),
+                    schema: {
+                        model: {
+                            id: "id"
+                        }
+                    }
+                });
+
+                dataSource.online(false);
+
+                dataSource.read().then(function() {
+                    assert.equal(dataSource.data().length, 1);
+                    assert.equal(dataSource.at(0).foo, "bar");
+                    assert.isOk(dataSource.at(0).dirty);
+                    done();
+                });
+            });
+        });
+
+        it("data source stores its changes when offline", function(done) {
+            var dataSource = new DataSource({
+                offlineStorage: storage(),
+                schema: {
+                    model: {
+                        id: "id"
+                    }
+                }
+            });
+
+            dataSource.online(false);
+            dataSource.add({ foo: "bar" });
+
+            dataSource.sync().then(function() {
+                return storage().getItem();
+            }).then(function(state) {
+                assert.equal(state.length, 1);
+                assert.equal(state[0].foo, "bar");
+                assert.equal(state[0].__state__, "create");
+                done();
+            });
+        });
+    });
+}());
@@ -0,0 +1,310 @@
+(function() {
+
+    var parameterMap = kendo.data.transports.jsonapi.fn.options.parameterMap;
+    var schema = kendo.data.schemas.jsonapi;
+    var DataSource = kendo.data.DataSource;
+
+    function document() {
+        return {
+            data: [{
+                type: "articles",
+                id: "1",
+                attributes: { title: "foo" },
+                relationships: {
+                    author: { data: { type: "people", id: "9" } },
+                    comments: { data: [{ type: "comments", id: "5" }] },
+                    tags: { links: { related: "/articles/1/tags" } }
+                }
+            }],
+            included: [{
+                type: "people",
+                id: "9",
+                attributes: { name: "bar" },
+                relationships: {
+                    articles: { data: [{ type: "articles", id: "1" }] }
+                }
+            }],
+            meta: { total: 10 }
+        };
+    }
+
+    describe("JSON:API", function() {
+        beforeEach(function() {
+            $.mockjaxSettings.contentType = "application/json";
+            $.mockjaxSettings.responseTime = 0;
+        });
+
+        afterEach(function() {
+            $.mockjax.clear();
+        });
+
+        it("datasource with type jsonapi creates remote transport with parameterMap", function() {
+            var dataSource = new DataSource({
+                type: "jsonapi",
+                transport: {
+                    read: "foo"
+                }
+            });
+
+            assert.isOk(dataSource.transport instanceof kendo.data.RemoteTransport);
+            assert.isOk(dataSource.transport.parameterMap === parameterMap);
+        });
+
+        it("datasource with type jsonapi sets default values for update", function() {
+            var dataSource = new DataSource({
+                type: "jsonapi",
+                transport: {
+                    update: {
+                        url: "foo"
+                    }
+                }
+            });
+
+            var update = dataSource.transport.options.update;
+            assert.equal(update.url, "foo");
+            assert.equal(update.type, "PATCH");
+            assert.equal(update.contentType, "application/vnd.api+json");
+        });
+
+        it("parameterMap maps sort descriptors to the sort parameter", function() {
+            var result = parameterMap({ sort: [{ field: "foo", dir: "desc" }, { field: "bar", dir: "asc" }] });
+            assert.equal(result.sort, "-foo,bar");
+        });
+
+        it("parameterMap does not add sort when sort is empty", function() {
+            var result = parameterMap({ sort: [] });
+            assert.isOk(!result.hasOwnProperty("sort"));
+        });
+
+        it("parameterMap maps skip and take to page parameters", function() {
+            var result = parameterMap({ skip: 20, take: 10, page: 3, pageSize: 10 });
+
+            assert.equal(result["page[offset]"], 20);
+            assert.equal(result["page[limit]"], 10);
+            assert.isOk(!result.hasOwnProperty("page"));
+            assert.isOk(!result.hasOwnProperty("pageSize"));
+        });
+
+        it("parameterMap maps eq filter to filter parameter", function() {
+            var result = parameterMap({ filter: { logic: "and", filters: [{ field: "title", operator: "eq", value: "foo" }] } });
+            assert.equal(result["filter[title]"], "foo");
+        });
+
+        it("parameterMap appends the operator of non eq filters", function() {
+            var result = parameterMap({ filter: { logic: "and", filters: [{ field: "age", operator: "gt", value: 1 }] } });
+            assert.equal(result["filter[age][gt]"], 1);
+        });
+
+        it("parameterMap flattens nested and filters", function() {
+            var result = parameterMap({ filter: { logic: "and", filters: [
+                { field: "age", operator: "gt", value: 1 },
+                { logic: "and", filters: [{ field: "title", operator: "contains", value: "foo" }] }
+            ] } });
+
+            assert.equal(result["filter[age][gt]"], 1);
+            assert.equal(result["filter[title][contains]"], "foo");
+        });
+
+        it("parameterMap throws for or logic", function() {
+            assert.throws(function() {
+                parameterMap({ filter: { logic: "or", filters: [
+                    { field: "age", operator: "gt", value: 1 },
+                    { field: "age", operator: "lt", value: 0 }
+                ] } });
+            }, "not supported");
+        });
+
+        it("parameterMap passes custom read parameters", function() {
+            var result = parameterMap({ include: "author" });
+            assert.equal(result.include, "author");
+        });
+
+        it("parameterMap serializes create as resource document", function() {
+            var result = JSON.parse(parameterMap.call({ options: { resourceType: "articles" } }, { id: "", title: "foo" }, "create"));
+
+            assert.deepEqual(result, { data: { type: "articles", attributes: { title: "foo" } } });
+        });
+
+        it("parameterMap serializes relationships of update", function() {
+            var result = JSON.parse(parameterMap({
+                id: 1,
+                type: "articles",
+                title: "foo",
+                author: { type: "people", id: 9, name: "bar" },
+                comments: [{ type: "comments", id: "5" }]
+            }, "update"));
+
+            assert.equal(result.data.id, "1");
+            assert.equal(result.data.type, "articles");
+            assert.deepEqual(result.data.attributes, { title: "foo" });
+            assert.deepEqual(result.data.relationships.author, { data: { type: "people", id: "9" } });
+            assert.deepEqual(result.data.relationships.comments, { data: [{ type: "comments", id: "5" }] });
+        });
+
+        it("parameterMap throws if resource type cannot be determined", function() {
+            assert.throws(function() {
+                parameterMap({ title: "foo" }, "create");
+            }, "resourceType");
+        });
+
+        it("parameterMap throws for batch operations", function() {
+            assert.throws(function() {
+                parameterMap({ models: [] }, "update");
+            }, "not supported");
+        });
+
+        it("parameterMap does not serialize destroy", function() {
+            assert.isOk(parameterMap({ id: 1, type: "articles" }, "destroy") === undefined);
+        });
+
+        it("schema data flattens attributes", function() {
+            var result = schema.data(document());
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].id, "1");
+            assert.equal(result[0].type, "articles");
+            assert.equal(result[0].title, "foo");
+        });
+
+        it("schema data resolves included resources", function() {
+            var result = schema.data(document());
+
+            assert.equal(result[0].author.name, "bar");
+            assert.deepEqual(result[0].author.articles, [{ type: "articles", id: "1" }]);
+        });
+
+        it("schema data keeps identifiers which are not included", function() {
+            var result = schema.data(document());
+
+            assert.deepEqual(result[0].comments, [{ type: "comments", id: "5" }]);
+        });
+
+        it("schema data skips relationships without data", function() {
+            var result = schema.data(document());
+
+            assert.isOk(!result[0].hasOwnProperty("tags"));
+        });
+
+        it("schema data wraps single resource", function() {
+            var result = schema.data({ data: { type: "articles", id: "1", attributes: { title: "foo" } } });
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].title, "foo");
+        });
+
+        it("schema data returns empty array for null data", function() {
+            assert.equal(schema.data({ data: null }).length, 0);
+        });
+
+        it("schema total is read from meta", function() {
+            assert.equal(schema.total(document()), 10);
+        });
+
+        it("schema total defaults to data length", function() {
+            assert.equal(schema.total({ data: [{}, {}] }), 2);
+        });
+
+        it("schema total is zero for empty response", function() {
+            assert.equal(schema.total(null), 0);
+            assert.equal(schema.total({}), 0);
+        });
+
+        it("datasource reads JSON:API document", function(done) {
+            var dataSource = new DataSource({
+                type: "jsonapi",
+                transport: {
+                    read: "articles"
+                },
+                schema: {
+                    model: {
+                        id: "id"
+                    }
+                }
+            });
+
+            $.mockjax({
+                url: "articles",
+                responseText: document()
+            });
+
+            dataSource.read().then(function() {
+                assert.equal(dataSource.total(), 10);
+                assert.equal(dataSource.at(0).get("author.name"), "bar");
+                assert.equal(dataSource.get("1").title, "foo");
+                done();
+            });
+        });
+
+        it("datasource raises error event for or filter instead of throwing", function() {
+            var dataSource = new DataSource({
+                    type: "jsonapi",
+                    transport: {
+                        read: "articles"
+                    },
+                    serverFiltering: true,
+                    filter: { logic: "or", filters: [
+                        { field: "age", operator: "gt", value: 1 },
+                        { field: "age", operator: "lt", value: 0 }
+                    ] }
+                }),
+                errorThrown;
+
+            dataSource.bind("error", function(e) {
+                errorThrown = e.errorThrown;
+            });
+
+            dataSource.read();
+
+            assert.equal(errorThrown, 'The "or" filter logic is not supported by the JSON:API transport.');
+        });
+
+        it("datasource raises error event for batch sync instead of throwing", function(done) {
+            var dataSource = new DataSource({
+                    type: "jsonapi",
+                    batch: true,
+                    transport: {
+                        create: "articles",
+                        resourceType: "articles"
+                    },
+                    schema: {
+                        model: {
+                            id: "id"
+                        }
+                    }
+                }),
+                errorThrown;
+
+            dataSource.bind("error", function(e) {
+                errorThrown = e.errorThrown;
+            });
+
+            dataSource.add({ title: "foo" });
+            dataSource.sync().fail(function() {
+                assert.equal(errorThrown, "Batch create operations are not supported by the JSON:API transport.");
+                done();
+            });
+        });
+
+        it("update and destroy are sent to the url of the resource", function() {
+            var transport = new kendo.data.transports.jsonapi({
+                update: "articles/",
+                destroy: "articles"
+            });
+
+            assert.equal(transport.setup({ data: { id: 1, type: "articles", title: "foo" } }, "update").url, "articles/1");
+            assert.equal(transport.setup({ data: { id: "a b", type: "articles" } }, "destroy").url, "articles/a%20b");
+        });
+
+        it("url function of update is not extended with the id", function() {
+            var transport = new kendo.data.transports.jsonapi({
+                update: {
+                    url: function(data) {
+                        return "articles/" + data.id + "/";
+                    }
+                }
+            });
+
+            assert.equal(transport.setup({ data: { id: 1, type: "articles" } }, "update").url, "articles/1/");
+        });
+    });
+}());
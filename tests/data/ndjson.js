@@ -0,0 +1,296 @@
+(function() {
+    var DataSource = kendo.data.DataSource;
+    var StreamParser = kendo.data.StreamParser;
+
+    function streamingDataSource(batches, options) {
+        return new DataSource($.extend({
+            transport: {
+                read: function(options) {
+                    batches.push(options);
+                }
+            }
+        }, options));
+    }
+
+    describe("StreamParser", function() {
+        it("parses newline-delimited records", function() {
+            var parser = new StreamParser();
+
+            var records = parser.push('{"id":1}\n{"id":2}\n');
+
+            assert.equal(records.length, 2);
+            assert.equal(records[1].id, 2);
+        });
+
+        it("keeps incomplete line until the rest arrives", function() {
+            var parser = new StreamParser();
+
+            assert.equal(parser.push('{"id":1}\n{"id"').length, 1);
+
+            var records = parser.push(':2}\n');
+
+            assert.equal(records.length, 1);
+            assert.equal(records[0].id, 2);
+        });
+
+        it("end returns the last line without newline", function() {
+            var parser = new StreamParser();
+
+            parser.push('{"id":1}\n{"id":2}');
+
+            var records = parser.end();
+
+            assert.equal(records.length, 1);
+            assert.equal(records[0].id, 2);
+        });
+
+        it("skips blank lines and carriage returns", function() {
+            var parser = new StreamParser();
+
+            var records = parser.push('{"id":1}\r\n\r\n{"id":2}\r\n');
+
+            assert.equal(records.length, 2);
+        });
+
+        it("parses the elements of a streamed JSON array", function() {
+            var parser = new StreamParser();
+
+            assert.equal(parser.push(' [{"id":1},').length, 1);
+            assert.equal(parser.push('{"id":').length, 0);
+
+            var records = parser.push('2}, {"id":3}]');
+
+            assert.equal(records.length, 2);
+            assert.equal(records[1].id, 3);
+            assert.equal(parser.end().length, 0);
+        });
+
+        it("brackets, commas and quotes in strings do not end array elements", function() {
+            var parser = new StreamParser();
+
+            var records = parser.push('[{"text":"a, [b]} \\"c\\""},{"tags":["d",{"e":1}]}]');
+
+            assert.equal(records.length, 2);
+            assert.equal(records[0].text, 'a, [b]} "c"');
+            assert.equal(records[1].tags[1].e, 1);
+        });
+
+        it("end throws for incomplete JSON array", function() {
+            var parser = new StreamParser();
+
+            parser.push('[{"id":1},{"id"');
+
+            try {
+                parser.end();
+                assert.fail("end does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), "Error: Unexpected end of JSON array.");
+            }
+        });
+    });
+
+    describe("NDJSON transport", function() {
+        beforeEach(function() {
+            $.mockjaxSettings.responseTime = 0;
+        });
+
+        afterEach(function() {
+            $.mockjax.clear();
+        });
+
+        it("data source reads the records of the response", function(done) {
+            var ds = new DataSource({
+                type: "ndjson",
+                transport: {
+                    read: "log"
+                }
+            });
+
+            $.mockjax({
+                url: "log",
+                contentType: "application/x-ndjson",
+                responseText: '{"id":1}\n{"id":2}\n{"id":3}'
+            });
+
+            ds.read().then(function() {
+                assert.equal(ds.data().length, 3);
+                assert.equal(ds.at(2).id, 3);
+                done();
+            });
+        });
+
+        it("invalid record raises error", function(done) {
+            var ds = new DataSource({
+                type: "ndjson",
+                transport: {
+                    read: "log"
+                },
+                error: function(e) {
+                    assert.equal(e.status, "parsererror");
+                    done();
+                }
+            });
+
+            $.mockjax({
+                url: "log",
+                contentType: "application/x-ndjson",
+                responseText: '{"id":1}\n{"id":\n'
+            });
+
+            ds.read();
+        });
+
+        it("records are passed to progress while the response downloads", function(done) {
+            var transport = new kendo.data.transports.ndjson({ read: { url: "log" } }),
+                batches = [];
+
+            $.mockjax({
+                url: "log",
+                contentType: "application/x-ndjson",
+                response: function(settings) {
+                    assert.equal(settings.dataType, "text");
+
+                    settings.xhrFields.onprogress.call({ responseText: '{"id":1}\n{"id"' });
+                    settings.xhrFields.onprogress.call({ responseText: '{"id":1}\n{"id":2}\n{"id":3}' });
+
+                    this.responseText = '{"id":1}\n{"id":2}\n{"id":3}';
+                }
+            });
+
+            transport.read({
+                progress: function(batch) {
+                    batches.push(batch);
+                },
+                success: function(data) {
+                    assert.equal(batches.length, 2);
+                    assert.equal(batches[0][0].id, 1);
+                    assert.equal(batches[1][0].id, 2);
+                    assert.equal(data.length, 3);
+                    done();
+                }
+            });
+        });
+    });
+
+    describe("data source streaming", function() {
+        it("progress batches are appended to the data", function() {
+            var batches = [],
+                ds = streamingDataSource(batches);
+
+            ds.read();
+
+            batches[0].progress([{ id: 1 }, { id: 2 }]);
+            assert.equal(ds.data().length, 2);
+
+            batches[0].progress([{ id: 3 }]);
+            assert.equal(ds.data().length, 3);
+            assert.equal(ds.view().length, 3);
+            assert.equal(ds.total(), 3);
+            assert.isOk(ds.at(2) instanceof kendo.data.ObservableObject);
+        });
+
+        it("first batch replaces the previous data", function() {
+            var batches = [],
+                ds = streamingDataSource(batches);
+
+            ds.read();
+            batches[0].success([{ id: 1 }, { id: 2 }]);
+
+            ds.read();
+            batches[1].progress([{ id: 3 }]);
+
+            assert.equal(ds.data().length, 1);
+            assert.equal(ds.at(0).id, 3);
+        });
+
+        it("each batch raises change and readProgress events", function() {
+            var batches = [],
+                changes = 0,
+                loaded = [],
+                items = [],
+                ds = streamingDataSource(batches, {
+                    change: function() {
+                        changes++;
+                    },
+                    readProgress: function(e) {
+                        loaded.push(e.loaded);
+                        items.push(e.items.length);
+                    }
+                });
+
+            ds.read();
+            batches[0].progress([{ id: 1 }, { id: 2 }]);
+            batches[0].progress([{ id: 3 }]);
+
+            assert.equal(changes, 2);
+            assert.deepEqual(loaded, [2, 3]);
+            assert.deepEqual(items, [2, 1]);
+        });
+
+        it("batches do not raise the progress event", function() {
+            var batches = [],
+                ds = streamingDataSource(batches);
+
+            ds.read();
+
+            ds.bind("progress", function() {
+                assert.isOk(false);
+            });
+
+            batches[0].progress([{ id: 1 }]);
+        });
+
+        it("streamed records are not changes", function() {
+            var batches = [],
+                syncs = 0,
+                ds = streamingDataSource(batches, {
+                    autoSync: true,
+                    undoable: true,
+                    schema: { model: { id: "id" } }
+                });
+
+            ds.bind("requestStart", function(e) {
+                if (e.type !== "read") {
+                    syncs++;
+                }
+            });
+
+            ds.read();
+            batches[0].progress([{ id: 1 }, {}]);
+
+            assert.equal(syncs, 0);
+            assert.isOk(!ds.canUndo());
+            assert.isOk(!ds.at(1).dirty);
+        });
+
+        it("complete response replaces the streamed records", function() {
+            var batches = [],
+                ds = streamingDataSource(batches, { schema: { model: { id: "id" } } });
+
+            ds.read();
+            batches[0].progress([{ id: 1 }]);
+            batches[0].success([{ id: 1 }, { id: 2 }]);
+
+            assert.equal(ds.data().length, 2);
+            assert.isOk(!ds.hasChanges());
+        });
+
+        it("batches are parsed through the schema", function() {
+            var batches = [],
+                ds = streamingDataSource(batches, {
+                    schema: {
+                        model: {
+                            fields: {
+                                date: { type: "date" }
+                            }
+                        }
+                    }
+                });
+
+            ds.read();
+            batches[0].progress([{ date: "2020-01-02T00:00:00" }]);
+
+            assert.isOk(ds.at(0).date instanceof Date);
+        });
+    });
+}());
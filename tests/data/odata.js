@@ -329,6 +329,139 @@
             assert.equal(result.$filter, "foo eq " + kendo.toString(date, "yyyy-MM-ddTHH:mm:ss+00:00"));
         });
 
+        it("$filter and in operator", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "Name", operator: "in", value: ["foo", "b'ar"] }] } });
+
+            assert.equal(result.$filter, "(Name eq 'foo' or Name eq 'b''ar')");
+        });
+
+        it("$filter and notin operator", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "ID", operator: "notin", value: [1, 2] }] } });
+
+            assert.equal(result.$filter, "(ID ne 1 and ID ne 2)");
+        });
+
+        it("$filter and in operator with empty list", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "ID", operator: "in", value: [] }] } });
+
+            assert.equal(result.$filter, "false");
+        });
+
+        it("$filter and between operator", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "Foo.Bar", operator: "between", value: [new Date(2011, 1, 1), new Date(2012, 1, 1)] }] } });
+
+            assert.equal(result.$filter, "(Foo/Bar ge datetime'2011-02-01T00:00:00' and Foo/Bar le datetime'2012-02-01T00:00:00')");
+        });
+
+        it("$filter and between operator with missing range bounds", function() {
+            assert.equal(parameterMap({ filter: { filters: [{ field: "ID", operator: "between", value: [1, null] }] } }).$filter, "ID ge 1");
+            assert.equal(parameterMap({ filter: { filters: [{ field: "ID", operator: "between", value: [null, 5] }] } }).$filter, "ID le 5");
+            assert.equal(parameterMap({ filter: { filters: [{ field: "ID", operator: "between", value: null }] } }).$filter, "true");
+        });
+
+        it("$filter and between operator (odata-v4)", function() {
+            var from = new Date(2011, 1, 1);
+            var to = new Date(2012, 1, 1);
+            var result = parameterMap({ filter: { filters: [{ field: "foo", operator: "between", value: [from, to] }] } }, "read", true);
+
+            from = kendo.toString(kendo.timezone.apply(from, "Etc/UTC"), "yyyy-MM-ddTHH:mm:ss+00:00");
+            to = kendo.toString(kendo.timezone.apply(to, "Etc/UTC"), "yyyy-MM-ddTHH:mm:ss+00:00");
+
+            assert.equal(result.$filter, "(foo ge " + from + " and foo le " + to + ")");
+        });
+
+        it("$filter uses the odata translation of registered operator", function() {
+            kendo.data.filterOperators.startswithany = {
+                odata: function(field, values, format, useVersionFour) {
+                    return $.map(values, function(value) {
+                        return "startswith(" + field + "," + format(value) + ")" + (useVersionFour ? "" : " eq true");
+                    }).join(" or ");
+                }
+            };
+
+            try {
+                var result = parameterMap({ filter: { filters: [{ field: "Name", operator: "startswithany", value: ["a", "b"] }] } });
+
+                assert.equal(result.$filter, "startswith(Name,'a') eq true or startswith(Name,'b') eq true");
+            } finally {
+                delete kendo.data.filterOperators.startswithany;
+            }
+        });
+
+        it("$filter uses the odata translation of operator registered with upper case letters", function() {
+            kendo.data.registerFilterOperator("startsWithAny", {
+                odata: function(field, values, format) {
+                    return $.map(values, function(value) {
+                        return "startswith(" + field + "," + format(value) + ")";
+                    }).join(" or ");
+                }
+            });
+
+            try {
+                var result = parameterMap({ filter: { filters: [{ field: "Name", operator: "startsWithAny", value: ["a"] }] } }, "read", true);
+
+                assert.equal(result.$filter, "startswith(Name,'a')");
+            } finally {
+                delete kendo.data.filterOperators.startswithany;
+            }
+        });
+
+        it("$filter and any operator uses lambda expression", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "Items", operator: "any", value: { field: "Qty", operator: "gt", value: 5 } }] } }, "read", true);
+
+            assert.equal(result.$filter, "Items/any(i: i/Qty gt 5)");
+        });
+
+        it("$filter and all operator with multiple sub filters", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "Order.Items", operator: "all", value: { logic: "or", filters: [
+                { field: "Qty", operator: "gt", value: 5 },
+                { field: "Product.Name", operator: "eq", value: "foo" }
+            ] } }] } }, "read", true);
+
+            assert.equal(result.$filter, "Order/Items/all(i: (i/Qty gt 5 or i/Product/Name eq 'foo'))");
+        });
+
+        it("$filter and nested lambda expressions", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "Orders", operator: "any", value: [
+                { field: "Items", operator: "any", value: [{ field: "Name", operator: "contains", value: "foo" }] }
+            ] }] } }, "read", true);
+
+            assert.equal(result.$filter, "Orders/any(i: i/Items/any(j: contains(j/Name,'foo')))");
+        });
+
+        it("$filter and any operator without sub filters", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "Items", operator: "any", value: [] }] } }, "read", true);
+
+            assert.equal(result.$filter, "Items/any()");
+        });
+
+        it("$filter and count operator uses $count", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "Order.Items", operator: "count", value: { operator: "gte", value: 2 } }] } }, "read", true);
+
+            assert.equal(result.$filter, "Order/Items/$count ge 2");
+        });
+
+        it("$filter and count operator with filter of the counted members", function() {
+            var result = parameterMap({ filter: { filters: [{ field: "Items", operator: "count", value: {
+                operator: "gt",
+                value: 1,
+                filter: { field: "Qty", operator: "gt", value: 5 }
+            } }] } }, "read", true);
+
+            assert.equal(result.$filter, "Items/$count($filter=Qty gt 5) gt 1");
+        });
+
+        it("$filter throws for collection operators in OData v2", function() {
+            $.each(["any", "all", "count"], function(index, operator) {
+                try {
+                    parameterMap({ filter: { filters: [{ field: "Items", operator: operator, value: [] }] } });
+                    assert.fail("parameterMap does not throw");
+                } catch (e) {
+                    assert.equal(e.toString(), 'Error: The "' + operator + '" operator is supported only by OData v4.');
+                }
+            });
+        });
+
         it("custom arguments are preserved", function() {
             var result = parameterMap({ foo: "bar" });
 
@@ -408,4 +541,371 @@
         });
 
     });
+
+    describe("Odata $batch", function() {
+        var request;
+
+        function changeResponse(id, status, body) {
+            return "--changesetresponse_1\r\n" +
+                "Content-Type: application/http\r\n" +
+                "Content-Transfer-Encoding: binary\r\n" +
+                "Content-ID: " + id + "\r\n\r\n" +
+                "HTTP/1.1 " + status + "\r\n" +
+                "Content-Type: application/json\r\n\r\n" +
+                (body ? JSON.stringify(body) : "") + "\r\n";
+        }
+
+        function batchResponse(changes) {
+            return "--batchresponse_1\r\n" +
+                "Content-Type: multipart/mixed; boundary=changesetresponse_1\r\n\r\n" +
+                changes.join("") +
+                "--changesetresponse_1--\r\n" +
+                "--batchresponse_1--\r\n";
+        }
+
+        function respond(responseText, url) {
+            $.mockjax({
+                url: url || "odata/$batch",
+                contentType: "multipart/mixed; boundary=batchresponse_1",
+                response: function(settings) {
+                    request = settings;
+                    this.responseText = responseText;
+                }
+            });
+        }
+
+        function productUrl(data) {
+            return "odata/Products(" + data.ProductID + ")";
+        }
+
+        function dataSource(options) {
+            var ds = new DataSource($.extend(true, {
+                type: "odata-v4",
+                batch: true,
+                transport: {
+                    read: "odata/Products",
+                    create: { url: "odata/Products" },
+                    update: { url: productUrl },
+                    destroy: { url: productUrl }
+                },
+                schema: {
+                    model: {
+                        id: "ProductID"
+                    }
+                }
+            }, options));
+
+            ds.data([
+                { ProductID: 1, ProductName: "Chai" },
+                { ProductID: 2, ProductName: "Chang" },
+                { ProductID: 3, ProductName: "Syrup" }
+            ]);
+
+            return ds;
+        }
+
+        beforeEach(function() {
+            request = null;
+            $.mockjaxSettings.responseTime = 0;
+        });
+
+        afterEach(function() {
+            $.mockjax.clear();
+        });
+
+        it("sends the changes in a single change set to the $batch resource of the service", function(done) {
+            var ds = dataSource();
+
+            respond(batchResponse([changeResponse(1, "204 No Content"), changeResponse(2, "204 No Content"), changeResponse(3, "204 No Content")]));
+
+            ds.get(1).set("ProductName", "Tea");
+            ds.remove(ds.get(2));
+            ds.add({ ProductName: "Coffee" });
+
+            ds.sync().then(function() {
+                var body = request.data;
+
+                assert.equal(request.url, "odata/$batch");
+                assert.equal(request.type, "POST");
+                assert.equal(body.match(/Content-Type: multipart\/mixed; boundary=sf_changeset_/g).length, 1);
+                assert.isOk(body.indexOf("PUT odata/Products(1) HTTP/1.1") > 0);
+                assert.isOk(body.indexOf("DELETE odata/Products(2) HTTP/1.1") > body.indexOf("PUT odata/Products(1)"));
+                assert.isOk(body.indexOf("POST odata/Products HTTP/1.1") > body.indexOf("DELETE odata/Products(2)"));
+                assert.isOk(body.indexOf("Content-ID: 3") > 0);
+                assert.isOk(!ds.hasChanges());
+                done();
+            });
+        });
+
+        it("created models receive the results of their Content-ID", function(done) {
+            var ds = dataSource();
+
+            respond(batchResponse([
+                changeResponse(2, "201 Created", { ProductID: 5, ProductName: "Coffee" }),
+                changeResponse(1, "201 Created", { ProductID: 4, ProductName: "Tea" })
+            ]));
+
+            ds.add({ ProductName: "Tea" });
+            ds.add({ ProductName: "Coffee" });
+
+            ds.sync().then(function() {
+                assert.equal(ds.at(3).ProductID, 4);
+                assert.equal(ds.at(4).ProductID, 5);
+                assert.isOk(!ds.hasChanges());
+                done();
+            });
+        });
+
+        it("failed change set rejects the sync and raises error", function(done) {
+            var ds = dataSource({
+                error: function(e) {
+                    assert.equal(e.xhr.status, 400);
+                    assert.equal(e.xhr.responseJSON.error.message, "Invalid name");
+                    assert.equal(e.xhr.errors.length, 1);
+                    assert.isOk(ds.hasChanges());
+                    done();
+                }
+            });
+
+            respond("--batchresponse_1\r\n" +
+                "Content-Type: application/http\r\n" +
+                "Content-Transfer-Encoding: binary\r\n\r\n" +
+                "HTTP/1.1 400 Bad Request\r\n" +
+                "Content-Type: application/json\r\n\r\n" +
+                '{"error":{"message":"Invalid name"}}\r\n' +
+                "--batchresponse_1--\r\n");
+
+            ds.get(1).set("ProductName", "");
+
+            ds.sync();
+        });
+
+        it("errors of the operations refer to their models", function(done) {
+            var ds = dataSource();
+
+            respond(batchResponse([changeResponse(1, "204 No Content"), changeResponse(2, "404 Not Found")]));
+
+            ds.get(1).set("ProductName", "Tea");
+            ds.get(2).set("ProductName", "Coffee");
+
+            ds.sync().fail(function(response) {
+                assert.equal(response.errors.length, 1);
+                assert.equal(response.errors[0].type, "update");
+                assert.equal(response.errors[0].model.ProductID, 2);
+                done();
+            });
+        });
+
+        it("batch url option is used", function(done) {
+            var ds = dataSource({
+                transport: {
+                    batch: { url: "service/$batch" }
+                }
+            });
+
+            respond(batchResponse([changeResponse(1, "204 No Content")]), "service/$batch");
+
+            ds.get(1).set("ProductName", "Tea");
+
+            ds.sync().then(function() {
+                assert.equal(request.url, "service/$batch");
+                done();
+            });
+        });
+
+        it("odata transport sends the changes of batch data source in separate requests by default", function(done) {
+            var ds = dataSource({ type: "odata" });
+
+            $.mockjax({
+                url: "odata/Products",
+                contentType: "application/json",
+                response: function(settings) {
+                    request = settings;
+                    this.responseText = JSON.stringify({ d: { results: [{ ProductID: 4, ProductName: "Tea" }] } });
+                }
+            });
+
+            ds.add({ ProductName: "Tea" });
+
+            ds.sync().then(function() {
+                assert.equal(request.url, "odata/Products");
+                assert.equal(request.type, "POST");
+                assert.equal(ds.at(3).ProductID, 4);
+                done();
+            });
+        });
+
+        it("odata transport sends $batch and reads the results from the d member", function(done) {
+            var ds = dataSource({ type: "odata", transport: { batch: true } });
+
+            respond(batchResponse([changeResponse(1, "201 Created", { d: { ProductID: 4, ProductName: "Tea" } })]));
+
+            ds.add({ ProductName: "Tea" });
+
+            ds.sync().then(function() {
+                assert.equal(request.url, "odata/$batch");
+                assert.equal(ds.at(3).ProductID, 4);
+                assert.isOk(!ds.hasChanges());
+                done();
+            });
+        });
+    });
+
+    describe("Odata $apply", function() {
+        var parameterMap = kendo.data.transports["odata-v4"].parameterMap;
+
+        function respond(value) {
+            $.mockjax({
+                url: "odata/Products",
+                contentType: "application/json",
+                response: function() {
+                    this.responseText = JSON.stringify({ "@odata.count": value.length, value: value });
+                }
+            });
+        }
+
+        afterEach(function() {
+            $.mockjax.clear();
+        });
+
+        it("group and aggregate descriptors are sent as groupby", function() {
+            var result = parameterMap({
+                group: [{ field: "Category.Name", dir: "desc", aggregates: [{ field: "UnitPrice", aggregate: "sum" }] }],
+                aggregate: [{ field: "UnitPrice", aggregate: "max" }, { field: "UnitPrice", aggregate: "sum" }],
+                sort: [{ field: "ProductName", dir: "asc" }]
+            }, "read");
+
+            assert.equal(result.$apply, "groupby((Category/Name),aggregate(UnitPrice with max as __max__UnitPrice,UnitPrice with sum as __sum__UnitPrice,$count as __groupby__Category_x002E_Name))");
+            assert.equal(result.$orderby, "Category/Name desc");
+            assert.isOk(!result.group);
+            assert.isOk(!result.aggregate);
+        });
+
+        it("count aggregate is sent as $count", function() {
+            var result = parameterMap({
+                group: [{ field: "Discontinued" }, { field: "CategoryID" }],
+                aggregate: [{ field: "ProductID", aggregate: "count" }]
+            }, "read");
+
+            assert.equal(result.$apply, "groupby((Discontinued,CategoryID),aggregate($count as __count__ProductID,$count as __groupby__Discontinued_x002C_CategoryID))");
+        });
+
+        it("sort of the grouped fields is kept after groupby", function() {
+            var result = parameterMap({
+                group: [{ field: "CategoryID", dir: "asc" }, { field: "Discontinued", dir: "asc" }],
+                sort: [{ field: "ProductName", dir: "asc" }, { field: "Discontinued", dir: "desc" }]
+            }, "read");
+
+            assert.equal(result.$orderby, "CategoryID,Discontinued desc");
+        });
+
+        it("filter is applied before groupby", function() {
+            var result = parameterMap({
+                filter: { logic: "and", filters: [{ field: "UnitPrice", operator: "gt", value: 10 }] },
+                group: [{ field: "CategoryID" }]
+            }, "read");
+
+            assert.equal(result.$apply, "filter(UnitPrice gt 10)/groupby((CategoryID),aggregate($count as __groupby__CategoryID))");
+            assert.isOk(!result.$filter);
+        });
+
+        it("aggregate descriptors without group are concatenated to the sorted and paged rows", function() {
+            var result = parameterMap({
+                aggregate: [{ field: "UnitPrice", aggregate: "average" }],
+                sort: [{ field: "ProductName", dir: "asc" }],
+                skip: 20,
+                take: 10
+            }, "read");
+
+            assert.equal(result.$apply, "concat(aggregate(UnitPrice with average as __average__UnitPrice,$count as __total),orderby(ProductName)/skip(20)/top(10))");
+            assert.isOk(!result.$orderby);
+            assert.isOk(!result.$skip);
+            assert.isOk(!result.$top);
+        });
+
+        it("aggregate descriptors are concatenated to all rows without paging", function() {
+            var result = parameterMap({
+                aggregate: [{ field: "UnitPrice", aggregate: "sum" }]
+            }, "read");
+
+            assert.equal(result.$apply, "concat(aggregate(UnitPrice with sum as __sum__UnitPrice,$count as __total),identity)");
+        });
+
+        it("throws for aggregate which OData does not support", function() {
+            try {
+                parameterMap({ aggregate: [{ field: "UnitPrice", aggregate: "median" }] }, "read");
+                assert.fail("parameterMap does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "median" aggregate is not supported by OData.');
+            }
+        });
+
+        it("data source reads groupby rows as nested groups", function(done) {
+            var ds = new DataSource({
+                type: "odata-v4",
+                transport: {
+                    read: "odata/Products"
+                },
+                serverGrouping: true,
+                serverAggregates: true,
+                group: [
+                    { field: "Category.Name", aggregates: [{ field: "UnitPrice", aggregate: "average" }] },
+                    { field: "Discontinued", aggregates: [{ field: "UnitPrice", aggregate: "average" }] }
+                ],
+                aggregate: [{ field: "UnitPrice", aggregate: "max" }]
+            });
+
+            respond([
+                { Category: { Name: "Beverages" }, Discontinued: false, __max__UnitPrice: 20, __average__UnitPrice: 10, __groupby__Category_x002E_Name_x002C_Discontinued: 3 },
+                { Category: { Name: "Beverages" }, Discontinued: true, __max__UnitPrice: 40, __average__UnitPrice: 30, __groupby__Category_x002E_Name_x002C_Discontinued: 1 },
+                { Category: { Name: "Seafood" }, Discontinued: false, __max__UnitPrice: 8, __average__UnitPrice: 6, __groupby__Category_x002E_Name_x002C_Discontinued: 2 }
+            ]);
+
+            ds.read().then(function() {
+                var groups = ds.view();
+
+                assert.equal(groups.length, 2);
+                assert.equal(groups[0].value, "Beverages");
+                assert.isOk(groups[0].hasSubgroups);
+                assert.equal(groups[0].aggregates.UnitPrice.max, 40);
+                assert.equal(groups[0].aggregates.UnitPrice.average, 15);
+                assert.equal(groups[0].items.length, 2);
+                assert.strictEqual(groups[0].items[1].value, true);
+                assert.equal(groups[0].items[1].aggregates.UnitPrice.average, 30);
+                assert.equal(groups[0].items[1].items.length, 1);
+                assert.equal(groups[0].items[1].items[0].__max__UnitPrice, 40);
+                assert.equal(groups[1].items[0].aggregates.UnitPrice.max, 8);
+                assert.equal(ds.aggregates().UnitPrice.max, 40);
+                done();
+            });
+        });
+
+        it("data source reads aggregate row as server aggregates and keeps the rows", function(done) {
+            var ds = new DataSource({
+                type: "odata-v4",
+                transport: {
+                    read: "odata/Products"
+                },
+                serverAggregates: true,
+                serverPaging: true,
+                pageSize: 2,
+                aggregate: [{ field: "UnitPrice", aggregate: "sum" }, { field: "ProductID", aggregate: "count" }]
+            });
+
+            respond([
+                { __sum__UnitPrice: 120, __count__ProductID: 7, __total: 7 },
+                { ProductID: 1, UnitPrice: 10 },
+                { ProductID: 2, UnitPrice: 20 }
+            ]);
+
+            ds.read().then(function() {
+                assert.equal(ds.aggregates().UnitPrice.sum, 120);
+                assert.equal(ds.aggregates().ProductID.count, 7);
+                assert.equal(ds.total(), 7);
+                assert.equal(ds.view().length, 2);
+                assert.equal(ds.view()[0].ProductID, 1);
+                done();
+            });
+        });
+    });
 }());
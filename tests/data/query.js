@@ -785,6 +785,204 @@
             assert.equal(result[0].field, 1);
         });
 
+        it("filter filters with in operator", function() {
+            var data = [{ field: 100 }, { field: 10 }, { field: 1 }];
+
+            var result = new Query(data).filter({ field: "field", operator: "in", value: [1, 100] }).toArray();
+
+            assert.equal(result.length, 2);
+            assert.equal(result[0].field, 100);
+            assert.equal(result[1].field, 1);
+        });
+
+        it("filter with in operator ignores case by default", function() {
+            var data = [{ name: "Foo" }, { name: "bar" }];
+
+            assert.equal(new Query(data).filter({ field: "name", operator: "in", value: ["foo"] }).toArray().length, 1);
+            assert.equal(new Query(data).filter({ field: "name", operator: "in", value: ["foo"], ignoreCase: false }).toArray().length, 0);
+        });
+
+        it("filter with in operator compares dates by value", function() {
+            var data = [{ date: new Date(2011, 1, 1) }, { date: new Date(2012, 1, 1) }];
+
+            var result = new Query(data).filter({ field: "date", operator: "in", value: [new Date(2012, 1, 1)] }).toArray();
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].date.getFullYear(), 2012);
+        });
+
+        it("filter filters with notin operator", function() {
+            var data = [{ field: 100 }, { field: 10 }, { field: 1 }];
+
+            var result = new Query(data).filter({ field: "field", operator: "notin", value: [1, 100] }).toArray();
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].field, 10);
+        });
+
+        it("filter filters with between operator", function() {
+            var data = [{ field: 100 }, { field: 10 }, { field: 1 }, { field: null }];
+
+            var result = new Query(data).filter({ field: "field", operator: "between", value: [1, 10] }).toArray();
+
+            assert.equal(result.length, 2);
+            assert.equal(result[0].field, 10);
+            assert.equal(result[1].field, 1);
+        });
+
+        it("filter with between operator and missing range bounds", function() {
+            var data = [{ field: 100 }, { field: 10 }, { field: 1 }, { field: null }];
+
+            assert.equal(new Query(data).filter({ field: "field", operator: "between", value: null }).toArray().length, 3);
+            assert.equal(new Query(data).filter({ field: "field", operator: "between", value: [10, null] }).toArray().length, 2);
+            assert.equal(new Query(data).filter({ field: "field", operator: "between", value: [null, 10] }).toArray().length, 2);
+        });
+
+        it("filter filters with registered operator", function() {
+            var data = [{ name: "foo" }, { name: "bar" }];
+
+            kendo.data.filterOperators.regex = {
+                predicate: function(value, pattern) {
+                    return new RegExp(pattern).test(value);
+                }
+            };
+
+            try {
+                var result = new Query(data).filter({ field: "name", operator: "regex", value: "^b" }).toArray();
+
+                assert.equal(result.length, 1);
+                assert.equal(result[0].name, "bar");
+            } finally {
+                delete kendo.data.filterOperators.regex;
+            }
+        });
+
+        it("filter filters with operator registered with upper case letters", function() {
+            var data = [{ name: "foo" }, { name: "bar" }];
+
+            kendo.data.registerFilterOperator("matchesRegex", {
+                predicate: function(value, pattern) {
+                    return new RegExp(pattern).test(value);
+                }
+            });
+
+            try {
+                var result = new Query(data).filter({ field: "name", operator: "matchesRegex", value: "^b" }).toArray();
+
+                assert.equal(result.length, 1);
+                assert.equal(result[0].name, "bar");
+            } finally {
+                delete kendo.data.filterOperators.matchesregex;
+            }
+        });
+
+        it("filter with registered operators in nested expressions", function() {
+            var data = [{ field: 100 }, { field: 10 }, { field: 1 }];
+
+            var result = new Query(data).filter({
+                logic: "or",
+                filters: [
+                    { field: "field", operator: "in", value: [1] },
+                    { logic: "and", filters: [{ field: "field", operator: "between", value: [50, 150] }] }
+                ]
+            }).toArray();
+
+            assert.equal(result.length, 2);
+        });
+
+        it("filter filters with any operator", function() {
+            var data = [{ id: 1, items: [{ qty: 1 }, { qty: 10 }] }, { id: 2, items: [{ qty: 1 }] }, { id: 3, items: [] }];
+
+            var result = new Query(data).filter({ field: "items", operator: "any", value: { field: "qty", operator: "gt", value: 5 } }).toArray();
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].id, 1);
+        });
+
+        it("filter filters with all operator", function() {
+            var data = [{ id: 1, items: [{ qty: 1 }, { qty: 10 }] }, { id: 2, items: [{ qty: 1 }] }, { id: 3, items: [] }];
+
+            var result = new Query(data).filter({ field: "items", operator: "all", value: [{ field: "qty", operator: "lt", value: 5 }] }).toArray();
+
+            assert.equal(result.length, 2);
+            assert.equal(result[0].id, 2);
+            assert.equal(result[1].id, 3);
+        });
+
+        it("filter with any operator without sub filters matches non empty arrays", function() {
+            var data = [{ id: 1, items: [{ qty: 1 }] }, { id: 2, items: [] }, { id: 3, items: null }];
+
+            var result = new Query(data).filter({ field: "items", operator: "any", value: [] }).toArray();
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].id, 1);
+        });
+
+        it("filter with nested any operators", function() {
+            var data = [
+                { id: 1, orders: [{ items: [{ name: "foo" }] }] },
+                { id: 2, orders: [{ items: [{ name: "bar" }] }] }
+            ];
+
+            var result = new Query(data).filter({
+                field: "orders",
+                operator: "any",
+                value: { field: "items", operator: "any", value: { field: "name", operator: "==", value: "Bar" } }
+            }).toArray();
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].id, 2);
+        });
+
+        it("filter filters with count operator", function() {
+            var data = [{ id: 1, items: [{ qty: 1 }, { qty: 10 }] }, { id: 2, items: [{ qty: 1 }] }, { id: 3, items: null }];
+
+            var result = new Query(data).filter({ field: "items", operator: "count", value: { operator: "gte", value: 2 } }).toArray();
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].id, 1);
+        });
+
+        it("filter with count operator counts the members which match its filter", function() {
+            var data = [{ id: 1, items: [{ qty: 1 }, { qty: 10 }] }, { id: 2, items: [{ qty: 1 }] }, { id: 3, items: [] }];
+
+            var result = new Query(data).filter({
+                field: "items",
+                operator: "count",
+                value: { operator: "eq", value: 0, filter: { field: "qty", operator: ">", value: 5 } }
+            }).toArray();
+
+            assert.equal(result.length, 2);
+            assert.equal(result[0].id, 2);
+            assert.equal(result[1].id, 3);
+        });
+
+        it("filter with count operator and number value compares for equality", function() {
+            var data = [{ id: 1, items: [{}, {}] }, { id: 2, items: [{}] }];
+
+            var result = new Query(data).filter({ field: "items", operator: "count", value: 1 }).toArray();
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].id, 2);
+        });
+
+        it("search orders the matching items by relevance", function() {
+            var data = [{ name: "tea with milk" }, { name: "black tea" }, { name: "steam" }, { name: "coffee" }];
+
+            var result = new Query(data).search({ text: "tea", fields: ["name"] }).toArray();
+
+            assert.equal(result.length, 3);
+            assert.equal(result[0].name, "tea with milk");
+            assert.equal(result[1].name, "black tea");
+            assert.equal(result[2].name, "steam");
+        });
+
+        it("search without text returns all items", function() {
+            var data = [{ name: "tea" }, { name: "coffee" }];
+
+            assert.equal(new Query(data).search({ text: " ", fields: ["name"] }).toArray().length, 2);
+        });
+
         it("filter filters on dates", function() {
             var data = [new Date(2011, 1, 1), new Date(2008, 1, 1), new Date(2009, 1, 1)];
 
@@ -2598,6 +2796,167 @@
             assert.equal(result.foo.count, 4);
         });
 
+        it("aggregate median returns the middle value", function() {
+            var data = [{ foo: 3 }, { foo: 1 }, { foo: null }, { foo: 2 }];
+
+            var result = new Query(data).aggregate([{ field: "foo", aggregate: "median" }]);
+
+            assert.equal(result.foo.median, 2);
+        });
+
+        it("aggregate median of even count averages the middle values", function() {
+            var data = [{ foo: 4 }, { foo: 1 }, { foo: 3 }, { foo: 2 }];
+
+            var result = new Query(data).aggregate([{ field: "foo", aggregate: "median" }]);
+
+            assert.equal(result.foo.median, 2.5);
+        });
+
+        it("aggregate percentile interpolates between values", function() {
+            var data = [{ foo: 10 }, { foo: 20 }, { foo: 30 }, { foo: 40 }, { foo: 50 }];
+
+            var result = new Query(data).aggregate([{ field: "foo", aggregate: "percentile", p: 0.9 }]);
+
+            assert.equal(result.foo.percentile, 46);
+        });
+
+        it("aggregate percentiles of the same field are calculated separately", function() {
+            var data = [{ foo: 10 }, { foo: 20 }, { foo: 30 }, { foo: 40 }, { foo: 50 }];
+
+            var result = new Query(data).aggregate([
+                { field: "foo", aggregate: "percentile", p: 0.9, name: "p90" },
+                { field: "foo", aggregate: "percentile", p: 0.25, name: "p25" }
+            ]);
+
+            assert.equal(result.foo.p90, 46);
+            assert.equal(result.foo.p25, 20);
+        });
+
+        it("aggregate expressions of the same aggregate are calculated separately", function() {
+            var data = [{ foo: 1, bar: 10 }, { foo: 2, bar: 20 }];
+
+            var result = new Query(data).aggregate([
+                { field: "foo", aggregate: "sum", name: "foo", expression: function(item) { return item.foo; } },
+                { field: "foo", aggregate: "sum", name: "bar", expression: function(item) { return item.bar; } }
+            ]);
+
+            assert.equal(result.foo.foo, 3);
+            assert.equal(result.foo.bar, 30);
+        });
+
+        it("aggregate percentile throws if p is not set", function() {
+            try {
+                new Query([{ foo: 1 }]).aggregate([{ field: "foo", aggregate: "percentile" }]);
+                assert.fail("percentile does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "p" option must be set.');
+            }
+        });
+
+        it("aggregate distinctCount counts distinct values without nulls", function() {
+            var data = [{ foo: 1 }, { foo: "1" }, { foo: 1 }, { foo: null }, { foo: new Date(2020, 1, 1) }, { foo: new Date(2020, 1, 1) }];
+
+            var result = new Query(data).aggregate([{ field: "foo", aggregate: "distinctCount" }]);
+
+            assert.equal(result.foo.distinctCount, 3);
+        });
+
+        it("aggregate names of built-ins are case insensitive", function() {
+            var data = [{ foo: 1 }, { foo: 2 }];
+
+            var result = new Query(data).aggregate([{ field: "foo", aggregate: "distinctcount" }]);
+
+            assert.equal(result.foo.distinctcount, 2);
+        });
+
+        it("aggregate first and last return the values of the first and last items", function() {
+            var data = [{ foo: null }, { foo: 2 }, { foo: 3 }];
+
+            var result = new Query(data).aggregate([{ field: "foo", aggregate: "first" }, { field: "foo", aggregate: "last" }]);
+
+            assert.isOk(result.foo.first === null);
+            assert.equal(result.foo.last, 3);
+        });
+
+        it("aggregate weightedAverage uses the weight field", function() {
+            var data = [{ foo: 10, bar: 1 }, { foo: 20, bar: 3 }, { foo: null, bar: 5 }];
+
+            var result = new Query(data).aggregate([{ field: "foo", aggregate: "weightedAverage", weight: "bar" }]);
+
+            assert.equal(result.foo.weightedAverage, 17.5);
+        });
+
+        it("aggregate weightedAverage accepts weight function", function() {
+            var data = [{ foo: 10, bar: 1 }, { foo: 20, bar: 3 }];
+
+            var result = new Query(data).aggregate([{ field: "foo", aggregate: "weightedAverage", weight: function(item) {
+                return item.bar * 2;
+            } }]);
+
+            assert.equal(result.foo.weightedAverage, 17.5);
+        });
+
+        it("aggregate weightedAverage throws if weight is not set", function() {
+            try {
+                new Query([{ foo: 1 }]).aggregate([{ field: "foo", aggregate: "weightedAverage" }]);
+                assert.fail("weightedAverage does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "weight" option must be set.');
+            }
+        });
+
+        it("aggregate uses expression instead of the field", function() {
+            var data = [{ price: 2, quantity: 3 }, { price: 4, quantity: 1 }];
+
+            var result = new Query(data).aggregate([{ field: "total", aggregate: "sum", expression: function(item) {
+                return item.price * item.quantity;
+            } }]);
+
+            assert.equal(result.total.sum, 10);
+        });
+
+        it("aggregate throws for unknown aggregate", function() {
+            try {
+                new Query([{ foo: 1 }]).aggregate([{ field: "foo", aggregate: "foo" }]);
+                assert.fail("unknown aggregate does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "foo" aggregate is not defined.');
+            }
+        });
+
+        it("aggregate uses custom aggregate from the registry", function() {
+            var data = [{ foo: "a" }, { foo: "bb" }, { foo: "ccc" }];
+
+            kendo.data.aggregates.longest = {
+                init: function() {
+                    return "";
+                },
+                step: function(accumulator, value) {
+                    return value.length > accumulator.length ? value : accumulator;
+                },
+                result: function(accumulator) {
+                    return accumulator.toUpperCase();
+                }
+            };
+
+            try {
+                var result = new Query(data).aggregate([{ field: "foo", aggregate: "longest" }]);
+
+                assert.equal(result.foo.longest, "CCC");
+            } finally {
+                delete kendo.data.aggregates.longest;
+            }
+        });
+
+        it("group aggregates use the built-in aggregates", function() {
+            var data = [{ foo: 1, bar: "a" }, { foo: 5, bar: "a" }, { foo: 3, bar: "a" }, { foo: 7, bar: "b" }];
+
+            var result = new Query(data).group([{ field: "bar", aggregates: [{ field: "foo", aggregate: "median" }] }]).toArray();
+
+            assert.equal(result[0].aggregates.foo.median, 3);
+            assert.equal(result[1].aggregates.foo.median, 7);
+        });
+
         it("group parent group should have hasSubgroups set to true", function() {
             var data = [{ foo: 100, bar: "baz" }, { foo: 100, bar: "bar" }, { foo: 1, bar: "baz" }];
 
@@ -747,5 +747,32 @@
             transport.update({ url: "foo", data: { baz: "moo" } });
         });
 
+        it("setup sends the version as If-Match header", function() {
+            var transport = new RemoteTransport({
+                    update: {
+                        url: "foo",
+                        headers: { foo: "bar" }
+                    }
+                });
+
+            var options = transport.setup({ data: { id: 1 }, version: "W/\"1\"" }, "update");
+
+            assert.equal(options.headers["If-Match"], "W/\"1\"");
+            assert.equal(options.headers.foo, "bar");
+            assert.isOk(!options.hasOwnProperty("version"));
+        });
+
+        it("setup does not send If-Match header without version", function() {
+            var transport = new RemoteTransport({
+                    update: {
+                        url: "foo"
+                    }
+                });
+
+            var options = transport.setup({ data: { id: 1 } }, "update");
+
+            assert.isOk(!options.headers);
+        });
+
     });
 }());
@@ -1476,4 +1476,233 @@
         });
 
     });
+
+    describe("SignalR HubConnection", function() {
+        function hubConnection(state) {
+            var connection = {
+                state: state || "Connected",
+                handlers: {},
+                invocations: [],
+                results: {},
+                on: function(name, handler) {
+                    connection.handlers[name] = handler;
+                },
+                invoke: function(name) {
+                    connection.invocations.push($.makeArray(arguments));
+
+                    return {
+                        then: function(callback) {
+                            callback(connection.results[name]);
+                            return this;
+                        },
+                        "catch": $.noop
+                    };
+                },
+                start: function() {
+                    connection.state = "Connected";
+                    return nativePromise();
+                },
+                onreconnecting: function(callback) {
+                    connection.reconnecting = function() {
+                        connection.state = "Reconnecting";
+                        callback();
+                    };
+                },
+                onreconnected: function(callback) {
+                    connection.reconnected = function() {
+                        connection.state = "Connected";
+                        callback();
+                    };
+                },
+                onclose: function(callback) {
+                    connection.close = function(error) {
+                        connection.state = "Disconnected";
+                        callback(error);
+                    };
+                }
+            };
+
+            return connection;
+        }
+
+        function dataSource(connection, signalr) {
+            var ds = new kendo.data.DataSource({
+                type: "signalr",
+                schema: {
+                    model: { id: "id" }
+                },
+                transport: {
+                    signalr: $.extend({
+                        promise: nativePromise(),
+                        hub: connection,
+                        server: {
+                            read: "read",
+                            create: "create"
+                        },
+                        client: {
+                            create: "created",
+                            update: "updated",
+                            destroy: "destroyed"
+                        }
+                    }, signalr)
+                }
+            });
+
+            connection.results.read = [{ id: 1, name: "foo" }];
+            ds.read();
+
+            return ds;
+        }
+
+        it("native promise of the invocation calls options.success", function() {
+            var connection = hubConnection();
+            var options = stub({}, "success");
+
+            connection.results.read = [{ id: 1 }];
+
+            transport = SignalR({
+                signalr: {
+                    promise: nativePromise(),
+                    hub: connection,
+                    server: {
+                        read: "read"
+                    }
+                }
+            });
+
+            transport.read(options);
+
+            assert.equal(options.calls("success"), 1);
+            assert.deepEqual(options.args("success")[0], [{ id: 1 }]);
+        });
+
+        it("disconnected hub connection is started when the promise option is not set", function() {
+            var connection = hubConnection("Disconnected");
+
+            transport = SignalR({
+                signalr: {
+                    hub: connection,
+                    server: {
+                        read: "read"
+                    }
+                }
+            });
+
+            transport.read({ success: $.noop });
+
+            assert.equal(connection.state, "Connected");
+            assert.equal(connection.invocations.length, 1);
+        });
+
+        it("invocations made while reconnecting are sent in order after the reconnect", function() {
+            var connection = hubConnection();
+            var ds = dataSource(connection, { client: {} });
+
+            connection.reconnecting();
+
+            ds.add({ name: "bar" });
+            ds.add({ name: "baz" });
+            ds.sync();
+
+            assert.equal(connection.invocations.length, 1);
+
+            connection.reconnected();
+
+            assert.equal(connection.invocations.length, 3);
+            assert.equal(connection.invocations[1][1].name, "bar");
+            assert.equal(connection.invocations[2][1].name, "baz");
+        });
+
+        it("invocations made while reconnecting fail when the connection closes", function() {
+            var connection = hubConnection();
+            var ds = dataSource(connection, { client: {} });
+            var errors = [];
+            var failed = false;
+            var error = new Error("reconnect failed");
+
+            ds.bind("error", function(e) {
+                errors.push(e.xhr);
+            });
+
+            connection.reconnecting();
+
+            ds.add({ name: "bar" });
+            ds.sync().fail(function() {
+                failed = true;
+            });
+
+            connection.close(error);
+
+            assert.equal(connection.invocations.length, 1);
+            assert.equal(errors.length, 1);
+            assert.equal(errors[0], error);
+            assert.isOk(failed);
+        });
+
+        it("invocations made after the connection closes fail", function() {
+            var connection = hubConnection();
+            var ds = dataSource(connection, { client: {} });
+            var errors = 0;
+
+            ds.bind("error", function() {
+                errors++;
+            });
+
+            connection.close();
+
+            ds.add({ name: "bar" });
+            ds.sync();
+            connection.reconnected();
+
+            assert.equal(connection.invocations.length, 1);
+            assert.equal(errors, 1);
+        });
+
+        it("data source is read again after the reconnect", function() {
+            var connection = hubConnection();
+            var ds = dataSource(connection);
+
+            connection.reconnecting();
+            connection.results.read = [{ id: 1, name: "foo" }, { id: 2, name: "bar" }];
+            connection.reconnected();
+
+            assert.equal(connection.invocations.length, 2);
+            assert.equal(connection.invocations[1][0], "read");
+            assert.equal(ds.data().length, 2);
+        });
+
+        it("data source is not read again without client methods", function() {
+            var connection = hubConnection();
+
+            dataSource(connection, { client: {} });
+
+            connection.reconnecting();
+            connection.reconnected();
+
+            assert.equal(connection.invocations.length, 1);
+        });
+
+        it("missed pushes are replayed after the reconnect", function() {
+            var connection = hubConnection();
+            var ds = dataSource(connection, {
+                server: {
+                    read: "read",
+                    replay: "changes"
+                }
+            });
+
+            connection.reconnecting();
+            connection.results.changes = {
+                create: [{ id: 2, name: "bar" }],
+                update: [{ id: 1, name: "baz" }]
+            };
+            connection.reconnected();
+
+            assert.equal(connection.invocations[1][0], "changes");
+            assert.isOk(connection.invocations[1][1].since instanceof Date);
+            assert.equal(ds.data().length, 2);
+            assert.equal(ds.get(1).name, "baz");
+            assert.isOk(!ds.hasChanges());
+        });
+    });
 }());
@@ -0,0 +1,181 @@
+(function() {
+    var DataSource = kendo.data.DataSource,
+        EventSource = window.EventSource,
+        sources;
+
+    function FakeEventSource(url, options) {
+        this.url = url;
+        this.options = options;
+        this.readyState = 0;
+        this.handlers = {};
+        this.closed = false;
+
+        sources.push(this);
+    }
+
+    FakeEventSource.prototype = {
+        addEventListener: function(name, handler) {
+            this.handlers[name] = handler;
+        },
+
+        close: function() {
+            this.closed = true;
+            this.readyState = 2;
+        },
+
+        receive: function(name, data, id) {
+            this.handlers[name]({ data: JSON.stringify(data), lastEventId: id || "" });
+        },
+
+        fail: function() {
+            this.readyState = 2;
+            this.handlers.error({});
+        }
+    };
+
+    function dataSource(push) {
+        var ds = new DataSource({
+            schema: {
+                model: { id: "id" }
+            },
+            transport: {
+                read: function(options) {
+                    options.success([{ id: 1, name: "foo" }, { id: 2, name: "bar" }]);
+                },
+                push: $.extend({ type: "sse", url: "products/events" }, push)
+            }
+        });
+
+        ds.read();
+
+        return ds;
+    }
+
+    describe("Server-Sent Events push", function() {
+        beforeEach(function() {
+            sources = [];
+            window.EventSource = FakeEventSource;
+        });
+
+        afterEach(function() {
+            window.EventSource = EventSource;
+        });
+
+        it("requires the url option to be set", function() {
+            try {
+                new kendo.data.EventSourcePush({});
+                assert.fail("push source does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "url" option must be set.');
+            }
+        });
+
+        it("subscribes to the url when the data source is created", function() {
+            dataSource({ withCredentials: true });
+
+            assert.equal(sources.length, 1);
+            assert.equal(sources[0].url, "products/events");
+            assert.isOk(sources[0].options.withCredentials);
+        });
+
+        it("named events are applied through the push API", function() {
+            var ds = dataSource();
+
+            sources[0].receive("created", { id: 3, name: "baz" });
+            sources[0].receive("updated", { id: 1, name: "qux" });
+            sources[0].receive("deleted", { id: 2 });
+
+            assert.equal(ds.data().length, 2);
+            assert.equal(ds.get(1).name, "qux");
+            assert.equal(ds.get(3).name, "baz");
+            assert.isOk(!ds.hasChanges());
+        });
+
+        it("events option sets the event names", function() {
+            var ds = dataSource({ events: { create: "product-added" } });
+
+            sources[0].receive("product-added", { id: 3 });
+
+            assert.equal(ds.data().length, 3);
+            assert.isOk(!sources[0].handlers.created);
+            assert.isOk(sources[0].handlers.updated);
+        });
+
+        it("combines with remote read transport", function() {
+            var ds = new DataSource({
+                transport: {
+                    read: "products",
+                    push: { type: "sse", url: "products/events" }
+                }
+            });
+
+            assert.isOk(ds.transport instanceof kendo.data.RemoteTransport);
+            assert.isOk(ds.transport.pushSource instanceof kendo.data.EventSourcePush);
+            assert.equal(sources.length, 1);
+        });
+
+        it("closed source reconnects with the last event id", function(done) {
+            var ds = dataSource({ retry: 0 });
+
+            sources[0].receive("created", { id: 3 }, "42");
+            sources[0].fail();
+
+            setTimeout(function() {
+                assert.equal(sources.length, 2);
+                assert.equal(sources[1].url, "products/events?lastEventId=42");
+
+                sources[1].receive("created", { id: 4 });
+
+                assert.equal(ds.data().length, 4);
+                done();
+            }, 10);
+        });
+
+        it("lastEventId option resumes the stream", function() {
+            dataSource({ url: "events?topic=products", lastEventId: "7", lastEventIdParam: "Last-Event-ID" });
+
+            assert.equal(sources[0].url, "events?topic=products&Last-Event-ID=7");
+        });
+
+        it("destroying the data source stops the subscription", function(done) {
+            var ds = dataSource({ retry: 0 });
+
+            ds.destroy();
+            sources[0].fail();
+
+            setTimeout(function() {
+                assert.isOk(sources[0].closed);
+                assert.equal(sources.length, 1);
+                done();
+            }, 10);
+        });
+
+        it("destroying the data source closes the transport as well", function() {
+            var closed = 0,
+                ds = new DataSource({
+                    transport: {
+                        read: function(options) {
+                            options.success([]);
+                        },
+                        close: function() {
+                            closed++;
+                        },
+                        push: { type: "sse", url: "products/events" }
+                    }
+                });
+
+            ds.destroy();
+
+            assert.isOk(sources[0].closed);
+            assert.equal(closed, 1);
+        });
+
+        it("events which are not JSON are ignored", function() {
+            var ds = dataSource();
+
+            sources[0].handlers.created({ data: "ping", lastEventId: "" });
+
+            assert.equal(ds.data().length, 2);
+        });
+    });
+}());
@@ -0,0 +1,294 @@
+(function() {
+    var DataSource = kendo.data.DataSource,
+        sockets;
+
+    function socket() {
+        var handlers = {};
+        var result = {
+            readyState: 0,
+            sent: [],
+            send: function(message) {
+                result.sent.push(JSON.parse(message));
+            },
+            close: function() {
+                result.readyState = 3;
+                result.trigger("close");
+            },
+            addEventListener: function(name, handler) {
+                handlers[name] = handler;
+            },
+            trigger: function(name, e) {
+                handlers[name](e || {});
+            },
+            open: function() {
+                result.readyState = 1;
+                result.trigger("open");
+            },
+            receive: function(message) {
+                result.trigger("message", { data: JSON.stringify(message) });
+            }
+        };
+
+        sockets.push(result);
+
+        return result;
+    }
+
+    function WebSocketTransport(options) {
+        return new kendo.data.transports.websocket({
+            websocket: $.extend({ socket: socket }, options)
+        });
+    }
+
+    function dataSource(options) {
+        return new DataSource({
+            type: "websocket",
+            schema: {
+                model: { id: "id" }
+            },
+            transport: {
+                websocket: $.extend({ socket: socket }, options)
+            }
+        });
+    }
+
+    describe("WebSocket transport", function() {
+        beforeEach(function() {
+            sockets = [];
+        });
+
+        it("inherits from remote transport", function() {
+            assert.isOk(WebSocketTransport() instanceof kendo.data.RemoteTransport);
+        });
+
+        it("requires the url option to be set", function() {
+            try {
+                new kendo.data.transports.websocket({});
+                assert.fail("transport does not throw");
+            } catch (e) {
+                assert.equal(e.toString(), 'Error: The "url" option must be set.');
+            }
+        });
+
+        it("sends the operation with correlation id", function() {
+            var transport = WebSocketTransport();
+
+            sockets[0].open();
+            transport.read({ data: { take: 10 } });
+            transport.create({ data: { name: "foo" } });
+
+            assert.equal(sockets[0].sent.length, 2);
+            assert.deepEqual(sockets[0].sent[0], { id: "1", type: "read", data: { take: 10 } });
+            assert.deepEqual(sockets[0].sent[1], { id: "2", type: "create", data: { name: "foo" } });
+        });
+
+        it("server option sets the message types", function() {
+            var transport = WebSocketTransport({ server: { read: "products/read" } });
+
+            sockets[0].open();
+            transport.read({});
+
+            assert.equal(sockets[0].sent[0].type, "products/read");
+        });
+
+        it("sends the parameterMap result", function() {
+            var transport = new kendo.data.transports.websocket({
+                websocket: { socket: socket },
+                parameterMap: function(data, type) {
+                    return { type: type };
+                }
+            });
+
+            sockets[0].open();
+            transport.update({ data: {} });
+
+            assert.deepEqual(sockets[0].sent[0].data, { type: "update" });
+        });
+
+        it("messages are sent when the socket opens", function() {
+            var transport = WebSocketTransport();
+
+            transport.read({});
+
+            assert.equal(sockets[0].sent.length, 0);
+
+            sockets[0].open();
+
+            assert.equal(sockets[0].sent.length, 1);
+        });
+
+        it("response with matching id resolves the request", function() {
+            var transport = WebSocketTransport(),
+                first = stub({}, "success"),
+                second = stub({}, "success");
+
+            sockets[0].open();
+            transport.read(first);
+            transport.read(second);
+
+            sockets[0].receive({ id: "2", data: [{ id: 2 }] });
+
+            assert.equal(first.calls("success"), 0);
+            assert.equal(second.calls("success"), 1);
+            assert.deepEqual(second.args("success")[0], [{ id: 2 }]);
+        });
+
+        it("response with error calls options.error", function() {
+            var transport = WebSocketTransport(),
+                options = stub({}, { success: $.noop, error: $.noop });
+
+            sockets[0].open();
+            transport.destroy(options);
+            sockets[0].receive({ id: "1", error: "Not found" });
+
+            assert.equal(options.calls("success"), 0);
+            assert.equal(options.args("error")[2], "Not found");
+        });
+
+        it("data source reads and syncs through the socket", function() {
+            var ds = dataSource();
+
+            sockets[0].open();
+            ds.read();
+            sockets[0].receive({ id: "1", data: [{ id: 1, name: "foo" }] });
+
+            ds.add({ name: "bar" });
+            ds.sync();
+            sockets[0].receive({ id: "2", data: [{ id: 2, name: "bar" }] });
+
+            assert.equal(ds.data().length, 2);
+            assert.equal(ds.at(1).id, 2);
+            assert.isOk(!ds.hasChanges());
+        });
+
+        it("unsolicited messages are pushed to the data source", function() {
+            var ds = dataSource();
+
+            sockets[0].open();
+            ds.read();
+            sockets[0].receive({ id: "1", data: [{ id: 1, name: "foo" }, { id: 2, name: "bar" }] });
+
+            sockets[0].receive({ type: "create", data: { id: 3, name: "baz" } });
+            sockets[0].receive({ type: "update", data: { id: 1, name: "qux" } });
+            sockets[0].receive({ type: "destroy", data: { id: 2 } });
+
+            assert.equal(ds.data().length, 2);
+            assert.equal(ds.get(1).name, "qux");
+            assert.equal(ds.get(3).name, "baz");
+            assert.isOk(!ds.hasChanges());
+        });
+
+        it("client option sets the pushed message types", function() {
+            var ds = dataSource({ client: { create: "created" } });
+
+            sockets[0].open();
+            ds.read();
+            sockets[0].receive({ id: "1", data: [] });
+
+            sockets[0].receive({ type: "create", data: { id: 1 } });
+            sockets[0].receive({ type: "created", data: { id: 2 } });
+
+            assert.equal(ds.data().length, 1);
+            assert.equal(ds.at(0).id, 2);
+        });
+
+        it("messages which are not JSON are ignored", function() {
+            WebSocketTransport();
+
+            sockets[0].open();
+            sockets[0].trigger("message", { data: "ping" });
+        });
+
+        it("close fails the pending requests", function() {
+            var transport = WebSocketTransport({ reconnect: false }),
+                options = stub({}, "error");
+
+            sockets[0].open();
+            transport.read(options);
+            sockets[0].close();
+
+            assert.equal(options.calls("error"), 1);
+        });
+
+        it("reconnects with growing delay", function(done) {
+            WebSocketTransport({ reconnect: { delay: 5, factor: 4 } });
+
+            sockets[0].close();
+
+            setTimeout(function() {
+                assert.equal(sockets.length, 2);
+
+                sockets[1].close();
+
+                setTimeout(function() {
+                    assert.equal(sockets.length, 2);
+
+                    setTimeout(function() {
+                        assert.equal(sockets.length, 3);
+                        done();
+                    }, 40);
+                }, 5);
+            }, 20);
+        });
+
+        it("data source is read again after the reconnect", function(done) {
+            var ds = dataSource({ reconnect: { delay: 0 } });
+
+            sockets[0].open();
+            ds.read();
+            sockets[0].receive({ id: "1", data: [{ id: 1 }] });
+            sockets[0].close();
+
+            setTimeout(function() {
+                sockets[1].open();
+
+                assert.equal(sockets[1].sent.length, 1);
+                assert.equal(sockets[1].sent[0].type, "read");
+
+                sockets[1].receive({ id: sockets[1].sent[0].id, data: [{ id: 1 }, { id: 2 }] });
+
+                assert.equal(ds.data().length, 2);
+                done();
+            }, 10);
+        });
+
+        it("destroying the data source closes the socket", function() {
+            var ds = dataSource(),
+                errors = 0;
+
+            sockets[0].open();
+            ds.read();
+
+            ds.bind("error", function() {
+                errors++;
+            });
+
+            ds.destroy();
+
+            assert.equal(sockets[0].readyState, 3);
+            assert.equal(errors, 0);
+        });
+
+        it("requests of a closed transport fail", function() {
+            var transport = WebSocketTransport(),
+                options = stub({}, "error");
+
+            transport.close();
+            transport.read(options);
+
+            assert.equal(options.calls("error"), 1);
+            assert.equal(sockets[0].sent.length, 0);
+        });
+
+        it("close stops reconnecting", function(done) {
+            var transport = WebSocketTransport({ reconnect: { delay: 0 } });
+
+            transport.close();
+
+            setTimeout(function() {
+                assert.equal(sockets.length, 1);
+                done();
+            }, 10);
+        });
+    });
+}());
@@ -360,6 +360,22 @@
             assert.equal(model.id, "bar");
         });
 
+        it("model accepts the value of attribute id", function() {
+            var reader = new XmlDataReader({
+                model: {
+                    id: "@id"
+                },
+                data: "/root/foo"
+            });
+
+            var model = new reader.model(reader.data(reader.parse('<root><foo id="bar" /></root>'))[0]);
+
+            model.accept({ "@id": "baz" });
+
+            assert.equal(model.id, "baz");
+            assert.equal(model["@id"], "baz");
+        });
+
         it("model id is field from the processed data", function() {
             var reader = new XmlDataReader({
                 model: {
@@ -513,5 +529,186 @@
             assert.isOk(!result[""]);
         });
 
+        function productReader(options) {
+            return new XmlDataReader($.extend({
+                serialize: "xml",
+                data: "/products/product",
+                model: {
+                    id: "@id",
+                    fields: {
+                        name: "name/text()",
+                        price: { field: "price/text()", type: "number" },
+                        category: "category/@code",
+                        discontinued: { field: "@discontinued", type: "boolean" }
+                    }
+                }
+            }, options));
+        }
+
+        it("serialize writes the fields to their XPath", function() {
+            var reader = productReader();
+
+            var result = reader.serialize([{ "@id": "1", name: "Chai", price: 18, category: "BEV", discontinued: false }]);
+
+            assert.deepEqual(result, [{
+                product: {
+                    "@id": "1",
+                    name: { "#text": "Chai" },
+                    price: { "#text": 18 },
+                    category: { "@code": "BEV" },
+                    "@discontinued": false
+                }
+            }]);
+        });
+
+        it("serialize skips null values", function() {
+            var reader = productReader();
+
+            var result = reader.serialize([{ name: "Chai", price: null }]);
+
+            assert.deepEqual(result[0].product, { name: { "#text": "Chai" } });
+        });
+
+        it("serialize returns the data unless it is serialized as xml", function() {
+            var reader = productReader({ serialize: null }),
+                data = [{ "@id": "1", name: "Chai" }];
+
+            assert.equal(reader.serialize(data), data);
+        });
+
+        it("serialize returns the data without model", function() {
+            var reader = new XmlDataReader({ data: "/foo/bar" }),
+                data = [{ bar: 1 }];
+
+            assert.equal(reader.serialize(data), data);
+        });
+
+        it("serialized models round-trip through the reader", function() {
+            var reader = productReader(),
+                record = { "@id": "1", name: "Chai & Co <1>", price: 18.5, category: "BEV", discontinued: true };
+
+            var xml = XmlDataReader.stringify({ products: reader.serialize([record]) });
+            var result = reader.data(reader.parse(xml));
+
+            assert.equal(result.length, 1);
+            assert.equal(result[0].name, "Chai & Co <1>");
+            assert.strictEqual(result[0].price, 18.5);
+            assert.equal(result[0].category, "BEV");
+            assert.strictEqual(result[0].discontinued, true);
+            assert.equal(result[0]["@id"], "1");
+        });
+
+        it("stringify writes attributes, text and repeated elements", function() {
+            var xml = XmlDataReader.stringify({
+                list: {
+                    "@name": 'a"b',
+                    item: [{ "#text": "1" }, { "#text": "2" }],
+                    empty: {}
+                }
+            });
+
+            assert.equal(xml, '<list name="a&quot;b"><item>1</item><item>2</item><empty /></list>');
+        });
+
+        it("stringify writes dates in sortable format", function() {
+            var xml = XmlDataReader.stringify({ date: { "#text": new Date(2020, 0, 2, 3, 4, 5) } });
+
+            assert.equal(xml, "<date>2020-01-02T03:04:05</date>");
+        });
+
+        describe("XML sync", function() {
+            var body;
+
+            function dataSource(options) {
+                return new kendo.data.DataSource($.extend(true, {
+                    transport: {
+                        read: "products",
+                        update: { url: "products/update", type: "POST", contentType: "text/xml" }
+                    },
+                    schema: {
+                        type: "xml",
+                        data: "/products/product",
+                        model: {
+                            id: "@id",
+                            fields: {
+                                name: "name/text()"
+                            }
+                        }
+                    }
+                }, options));
+            }
+
+            beforeEach(function() {
+                body = null;
+
+                $.mockjaxSettings.responseTime = 0;
+
+                $.mockjax({
+                    url: "products",
+                    contentType: "text/xml",
+                    responseText: '<products><product id="1"><name>Chai</name></product><product id="2"><name>Chang</name></product></products>'
+                });
+
+                $.mockjax({
+                    url: "products/update",
+                    contentType: "text/plain",
+                    response: function(settings) {
+                        body = settings;
+                        this.responseText = "";
+                    }
+                });
+            });
+
+            afterEach(function() {
+                $.mockjax.clear();
+            });
+
+            it("posts the updated model as XML", function(done) {
+                var ds = dataSource();
+
+                ds.read().then(function() {
+                    ds.get("1").set("name", "Tea");
+
+                    ds.sync().then(function() {
+                        assert.equal(body.data, '<product id="1"><name>Tea</name></product>');
+                        assert.equal(body.contentType, "text/xml");
+                        assert.isOk(!body.processData);
+                        done();
+                    });
+                });
+            });
+
+            it("posts the updated model unchanged without xml content type", function(done) {
+                var ds = dataSource({
+                    transport: {
+                        update: { contentType: "application/x-www-form-urlencoded; charset=UTF-8" }
+                    }
+                });
+
+                ds.read().then(function() {
+                    ds.get("1").set("name", "Tea");
+
+                    ds.sync().then(function() {
+                        assert.deepEqual(body.data, { "@id": "1", name: "Tea" });
+                        done();
+                    });
+                });
+            });
+
+            it("posts the batch as children of the models element", function(done) {
+                var ds = dataSource({ batch: true });
+
+                ds.read().then(function() {
+                    ds.get("1").set("name", "Tea");
+                    ds.get("2").set("name", "Coffee");
+
+                    ds.sync().then(function() {
+                        assert.equal(body.data, '<models><product id="1"><name>Tea</name></product><product id="2"><name>Coffee</name></product></models>');
+                        done();
+                    });
+                });
+            });
+        });
+
     });
 }());
@@ -530,6 +530,174 @@
 
             assert.isOk(editable.end());
         });
+
+        it("equalto model field validation is validated again when the referenced field changes", function() {
+            var MyModel = Model.define({
+                fields: {
+                    password: "password",
+                    confirm: {
+                        validation: {
+                            equalto: "password"
+                        }
+                    }
+                }
+            }),
+                model = new MyModel({ password: "foo", confirm: "foo" }),
+                editable = new Editable(div, { fields: ["password", "confirm"], model: model });
+
+            assert.isOk(editable.end());
+
+            div.find("[name=password]").val("bar").trigger("change");
+
+            assert.equal(model.password, "bar");
+            assert.isOk(div.find("[name=confirm]").hasClass("k-invalid"));
+        });
+
+        it("validationSummary option is passed to the validator", function() {
+            var MyModel = Model.define({
+                fields: {
+                    foo: {
+                        validation: {
+                            required: true
+                        }
+                    }
+                }
+            }),
+                model = new MyModel(),
+                editable = new Editable(div, { fields: "foo", model: model, validationSummary: true });
+
+            editable.end();
+
+            assert.isOk(editable.validatable.validationSummary.hasClass("k-validation-summary"));
+            assert.equal(editable.validatable.validationSummary.find("li").length, 1);
+        });
+
+        it("async model field validation rule shows message when it fails", function() {
+            var deferred = $.Deferred(),
+                MyModel = Model.define({
+                    fields: {
+                        foo: {
+                            validation: {
+                                unique: function() {
+                                    return deferred.promise();
+                                }
+                            }
+                        }
+                    }
+                }),
+                model = new MyModel({ foo: "bar" }),
+                editable = new Editable(div, { fields: "foo", model: model }),
+                input = div.find(":input");
+
+            input.val("baz").trigger("change");
+
+            assert.isOk(input.hasClass("k-validating"));
+
+            deferred.resolve(false);
+
+            assert.equal(model.foo, "bar");
+            assert.isOk(input.hasClass("k-invalid"));
+            assert.equal(editable.validatable.errors().length, 1);
+        });
+
+        it("model field with async validation rule is set after the rule passes", function() {
+            var deferred = $.Deferred(),
+                MyModel = Model.define({
+                    fields: {
+                        foo: {
+                            validation: {
+                                unique: function() {
+                                    return deferred.promise();
+                                }
+                            }
+                        }
+                    }
+                }),
+                model = new MyModel({ foo: "bar" }),
+                editable = new Editable(div, { fields: "foo", model: model }),
+                input = div.find(":input");
+
+            input.val("baz").trigger("change");
+
+            assert.equal(model.foo, "bar");
+
+            deferred.resolve(true);
+
+            assert.equal(model.foo, "baz");
+            assert.isOk(input.hasClass("k-valid"));
+            assert.equal(editable.validatable.errors().length, 0);
+        });
+
+        it("model field is not set to a value superseded while async validation rule is running", function() {
+            var deferreds = [],
+                MyModel = Model.define({
+                    fields: {
+                        foo: {
+                            validation: {
+                                unique: function() {
+                                    deferreds.push($.Deferred());
+                                    return deferreds[deferreds.length - 1].promise();
+                                }
+                            }
+                        }
+                    }
+                }),
+                model = new MyModel({ foo: "bar" }),
+                editable = new Editable(div, { fields: "foo", model: model }),
+                input = div.find(":input");
+
+            input.val("baz").trigger("change");
+            input.val("qux").trigger("change");
+
+            deferreds[0].resolve(true);
+            deferreds[1].resolve(true);
+
+            assert.equal(model.foo, "qux");
+        });
+
+        it("end method returns false while model field async validation rule is running", function() {
+            var MyModel = Model.define({
+                    fields: {
+                        foo: {
+                            validation: {
+                                unique: function() {
+                                    return $.Deferred().promise();
+                                }
+                            }
+                        }
+                    }
+                }),
+                model = new MyModel({ foo: "bar" }),
+                editable = new Editable(div, { fields: "foo", model: model });
+
+            assert.isOk(editable.end() === false);
+        });
+
+        it("validateAsync of the validatable resolves when model field has async validation rule", function() {
+            var deferred = $.Deferred(),
+                MyModel = Model.define({
+                    fields: {
+                        foo: {
+                            validation: {
+                                unique: function() {
+                                    return deferred.promise();
+                                }
+                            }
+                        }
+                    }
+                }),
+                model = new MyModel({ foo: "bar" }),
+                editable = new Editable(div, { fields: "foo", model: model }),
+                valid;
+
+            editable.validatable.validateAsync().done(function(e) {
+                valid = e;
+            });
+
+            deferred.resolve(true);
+
+            assert.isOk(valid);
+        });
     });
 
     (function() {
@@ -750,6 +918,22 @@
                 assert.equal(input.val(), "1");
             })
 
+            it("changing model field without bound editor sets the value", function() {
+                var MyModel = Model.define({
+                    fields: {
+                        foo: { type: "string" },
+                        bar: { type: "string" }
+                    }
+                }),
+                    model = new MyModel({ foo: "foo", bar: "bar" }),
+                    editable = new Editable(div, { fields: "foo", model: model });
+
+                model.set("bar", "baz");
+
+                assert.equal(model.bar, "baz");
+                assert.isOk(editable.validatable.validate());
+            });
+
         });
     }());
 }());
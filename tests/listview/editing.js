@@ -244,6 +244,41 @@
             listView.save();
         });
 
+        it("save waits for async validation rules", function() {
+            var deferred = $.Deferred(),
+                listView = setup({ editTemplate: '<li><input name="foo" data-bind="value:foo"/></li>' }),
+                editable;
+
+            listView.edit(listView.element.children().eq(0));
+            editable = listView.editable;
+            editable.validatable.options.rules.unique = function() {
+                return deferred.promise();
+            };
+
+            listView.save();
+
+            assert.isOk(listView.editable);
+
+            deferred.resolve(true);
+
+            assert.isOk(!listView.editable);
+        });
+
+        it("save does not close edited item if async validation fails", function() {
+            var deferred = $.Deferred(),
+                listView = setup({ editTemplate: '<li><input name="foo" data-bind="value:foo"/></li>' });
+
+            listView.edit(listView.element.children().eq(0));
+            listView.editable.validatable.options.rules.unique = function() {
+                return deferred.promise();
+            };
+
+            listView.save();
+            deferred.resolve(false);
+
+            assert.isOk(listView.element.children().eq(0).data("kendoEditable"));
+        });
+
         it("save calls DataSource sync", function() {
             var listView = setup({ editTemplate: '<li><input data-value="foo"/></li>' }),
                 sync = stub(dataSource, "sync");
@@ -62,6 +62,29 @@
             assert.equal(ul.find("li").length, 5);
         });
 
+        it("renders the items of a streamed response as they arrive", function() {
+            var read;
+            var ul = setup({
+                dataSource: {
+                    transport: {
+                        read: function(options) {
+                            read = options;
+                        }
+                    }
+                }
+            });
+
+            read.progress([1, 2]);
+            assert.equal(ul.find("li").length, 2);
+            assert.equal(ul.find(".k-loading-mask").length, 0);
+
+            read.progress([3]);
+            assert.equal(ul.find("li").length, 3);
+
+            read.success([1, 2, 3, 4]);
+            assert.equal(ul.find("li").length, 4);
+        });
+
         it("options as array is used for dataSource", function() {
             var div = $("<div></div>").appendTo(Mocha.fixture).kendoListView([1, 2, 3]),
                 dataSource = div.data("kendoListView").dataSource.data();
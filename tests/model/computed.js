@@ -0,0 +1,224 @@
+(function() {
+
+    var Model;
+    var calls;
+
+    describe("kendo.data.Model computed fields", function() {
+        beforeEach(function() {
+            calls = 0;
+
+            Model = kendo.data.Model.define({
+                id: "id",
+                fields: {
+                    price: { type: "number" },
+                    quantity: { type: "number" },
+                    name: { type: "string" },
+                    total: {
+                        computed: function() {
+                            calls++;
+                            return this.get("price") * this.get("quantity");
+                        }
+                    }
+                }
+            });
+        });
+
+        it("computed field is calculated on initialization", function() {
+            var m = new Model({ price: 2, quantity: 3 });
+
+            assert.equal(m.total, 6);
+            assert.equal(m.get("total"), 6);
+        });
+
+        it("computed field is recalculated when a dependency changes", function() {
+            var m = new Model({ price: 2, quantity: 3 });
+
+            m.set("quantity", 4);
+
+            assert.equal(m.get("total"), 8);
+        });
+
+        it("computed field is cached", function() {
+            var m = new Model({ price: 2, quantity: 3 });
+
+            calls = 0;
+
+            m.get("total");
+            m.get("total");
+            m.set("name", "foo");
+
+            assert.equal(calls, 0);
+        });
+
+        it("change is raised for computed field after its dependency changes", function() {
+            var m = new Model({ price: 2, quantity: 3 });
+            var fields = [];
+
+            m.bind("change", function(e) {
+                fields.push(e.field);
+            });
+
+            m.set("price", 3);
+
+            assert.deepEqual(fields, ["price", "total"]);
+        });
+
+        it("change is not raised if the computed value is the same", function() {
+            var m = new Model({ price: 0, quantity: 3 });
+            var fields = [];
+
+            m.bind("change", function(e) {
+                fields.push(e.field);
+            });
+
+            m.set("quantity", 4);
+
+            assert.deepEqual(fields, ["quantity"]);
+        });
+
+        it("computed value is up to date in the change handler of the dependency", function() {
+            var m = new Model({ price: 2, quantity: 3 });
+            var total;
+
+            m.bind("change", function(e) {
+                if (e.field === "price") {
+                    total = this.get("total");
+                }
+            });
+
+            m.set("price", 3);
+
+            assert.equal(total, 9);
+        });
+
+        it("computed field can depend on other computed field", function() {
+            var Order = Model.define({
+                fields: {
+                    price: { type: "number" },
+                    quantity: { type: "number" },
+                    total: {
+                        computed: function() {
+                            return this.get("price") * this.get("quantity");
+                        }
+                    },
+                    label: {
+                        computed: function() {
+                            return "Total: " + this.get("total");
+                        }
+                    }
+                }
+            });
+
+            var m = new Order({ price: 2, quantity: 3 });
+
+            m.set("price", 3);
+
+            assert.equal(m.label, "Total: 9");
+        });
+
+        it("computed field tracks nested dependencies", function() {
+            var Person = kendo.data.Model.define({
+                fields: {
+                    address: { defaultValue: { city: "" } },
+                    city: {
+                        computed: function() {
+                            return this.get("address.city").toUpperCase();
+                        }
+                    }
+                }
+            });
+
+            var m = new Person({ address: { city: "foo" } });
+
+            m.get("address").set("city", "bar");
+            assert.equal(m.city, "BAR");
+
+            m.set("address", { city: "baz" });
+            assert.equal(m.city, "BAZ");
+        });
+
+        it("computed field cannot be set", function() {
+            var m = new Model({ price: 2, quantity: 3 });
+
+            m.set("total", 10);
+
+            assert.equal(m.total, 6);
+            assert.isOk(!m.dirty);
+        });
+
+        it("computed field change does not make the model dirty", function() {
+            var m = new Model({ id: 1, price: 2, quantity: 3 });
+
+            m.accept({ price: 5 });
+
+            assert.equal(m.total, 15);
+            assert.isOk(!m.dirty);
+        });
+
+        it("computed field is excluded from toJSON", function() {
+            var json = new Model({ id: 1, price: 2, quantity: 3 }).toJSON();
+
+            assert.isOk(!json.hasOwnProperty("total"));
+            assert.isOk(!json.hasOwnProperty("_dependencies"));
+            assert.equal(json.price, 2);
+        });
+
+        it("computed field is serialized if serializable is set", function() {
+            var Order = kendo.data.Model.define({
+                fields: {
+                    price: { type: "number" },
+                    total: {
+                        serializable: true,
+                        computed: function() {
+                            return this.get("price") * 2;
+                        }
+                    }
+                }
+            });
+
+            assert.equal(new Order({ price: 2 }).toJSON().total, 4);
+        });
+
+        it("computed field ignores the value of the data", function() {
+            var m = new Model({ price: 2, quantity: 3, total: 100 });
+
+            assert.equal(m.total, 6);
+        });
+
+        it("data source raises itemchange for computed field", function() {
+            var dataSource = new kendo.data.DataSource({
+                data: [{ id: 1, price: 2, quantity: 3 }],
+                schema: {
+                    model: Model
+                }
+            });
+            var fields = [];
+
+            dataSource.read();
+
+            dataSource.bind("change", function(e) {
+                fields.push(e.field);
+            });
+
+            dataSource.get(1).set("price", 3);
+
+            assert.deepEqual(fields, ["price", "total"]);
+            assert.equal(dataSource.get(1).total, 9);
+        });
+
+        it("define does not modify the shared field descriptors", function() {
+            var total = {
+                computed: function() {
+                    return this.get("price") * 2;
+                }
+            };
+            var fields = { price: { type: "number" }, total: total };
+
+            var Order = kendo.data.Model.define({ fields: fields });
+
+            assert.isOk(total.editable === undefined);
+            assert.equal(fields.total, total);
+            assert.isOk(!Order.fn.editable("total"));
+        });
+    });
+}());
@@ -146,6 +146,17 @@
             assert.isOk(!("undefined" in model));
         });
 
+        it("define sets the version field", function() {
+            var MyModel = Model.define({
+                id: "id",
+                version: "rowVersion"
+            });
+            var model = new MyModel({ id: 1, rowVersion: "1" });
+
+            assert.equal(model.versionField, "rowVersion");
+            assert.isOk(!("version" in model));
+        });
+
         it("define assigns field validation rules", function() {
             var MyModel = Model.define({
                 fields: {
@@ -85,6 +85,32 @@
             viewModel.set("foo", "baz");
         });
 
+        it("change event arguments provide the previous value of the field", function() {
+            var viewModel = kendo.observable({ foo: { bar: "bar" } });
+            var previous;
+
+            viewModel.bind("change", function(e) {
+                previous = e.previous;
+            });
+
+            viewModel.get("foo").set("bar", "baz");
+
+            assert.equal(previous, "bar");
+        });
+
+        it("change event of nested array does not provide previous value", function() {
+            var viewModel = kendo.observable({ foo: [{ bar: "bar" }] });
+            var hasPrevious;
+
+            viewModel.bind("change", function(e) {
+                hasPrevious = "previous" in e;
+            });
+
+            viewModel.foo[0].set("bar", "baz");
+
+            assert.isOk(!hasPrevious);
+        });
+
         it("setting nested fields", function() {
             var viewModel = kendo.observable({ foo: { bar: "bar" } });
 
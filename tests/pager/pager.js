@@ -823,5 +823,90 @@
 
             assert.equal(pager.find(".k-pager-numbers .k-state-selected").length, 1);
         });
+
+        function cursorSetup(options) {
+            var pages = {
+                a: { items: [1, 2], next: "b", prev: null },
+                b: { items: [3], next: null, prev: "a" }
+            };
+
+            return setup({
+                data: null,
+                page: null,
+                pageSize: 2,
+                cursorPaging: true,
+                transport: {
+                    read: function(options) {
+                        options.success(pages[options.data.cursor || "a"]);
+                    }
+                },
+                schema: {
+                    data: "items",
+                    next: "next",
+                    prev: "prev"
+                }
+            }, $.extend({ previousNext: true }, options));
+        }
+
+        it("cursor paging renders previous, next and load more buttons only", function() {
+            var element = cursorSetup();
+
+            assert.equal(element.find(".k-i-arrow-60-left").length, 1);
+            assert.equal(element.find(".k-i-arrow-60-right").length, 1);
+            assert.equal(element.find(".k-pager-load-more").length, 1);
+            assert.equal(element.find(".k-pager-first, .k-pager-last, .k-pager-numbers").length, 0);
+        });
+
+        it("cursor paging does not render load more button if disabled", function() {
+            var element = cursorSetup({ loadMore: false });
+
+            assert.equal(element.find(".k-pager-load-more").length, 0);
+        });
+
+        it("cursor paging disables the buttons without cursor", function() {
+            var element = cursorSetup();
+
+            dataSource.read();
+
+            assert.isOk(element.find(".k-i-arrow-60-left").parent().hasClass("k-state-disabled"));
+            assert.isOk(!element.find(".k-i-arrow-60-right").parent().hasClass("k-state-disabled"));
+
+            dataSource.next();
+
+            assert.isOk(!element.find(".k-i-arrow-60-left").parent().hasClass("k-state-disabled"));
+            assert.isOk(element.find(".k-i-arrow-60-right").parent().hasClass("k-state-disabled"));
+            assert.isOk(element.find(".k-pager-load-more").is(":disabled"));
+        });
+
+        it("cursor paging info displays the loaded items", function() {
+            var element = cursorSetup();
+
+            dataSource.read();
+
+            assert.equal(element.find(".k-pager-info").text(), "2 items");
+        });
+
+        it("clicking next and previous navigates the cursor pages", function() {
+            var element = cursorSetup();
+
+            dataSource.read();
+
+            element.find(".k-i-arrow-60-right").parent().click();
+            assert.equal(dataSource.view()[0], 3);
+
+            element.find(".k-i-arrow-60-left").parent().click();
+            assert.equal(dataSource.view()[0], 1);
+        });
+
+        it("clicking load more appends the next page", function() {
+            var element = cursorSetup();
+
+            dataSource.read();
+
+            element.find(".k-pager-load-more").click();
+
+            assert.equal(dataSource.view().length, 3);
+            assert.equal(element.find(".k-pager-info").text(), "3 items");
+        });
     });
 }());
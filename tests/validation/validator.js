@@ -1675,5 +1675,718 @@
 
             validator.validate();
         });
+
+        it("validateInput returns false while an async rule is running", function() {
+            var deferred = $.Deferred(),
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return deferred.promise();
+                        }
+                    }
+                });
+
+            assert.isOk(validator.validateInput(input) === false);
+            assert.equal(validator.errors().length, 0);
+        });
+
+        it("validateInput uses the result of the async rule for the same value", function() {
+            var calls = 0,
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            calls++;
+                            return $.Deferred().resolve(true).promise();
+                        }
+                    }
+                });
+
+            validator.validateInput(input);
+
+            assert.isOk(validator.validateInput(input) === true);
+            assert.equal(calls, 1);
+
+            input.val("bar");
+            validator.validateInput(input);
+
+            assert.equal(calls, 2);
+        });
+
+        it("validateInputAsync returns a promise if a rule returns a promise", function() {
+            var deferred = $.Deferred(),
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return deferred.promise();
+                        }
+                    }
+                }),
+                result = validator.validateInputAsync(input),
+                valid;
+
+            result.done(function(e) {
+                valid = e;
+            });
+
+            assert.isOk(valid === undefined);
+
+            deferred.resolve(true);
+
+            assert.isOk(valid);
+        });
+
+        it("validateInput shows the message of the failed async rule", function() {
+            var deferred = $.Deferred(),
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return deferred.promise();
+                        }
+                    },
+                    messages: {
+                        remote: "{0} is taken"
+                    }
+                });
+
+            validator.validateInput(input);
+
+            assert.equal(validator.errors().length, 0);
+
+            deferred.resolve(false);
+
+            assert.equal(validator.errors()[0], "foo is taken");
+            assert.isOk(input.hasClass("k-invalid"));
+            assert.equal(input.attr("aria-invalid"), "true");
+        });
+
+        it("rejected async rule marks the input invalid", function() {
+            var deferred = $.Deferred(),
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return deferred.promise();
+                        }
+                    }
+                }),
+                valid;
+
+            validator.validateInputAsync(input).done(function(e) {
+                valid = e;
+            });
+
+            deferred.reject();
+
+            assert.isOk(valid === false);
+            assert.isOk(input.hasClass("k-invalid"));
+        });
+
+        it("failed sync rule does not wait for async rules", function() {
+            var input = $('<input type="text" name="foo" required />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return $.Deferred().promise();
+                        }
+                    }
+                });
+
+            assert.isOk(validator.validateInput(input) === false);
+            assert.isOk(!input.hasClass("k-validating"));
+        });
+
+        it("input has pending class while async rule is running", function() {
+            var deferred = $.Deferred(),
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return deferred.promise();
+                        }
+                    }
+                });
+
+            validator.validateInput(input);
+
+            assert.isOk(input.hasClass("k-validating"));
+            assert.equal(input.attr("aria-busy"), "true");
+
+            deferred.resolve(true);
+
+            assert.isOk(!input.hasClass("k-validating"));
+            assert.isOk(!input.attr("aria-busy"));
+            assert.isOk(input.hasClass("k-valid"));
+        });
+
+        it("validating event is triggered when async rule starts", function() {
+            var input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return $.Deferred().promise();
+                        }
+                    }
+                }),
+                calls = 0;
+
+            validator.bind("validating", function(e) {
+                calls++;
+                assert.equal(e.input[0], input[0]);
+            });
+
+            validator.validateInput(input);
+
+            assert.equal(calls, 1);
+        });
+
+        it("validating event is not triggered for sync rules", function() {
+            var input = $('<input type="text" name="foo" required />'),
+                validator = setup(input);
+
+            validator.bind("validating", function() {
+                assert.isOk(false);
+            });
+
+            validator.validateInput(input);
+        });
+
+        it("validateInput ignores the result of a stale async check", function() {
+            var deferreds = [],
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            deferreds.push($.Deferred());
+                            return deferreds[deferreds.length - 1].promise();
+                        }
+                    }
+                }),
+                first,
+                second;
+
+            validator.validateInputAsync(input).done(function(valid) {
+                first = valid;
+            });
+
+            input.val("bar");
+
+            validator.validateInputAsync(input).done(function(valid) {
+                second = valid;
+            });
+
+            deferreds[0].resolve(false);
+
+            assert.isOk(first === undefined);
+            assert.isOk(input.hasClass("k-validating"));
+            assert.equal(validator.errors().length, 0);
+
+            deferreds[1].resolve(true);
+
+            assert.isOk(first);
+            assert.isOk(second);
+            assert.isOk(input.hasClass("k-valid"));
+        });
+
+        it("validateInput aborts the request of a stale async check", function() {
+            var deferred = $.Deferred(),
+                promise = deferred.promise(),
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return promise;
+                        }
+                    }
+                }),
+                calls = 0;
+
+            promise.abort = function() {
+                calls++;
+            };
+
+            validator.validateInput(input);
+            input.val("bar");
+            validator.validateInput(input);
+
+            assert.equal(calls, 1);
+        });
+
+        it("validateInput does not restart the check of the same value", function() {
+            var calls = 0,
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            calls++;
+                            return $.Deferred().promise();
+                        }
+                    }
+                });
+
+            validator.validateInput(input);
+            validator.validateInput(input);
+
+            assert.equal(calls, 1);
+        });
+
+        it("validate returns false while async rules are running", function() {
+            var input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return $.Deferred().promise();
+                        }
+                    }
+                });
+
+            assert.isOk(validator.validate() === false);
+        });
+
+        it("validateAsync returns a promise resolved when all async rules complete", function() {
+            var deferred = $.Deferred(),
+                valid,
+                event,
+                validator;
+
+            container.append($('<input type="text" name="foo" /><input type="text" name="bar" required />'));
+
+            validator = setup(container, {
+                rules: {
+                    remote: function(input) {
+                        if (input.is("[name=foo]")) {
+                            return deferred.promise();
+                        }
+                        return true;
+                    }
+                },
+                validate: function(e) {
+                    event = e;
+                }
+            });
+
+            validator.validateAsync().done(function(e) {
+                valid = e;
+            });
+
+            assert.isOk(event.valid === false);
+            event = null;
+
+            deferred.resolve(true);
+
+            assert.isOk(valid === false);
+            assert.isOk(event.valid === false);
+            assert.equal(validator.errors().length, 1);
+        });
+
+        it("pending returns true while an async rule is running", function() {
+            var deferred = $.Deferred(),
+                validator;
+
+            container.append($('<input type="text" name="foo" />'));
+
+            validator = setup(container, {
+                rules: {
+                    remote: function() {
+                        return deferred.promise();
+                    }
+                }
+            });
+
+            assert.isOk(!validator.pending());
+
+            validator.validate();
+
+            assert.isOk(validator.pending());
+
+            deferred.resolve(true);
+
+            assert.isOk(!validator.pending());
+        });
+
+        it("validateAsync triggers change once when async rule fails", function() {
+            var deferred = $.Deferred(),
+                input = $('<input type="text" name="foo" />'),
+                validator = setup(input, {
+                    rules: {
+                        remote: function() {
+                            return deferred.promise();
+                        }
+                    }
+                }),
+                calls = 0;
+
+            validator.validateAsync();
+            deferred.resolve(true);
+
+            validator.bind("change", function() {
+                calls++;
+            });
+
+            deferred = $.Deferred();
+            input.val("bar");
+            validator.validateAsync();
+            deferred.resolve(false);
+
+            assert.equal(calls, 1);
+            assert.isOk(!validator.value());
+        });
+
+        it("submit is prevented until async rules pass", function() {
+            var deferred = $.Deferred(),
+                form = $("<form><input type=\"text\" name=\"foo\" /></form>").appendTo(Mocha.fixture),
+                validator = setup(form, {
+                    rules: {
+                        remote: function() {
+                            return deferred.promise();
+                        }
+                    }
+                }),
+                calls = 0;
+
+            form.on("submit", function(e) {
+                calls++;
+                e.preventDefault();
+            });
+
+            form.submit();
+
+            assert.equal(calls, 0);
+
+            deferred.resolve(true);
+
+            assert.equal(calls, 1);
+        });
+
+        it("invalid input is described by its error message", function() {
+            var input = $('<input type="text" name="foo" required aria-describedby="hint" />'),
+                validator = setup(input);
+
+            validator.validate();
+
+            var message = input.next(".k-invalid-msg");
+
+            assert.isOk(message.attr("id"));
+            assert.equal(input.attr("aria-describedby"), "hint " + message.attr("id"));
+        });
+
+        it("error message is removed from aria-describedby when input becomes valid", function() {
+            var input = $('<input type="text" name="foo" required aria-describedby="hint" />'),
+                validator = setup(input);
+
+            validator.validate();
+            input.val("bar");
+            validator.validate();
+
+            assert.equal(input.attr("aria-describedby"), "hint");
+        });
+
+        it("aria-describedby is removed if it describes only the error message", function() {
+            var input = $('<input type="text" name="foo" required />'),
+                validator = setup(input);
+
+            validator.validate();
+            input.val("bar");
+            validator.validate();
+
+            assert.isOk(!input.attr("aria-describedby"));
+        });
+
+        it("existing message container id is used for aria-describedby", function() {
+            container.append($('<input type="text" name="foo" required /><span class="k-invalid-msg" data-kendo-for="foo" id="fooError"></span>'));
+            var validator = setup(container);
+
+            validator.validate();
+
+            assert.equal(container.find("input").attr("aria-describedby"), "fooError");
+        });
+
+        it("validation summary is not rendered by default", function() {
+            container.append($('<input type="text" name="foo" required />'));
+            var validator = setup(container);
+
+            validator.validate();
+
+            assert.isOk(!validator.validationSummary);
+            assert.equal(Mocha.fixture.find(".k-validation-summary").length, 0);
+        });
+
+        it("validate renders the validation summary before the element", function() {
+            container.append($('<input type="text" name="foo" required /><input type="text" name="bar" required />'));
+            var validator = setup(container, { validationSummary: true });
+
+            validator.validate();
+
+            var summary = container.prev();
+
+            assert.isOk(summary.hasClass("k-validation-summary"));
+            assert.equal(summary.attr("role"), "alert");
+            assert.equal(summary.find("li").length, 2);
+            assert.equal(summary.find("a").first().attr("data-field"), "foo");
+            assert.equal(summary.find("a").first().text(), "foo is required");
+        });
+
+        it("validation summary is rendered in the specified container", function() {
+            var summary = $("<div/>").appendTo(Mocha.fixture);
+
+            container.append($('<input type="text" name="foo" required />'));
+            var validator = setup(container, { validationSummary: { container: summary } });
+
+            validator.validate();
+
+            assert.equal(validator.validationSummary[0], summary[0]);
+            assert.isOk(summary.hasClass("k-validation-summary"));
+            assert.equal(summary.find("li").length, 1);
+        });
+
+        it("validation summary uses the specified template", function() {
+            container.append($('<input type="text" name="foo" required />'));
+            var validator = setup(container, {
+                validationSummary: {
+                    template: "<p>#=errors.length# error(s)</p>"
+                }
+            });
+
+            validator.validate();
+
+            assert.equal(validator.validationSummary.text(), "1 error(s)");
+        });
+
+        it("validation summary is updated when input is fixed", function() {
+            container.append($('<input type="text" name="foo" required /><input type="text" name="bar" required />'));
+            var validator = setup(container, { validationSummary: true });
+
+            validator.validate();
+
+            container.find("[name=foo]").val("baz").trigger("blur");
+
+            assert.equal(validator.validationSummary.find("li").length, 1);
+            assert.equal(validator.validationSummary.find("a").attr("data-field"), "bar");
+        });
+
+        it("validation summary is hidden when there are no errors", function() {
+            container.append($('<input type="text" name="foo" required />'));
+            var validator = setup(container, { validationSummary: true });
+
+            validator.validate();
+
+            container.find("input").val("baz").trigger("blur");
+
+            assert.equal(validator.validationSummary.css("display"), "none");
+        });
+
+        it("clicking summary link focuses the invalid input", function() {
+            container.append($('<input type="text" name="foo" /><input type="text" name="bar" required />'));
+            var validator = setup(container, { validationSummary: true });
+
+            validator.validate();
+            validator.validationSummary.find("a").trigger("click");
+
+            assert.equal(document.activeElement, container.find("[name=bar]")[0]);
+        });
+
+        it("showValidationSummary renders the current errors", function() {
+            container.append($('<input type="text" name="foo" required />'));
+            var validator = setup(container);
+
+            validator.validate();
+            validator.showValidationSummary();
+
+            assert.equal(validator.validationSummary.find("li").length, 1);
+        });
+
+        it("hideValidationSummary stops updating the summary", function() {
+            container.append($('<input type="text" name="foo" required /><input type="text" name="bar" required />'));
+            var validator = setup(container, { validationSummary: true });
+
+            validator.validate();
+            validator.hideValidationSummary();
+
+            container.find("[name=foo]").val("baz").trigger("blur");
+
+            assert.equal(validator.validationSummary.css("display"), "none");
+            assert.equal(validator.validationSummary.find("li").length, 2);
+        });
+
+        it("destroy removes the rendered validation summary", function() {
+            container.append($('<input type="text" name="foo" required />'));
+            var validator = setup(container, { validationSummary: true });
+
+            validator.validate();
+            validator.destroy();
+
+            assert.equal(Mocha.fixture.find(".k-validation-summary").length, 0);
+        });
+
+        it("requiredif fails for empty input if the referenced checkbox is checked", function() {
+            container.append($('<input type="checkbox" name="ship" checked /><input type="text" name="address" data-kendo-requiredif="ship" />'));
+            var validator = setup(container);
+
+            assert.isOk(!validator.validate());
+            assert.equal(validator.errors()[0], "address is required");
+        });
+
+        it("requiredif passes for empty input if the referenced checkbox is not checked", function() {
+            container.append($('<input type="checkbox" name="ship" /><input type="text" name="address" data-kendo-requiredif="ship" />'));
+            var validator = setup(container);
+
+            assert.isOk(validator.validate());
+        });
+
+        it("requiredif uses the value of the referenced text input", function() {
+            container.append($('<input type="text" name="phone" value="123" /><input type="text" name="country" data-kendo-requiredif="phone" />'));
+            var validator = setup(container);
+
+            assert.isOk(!validator.validate());
+
+            container.find("[name=phone]").val("");
+
+            assert.isOk(validator.validate());
+        });
+
+        it("equalto compares the value with the referenced input", function() {
+            container.append($('<input type="password" name="password" value="foo" /><input type="password" name="confirm" value="bar" data-kendo-equalto="password" />'));
+            var validator = setup(container);
+
+            assert.isOk(!validator.validate());
+            assert.equal(validator.errors()[0], "confirm should match password");
+
+            container.find("[name=confirm]").val("foo");
+
+            assert.isOk(validator.validate());
+        });
+
+        it("equalto is read from plain attribute", function() {
+            container.append($('<input type="text" name="foo" value="foo" /><input type="text" name="bar" value="bar" equalto="foo" />'));
+            var validator = setup(container);
+
+            assert.isOk(!validator.validate());
+        });
+
+        it("after compares dates of date inputs", function() {
+            container.append($('<input type="date" name="start" value="2017-05-10" /><input type="date" name="end" value="2017-05-09" data-kendo-after="start" />'));
+            var validator = setup(container);
+
+            assert.isOk(!validator.validate());
+            assert.equal(validator.errors()[0], "end should be after start");
+
+            container.find("[name=end]").val("2017-05-11");
+
+            assert.isOk(validator.validate());
+        });
+
+        it("after compares numbers", function() {
+            container.append($('<input type="number" name="min" value="10" /><input type="number" name="max" value="9" data-kendo-after="min" />'));
+            var validator = setup(container);
+
+            assert.isOk(!validator.validate());
+
+            container.find("[name=max]").val("11");
+
+            assert.isOk(validator.validate());
+        });
+
+        it("before fails for equal values", function() {
+            container.append($('<input type="number" name="max" value="10" /><input type="number" name="min" value="10" data-kendo-before="max" />'));
+            var validator = setup(container);
+
+            assert.isOk(!validator.validate());
+        });
+
+        it("after passes if any of the values is empty", function() {
+            container.append($('<input type="number" name="min" value="" /><input type="number" name="max" value="9" data-kendo-after="min" />'));
+            var validator = setup(container);
+
+            assert.isOk(validator.validate());
+        });
+
+        it("dependent input is validated again when the referenced input changes", function() {
+            container.append($('<input type="checkbox" name="ship" /><input type="text" name="address" data-kendo-requiredif="ship" />'));
+            var validator = setup(container),
+                address = container.find("[name=address]");
+
+            validator.validate();
+
+            container.find("[name=ship]").prop("checked", true).trigger("change");
+
+            assert.isOk(address.hasClass("k-invalid"));
+            assert.equal(validator.errors().length, 1);
+        });
+
+        it("dependent input which is not validated yet is not validated when the referenced input changes", function() {
+            container.append($('<input type="checkbox" name="ship" /><input type="text" name="address" data-kendo-requiredif="ship" />'));
+            var validator = setup(container);
+
+            container.find("[name=ship]").prop("checked", true).trigger("change");
+
+            assert.isOk(!container.find("[name=address]").hasClass("k-invalid"));
+        });
+
+        it("dependent input triggers change when referenced input makes it valid", function() {
+            container.append($('<input type="text" name="password" value="foo" /><input type="text" name="confirm" value="bar" data-kendo-equalto="password" />'));
+            var validator = setup(container),
+                calls = 0;
+
+            validator.validate();
+
+            validator.bind("change", function() {
+                calls++;
+            });
+
+            container.find("[name=password]").val("bar").trigger("change");
+
+            assert.equal(calls, 1);
+            assert.isOk(validator.value());
+        });
+
+        it("referenced values of MVVM bound form are read from the view model", function() {
+            var viewModel = kendo.observable({ ship: true, address: "" });
+
+            container.append($('<input type="text" name="address" data-kendo-bind="value:address" data-kendo-requiredif="ship" />'));
+            kendo.bind(container, viewModel);
+
+            var validator = setup(container);
+
+            assert.isOk(!validator.validate());
+
+            viewModel.set("ship", false);
+
+            assert.isOk(validator.validate());
+        });
+
+        it("dependent inputs are validated again when the view model field changes", function() {
+            var viewModel = kendo.observable({ start: new Date(2017, 4, 10), end: new Date(2017, 4, 11) });
+
+            container.append($('<input type="date" name="end" data-kendo-bind="value:end" data-kendo-after="start" />'));
+            kendo.bind(container, viewModel);
+
+            var validator = setup(container),
+                end = container.find("[name=end]");
+
+            assert.isOk(validator.validate());
+
+            viewModel.set("start", new Date(2017, 4, 12));
+
+            assert.isOk(end.hasClass("k-invalid"));
+        });
+
+        it("destroy stops observing the view model", function() {
+            var viewModel = kendo.observable({ ship: false, address: "" });
+
+            container.append($('<input type="text" name="address" data-kendo-bind="value:address" data-kendo-requiredif="ship" />'));
+            kendo.bind(container, viewModel);
+
+            var validator = setup(container);
+
+            validator.validate();
+            validator.destroy();
+
+            viewModel.set("ship", true);
+
+            assert.isOk(!container.find("input").hasClass("k-invalid"));
+        });
     });
 }());